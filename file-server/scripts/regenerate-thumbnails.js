@@ -7,6 +7,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const thumbnailService = require('../src/services/thumbnailService');
 const videoService = require('../src/services/videoService');
+const libraryService = require('../src/services/libraryService');
 
 async function regenerateThumbnails() {
   console.log('🎬 Starting thumbnail regeneration with face detection...\n');
@@ -34,7 +35,9 @@ async function regenerateThumbnails() {
     console.log(`[${i + 1}/${videos.length}] Processing: ${video.title}`);
     
     try {
-      const thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id);
+      const thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id, {
+        strategy: libraryService.getThumbnailStrategy(video.libraryId)
+      });
       if (thumbnailPath) {
         console.log(`  ✅ Generated thumbnail\n`);
         generated++;
@@ -9,9 +9,19 @@ const config = require('./config/config.json');
 const authRoutes = require('./src/routes/auth');
 const videoRoutes = require('./src/routes/videos');
 const streamRoutes = require('./src/routes/stream');
+const jobRoutes = require('./src/routes/jobs');
+const libraryRoutes = require('./src/routes/library');
+const tagRoutes = require('./src/routes/tags');
+const thumbnailRoutes = require('./src/routes/thumbnails');
+const sessionRoutes = require('./src/routes/sessions');
 
 // Import services
 const videoService = require('./src/services/videoService');
+const watcherService = require('./src/services/watcherService');
+const libraryService = require('./src/services/libraryService');
+const tagService = require('./src/services/tagService');
+const thumbnailQueueService = require('./src/services/thumbnailQueueService');
+const clipService = require('./src/services/clipService');
 
 // Import enhanced security middleware
 const security = require('./src/middleware/security');
@@ -59,6 +69,11 @@ app.use('/thumbnails', express.static(thumbnailPath));
 app.use('/auth', authRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/stream', streamRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/thumbnails', thumbnailRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // Enhanced health check endpoint
 app.get('/health', (req, res) => {
@@ -141,18 +156,30 @@ async function startServer() {
   try {
     // Ensure directories exist
     await fs.ensureDir(config.thumbnailFolder);
-    await fs.ensureDir(config.videoFolder);
+    if (!config.libraries) {
+      // Single-folder setup: create the video folder like before.
+      // Configured library roots may be removable drives, so they are left alone.
+      await fs.ensureDir(config.videoFolder);
+    }
     
     // Initialize video service
     console.log('Initializing video service...');
     await videoService.initialize();
+    await tagService.load();
+    await thumbnailQueueService.load();
+    await clipService.load();
+    
+    // Pick up added, changed and removed files without a full refresh
+    watcherService.start();
     
     // Start server - bind to all network interfaces for network access
     app.listen(config.port, '0.0.0.0', () => {
       console.log(`File server running on all interfaces port ${config.port}`);
       console.log(`Local access: http://localhost:${config.port}`);
       console.log(`Network access: http://10.0.0.100:${config.port}`);
-      console.log(`Video folder: ${config.videoFolder}`);
+      libraryService.getLibraries().forEach(library => {
+        console.log(`Library "${library.name}" (${library.id}): ${library.path}`);
+      });
       console.log(`Thumbnail folder: ${config.thumbnailFolder}`);
       console.log(`CORS origins: ${config.corsOrigins.join(', ')}`);
     });
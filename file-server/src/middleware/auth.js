@@ -1,5 +1,17 @@
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config.json');
+const signedUrlService = require('../services/signedUrlService');
+
+// Check the signed URL (?token=) of a request on a route that accepts them
+// (see acceptSignedUrls) against the route's video. Returns the user it
+// was issued to; throws a SignedUrlError.
+const verifySignedUrl = (req) => {
+  const { userId, role, ...signedUrl } = signedUrlService.verifyToken(req.query.token, {
+    videoId: req.params.id,
+    scope: req.signedUrlScope
+  });
+  return { authenticated: true, userId, role, signedUrl };
+};
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -11,6 +23,20 @@ const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
+  if (!token && req.signedUrlScope && req.query.token) {
+    try {
+      req.user = verifySignedUrl(req);
+      return next();
+    } catch (error) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+  }
+
   if (!token) {
     return res.status(401).json({
       error: {
@@ -44,6 +70,45 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Admin-only routes: require a valid bearer token with the admin role,
+// even when requireAuth is off
+const requireAdmin = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      error: {
+        message: 'Admin sign-in required',
+        status: 401
+      }
+    });
+  }
+
+  jwt.verify(token, config.jwtSecret, (err, decoded) => {
+    if (err) {
+      return res.status(401).json({
+        error: {
+          message: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+          status: 401
+        }
+      });
+    }
+
+    if (getUserRole(decoded) !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'Admin access required',
+          status: 403
+        }
+      });
+    }
+
+    req.user = decoded;
+    next();
+  });
+};
+
 // Optional authentication middleware (for public endpoints that can benefit from auth)
 const optionalAuth = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -64,7 +129,67 @@ const optionalAuth = (req, res, next) => {
   });
 };
 
+// Decode the bearer token (or signed URL, where accepted) on a request
+// without rejecting it. Returns the token payload, or null if there is no
+// valid token.
+const getUserFromRequest = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  try {
+    if (!token) {
+      return req.signedUrlScope && req.query.token ? verifySignedUrl(req) : null;
+    }
+    return jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Let authenticateToken accept signed URLs on the following routes of a
+// router. getScope(req) names the scope the route needs ('stream' or
+// 'download'); tokens are only valid for the video in req.params.id.
+const acceptSignedUrls = (getScope) => (req, res, next) => {
+  req.signedUrlScope = getScope(req);
+  next();
+};
+
+// Stable identifier of the user behind a token payload. Access-code
+// logins have no username, so the login time identifies the session.
+const getUserId = (user) => {
+  if (!user) {
+    return 'anonymous';
+  }
+  return user.userId || user.username || (user.timestamp ? `session-${user.timestamp}` : 'access-code');
+};
+
+// Role of the user behind a token payload: 'admin' or 'user' as issued at
+// login ('user' for tokens from before roles), 'anonymous' without one.
+const getUserRole = (user) => {
+  if (!user) {
+    return 'anonymous';
+  }
+  return user.role || 'user';
+};
+
+// Describe who made a request, for audit logs. Logins use a shared
+// access code, so the client IP and user agent identify the session.
+const getRequestActor = (req) => {
+  const user = req.user || getUserFromRequest(req);
+  return {
+    user: user?.username || (user ? 'access-code' : 'anonymous'),
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'] || null
+  };
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin,
+  getUserFromRequest,
+  acceptSignedUrls,
+  getUserId,
+  getUserRole,
+  getRequestActor
 };
\ No newline at end of file
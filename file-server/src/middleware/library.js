@@ -0,0 +1,70 @@
+const libraryService = require('../services/libraryService');
+const videoService = require('../services/videoService');
+
+// Resolve the optional ?library=<id> filter on list endpoints and record
+// which libraries the request may see. Sets req.libraryId (or null) and
+// req.accessibleLibraryIds.
+const libraryFilter = (req, res, next) => {
+  const { library: libraryId } = req.query;
+  req.libraryId = null;
+
+  if (libraryId) {
+    const library = libraryService.getLibrary(libraryId);
+
+    if (!library) {
+      return res.status(404).json({
+        error: {
+          message: 'Library not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!libraryService.canAccess(library, req)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access to this library is denied',
+          status: 403
+        }
+      });
+    }
+
+    req.libraryId = library.id;
+  }
+
+  req.accessibleLibraryIds = new Set(
+    libraryService.getAccessibleLibraries(req).map(library => library.id)
+  );
+
+  next();
+};
+
+// Drop videos from libraries the request is not allowed to see
+const filterAccessibleVideos = (req, videos) => {
+  if (!req.accessibleLibraryIds) {
+    return videos;
+  }
+  return videos.filter(video => req.accessibleLibraryIds.has(video.libraryId));
+};
+
+// Enforce library access rules on /:id routes (use with router.param)
+const checkVideoLibraryAccess = (req, res, next, id) => {
+  const video = videoService.getVideoById(id);
+
+  if (video && !libraryService.canAccess(libraryService.getLibrary(video.libraryId), req)) {
+    return res.status(403).json({
+      error: {
+        message: 'Access to this library is denied',
+        status: 403
+      }
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  libraryFilter,
+  filterAccessibleVideos,
+  checkVideoLibraryAccess
+};
@@ -1,5 +1,6 @@
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { FIELDS, FIELD_ALIASES } = require('../utils/searchQuery');
 
 /**
  * Enhanced security middleware for the video streaming server
@@ -142,6 +143,10 @@ const securityHeaders = (req, res, next) => {
   next();
 };
 
+// Query parameters that are passed through without HTML stripping: the
+// search query and field filters (?duration=>10m)
+const RAW_QUERY_PARAMS = ['q', ...Object.keys(FIELDS), ...Object.keys(FIELD_ALIASES)];
+
 // Input sanitization middleware
 const sanitizeInput = (req, res, next) => {
   const sanitizeValue = (value) => {
@@ -176,7 +181,18 @@ const sanitizeInput = (req, res, next) => {
   }
   
   if (req.query) {
-    req.query = sanitizeObject(req.query);
+    // Search queries use < and > as comparison operators. They are parsed,
+    // never echoed as HTML, so they only get trimmed and length-limited.
+    const rawParams = {};
+    RAW_QUERY_PARAMS.forEach(key => {
+      const value = req.query[key];
+      if (typeof value === 'string') {
+        rawParams[key] = value.trim().slice(0, 1000);
+      } else if (Array.isArray(value)) {
+        rawParams[key] = value.filter(item => typeof item === 'string').map(item => item.trim().slice(0, 1000));
+      }
+    });
+    req.query = { ...sanitizeObject(req.query), ...rawParams };
   }
   
   if (req.params) {
@@ -0,0 +1,45 @@
+const videoService = require('../services/videoService');
+const streamSessionService = require('../services/streamSessionService');
+
+// Count the request against the client's stream sessions (see
+// streamSessionService) and set req.streamSession, or reject it with 429
+// when the client has too many streams open (403 when an admin stopped
+// its stream of the video). `transport` is 'file', 'remux' or 'segments'.
+const limitStream = (transport) => (req, res, next) => {
+  const video = videoService.getVideoById(req.params.id);
+  if (!video) {
+    // Let the route handler respond with 404
+    return next();
+  }
+
+  try {
+    req.streamSession = streamSessionService.open(req, res, video, transport);
+  } catch (error) {
+    if (!(error instanceof streamSessionService.StreamLimitError)) {
+      return next(error);
+    }
+
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        status: error.status,
+        retryAfter: error.retryAfter
+      }
+    });
+  }
+
+  next();
+};
+
+// Throttle factory for the request's stream session, for sendFileRanges
+const getStreamThrottle = (req) => (
+  req.streamSession ? () => streamSessionService.createThrottle(req.streamSession) : undefined
+);
+
+module.exports = {
+  limitStream,
+  getStreamThrottle
+};
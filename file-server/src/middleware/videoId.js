@@ -0,0 +1,24 @@
+const videoService = require('../services/videoService');
+
+// Redirect requests that use a legacy or aliased video ID to the current ID.
+// Used with router.param('id', ...) so every /:id route keeps working for
+// old favorites, bookmarks and shared links.
+const redirectLegacyVideoId = (req, res, next, id) => {
+  if (videoService.getVideoById(id)) {
+    return next();
+  }
+
+  const currentId = videoService.resolveVideoId(id);
+  if (!currentId) {
+    // Unknown ID - let the route handler respond with 404
+    return next();
+  }
+
+  const target = req.baseUrl + req.url.replace(/^\/[^/?]+/, `/${currentId}`);
+  console.log(`🔀 [VIDEO ID] Redirecting legacy ID ${id} -> ${currentId}`);
+  res.redirect(308, target);
+};
+
+module.exports = {
+  redirectLegacyVideoId
+};
@@ -19,8 +19,11 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // The admin access code (if configured) signs in with the admin role
+    const role = config.adminAccessCode && accessCode === config.adminAccessCode ? 'admin' : 'user';
+
     // Verify access code
-    if (accessCode !== config.accessCode) {
+    if (role !== 'admin' && accessCode !== config.accessCode) {
       return res.status(401).json({
         error: {
           message: 'Invalid access code',
@@ -33,6 +36,7 @@ router.post('/login', async (req, res) => {
     const token = jwt.sign(
       { 
         authenticated: true,
+        role,
         timestamp: Date.now()
       },
       config.jwtSecret,
@@ -44,6 +48,7 @@ router.post('/login', async (req, res) => {
     res.json({
       success: true,
       token,
+      role,
       expiresIn: '24h',
       message: 'Authentication successful'
     });
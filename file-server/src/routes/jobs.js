@@ -0,0 +1,102 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const jobService = require('../services/jobService');
+
+const router = express.Router();
+
+// Keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+const jobNotFound = (res) => res.status(404).json({
+  error: {
+    message: 'Job not found',
+    status: 404
+  }
+});
+
+// List background jobs (?type=scan to filter)
+router.get('/', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    jobs: jobService.listJobs(req.query.type || null)
+  });
+});
+
+// Get job status
+router.get('/:jobId', authenticateToken, (req, res) => {
+  const job = jobService.getJob(req.params.jobId);
+  if (!job) {
+    return jobNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+// Stream job progress as Server-Sent Events
+router.get('/:jobId/events', authenticateToken, (req, res) => {
+  const job = jobService.getJob(req.params.jobId);
+  if (!job) {
+    return jobNotFound(res);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = (snapshot) => {
+    const event = snapshot.status === 'running' ? 'progress' : 'done';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (event === 'done') {
+      close();
+    }
+  };
+
+  send(job);
+  if (job.status !== 'running') {
+    return;
+  }
+
+  unsubscribe = jobService.subscribe(job.id, send);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', close);
+});
+
+// Ask a running job to stop
+router.post('/:jobId/cancel', authenticateToken, (req, res) => {
+  if (!jobService.getJob(req.params.jobId)) {
+    return jobNotFound(res);
+  }
+
+  if (!jobService.cancelJob(req.params.jobId)) {
+    return res.status(409).json({
+      error: {
+        message: 'Job is not running',
+        status: 409
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobService.getJob(req.params.jobId)
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { libraryFilter } = require('../middleware/library');
+const healthService = require('../services/healthService');
+const libraryService = require('../services/libraryService');
+const jobService = require('../services/jobService');
+
+const router = express.Router();
+
+// Look up a health issue the request may act on (sets req.issue)
+router.param('issueId', (req, res, next, issueId) => {
+  const issue = healthService.getIssue(issueId);
+
+  if (!issue) {
+    return res.status(404).json({
+      error: {
+        message: 'No health issue with this ID',
+        status: 404
+      }
+    });
+  }
+
+  if (!libraryService.canAccess(libraryService.getLibrary(issue.libraryId), req)) {
+    return res.status(403).json({
+      error: {
+        message: 'Access to this library is denied',
+        status: 403
+      }
+    });
+  }
+
+  req.issue = issue;
+  next();
+});
+
+// List corrupt, truncated and unprobeable files (?library=<id> for one library)
+router.get('/health', authenticateToken, libraryFilter, (req, res) => {
+  const libraryIds = req.libraryId ? [req.libraryId] : Array.from(req.accessibleLibraryIds);
+  const issues = healthService.getIssues(libraryIds);
+
+  res.json({
+    success: true,
+    summary: healthService.getSummary(issues),
+    issues: issues.map(issue => healthService.toPublic(issue))
+  });
+});
+
+// Move a problem file into the quarantine folder (admin only)
+router.post('/health/:issueId/quarantine', requireAdmin, async (req, res) => {
+  try {
+    const result = await healthService.quarantine(req.issue);
+
+    res.json({
+      success: true,
+      message: 'File moved to quarantine',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error quarantining file:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to quarantine file',
+        status: 500
+      }
+    });
+  }
+});
+
+// Try to repair a problem file with an ffmpeg remux (background job, admin only)
+router.post('/health/:issueId/repair', requireAdmin, (req, res) => {
+  const issue = req.issue;
+
+  const running = jobService.listJobs('repair')
+    .find(job => job.status === 'running' && job.meta.issueId === issue.id);
+  if (running) {
+    return res.status(202).json({
+      success: true,
+      message: 'Repair already in progress',
+      job: running
+    });
+  }
+
+  const job = jobService.createJob('repair', handle => healthService.repair(issue, handle), {
+    issueId: issue.id,
+    relativePath: issue.relativePath
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Repair started',
+    job
+  });
+});
+
+module.exports = router;
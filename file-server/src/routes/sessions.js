@@ -0,0 +1,47 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const streamSessionService = require('../services/streamSessionService');
+const transcodeService = require('../services/transcodeService');
+const remuxService = require('../services/remuxService');
+
+const router = express.Router();
+
+// Active stream sessions: who is watching what, where, how fast and
+// whether it is played directly, remuxed or transcoded. The ffmpeg
+// processes behind them are listed too. Admin only, like terminating.
+router.get('/', requireAdmin, (req, res) => {
+  const sessions = streamSessionService.listSessions();
+
+  res.json({
+    success: true,
+    sessions,
+    totals: {
+      sessions: sessions.length,
+      throughput: sessions.reduce((sum, session) => sum + session.throughput, 0),
+      transcoders: transcodeService.listTranscoders().length,
+      remuxes: remuxService.listSessions().length
+    }
+  });
+});
+
+// Terminate a session: its requests are closed, the transcoder or remux
+// behind it is killed and the client cannot resume the video for a while
+router.delete('/:sessionId', requireAdmin, (req, res) => {
+  const result = streamSessionService.terminate(req.params.sessionId);
+
+  if (!result) {
+    return res.status(404).json({
+      error: {
+        message: 'Session not found',
+        status: 404
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+module.exports = router;
@@ -2,36 +2,36 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const mime = require('mime-types');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, acceptSignedUrls, getUserFromRequest, getUserId, getUserRole } = require('../middleware/auth');
+const { redirectLegacyVideoId } = require('../middleware/videoId');
+const { checkVideoLibraryAccess } = require('../middleware/library');
+const { limitStream, getStreamThrottle } = require('../middleware/streamLimits');
+const streamSessionService = require('../services/streamSessionService');
 const videoService = require('../services/videoService');
+const signedUrlService = require('../services/signedUrlService');
+const transcodeService = require('../services/transcodeService');
+const remuxService = require('../services/remuxService');
+const { buildMasterPlaylist, buildMediaPlaylist } = require('../utils/hls');
+const { buildManifest } = require('../utils/dash');
+const { parseCapabilities, decidePlayback } = require('../utils/playback');
+const { sendFileRanges } = require('../utils/byteRanges');
 
 const router = express.Router();
 
+// Old filename-based IDs redirect to the stable ID
+router.param('id', redirectLegacyVideoId);
+router.param('id', checkVideoLibraryAccess);
+
+// Video elements cannot send an Authorization header, so streaming routes
+// also accept signed URLs (?token=, see POST /:id/urls)
+router.use(acceptSignedUrls(req => (req.path.endsWith('/download') ? 'download' : 'stream')));
+
 // Streaming configuration
 const STREAM_CONFIG = {
-  // Optimal chunk size for video streaming (1MB)
-  DEFAULT_CHUNK_SIZE: 1024 * 1024,
-  // Maximum chunk size for range requests (8MB)
-  MAX_CHUNK_SIZE: 8 * 1024 * 1024,
-  // Minimum chunk size (64KB)
-  MIN_CHUNK_SIZE: 64 * 1024,
   // Cache duration for video content (24 hours)
-  CACHE_DURATION: 24 * 60 * 60,
-  // Buffer size for fs.createReadStream
-  BUFFER_SIZE: 64 * 1024
+  CACHE_DURATION: 24 * 60 * 60
 };
 
-// Utility function to calculate optimal chunk size
-function getOptimalChunkSize(fileSize, requestedRange) {
-  if (!requestedRange) {
-    // For full file requests, use larger chunks for better throughput
-    return Math.min(STREAM_CONFIG.MAX_CHUNK_SIZE, Math.max(STREAM_CONFIG.DEFAULT_CHUNK_SIZE, fileSize / 100));
-  }
-  
-  const rangeSize = requestedRange.end - requestedRange.start + 1;
-  return Math.min(STREAM_CONFIG.MAX_CHUNK_SIZE, Math.max(STREAM_CONFIG.MIN_CHUNK_SIZE, rangeSize));
-}
-
 // Enhanced CORS headers for streaming with Safari/mobile compatibility
 function setStreamingHeaders(res, mimeType, cacheControl = true) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -51,248 +51,121 @@ function setStreamingHeaders(res, mimeType, cacheControl = true) {
   }
 }
 
-// Stream video with enhanced range support and performance optimizations
-router.get('/:id', authenticateToken, async (req, res) => {
+// Send a video file with range support (RFC 7233), for GET and HEAD.
+// `attachment` sends it as a download instead of for playback.
+async function sendVideoFile(req, res, video, { attachment = false } = {}) {
   const startTime = Date.now();
-  console.log(`🎬 [STREAM DEBUG] Starting stream for video ID: ${req.params.id}`);
-  
-  try {
-    const { id } = req.params;
-    console.log(`🎬 [STREAM DEBUG] ====== NEW VIDEO STREAM REQUEST ======`);
-    console.log(`🎬 [STREAM DEBUG] Raw ID received: "${id}"`);
-    console.log(`🎬 [STREAM DEBUG] ID length: ${id.length}`);
-    console.log(`🎬 [STREAM DEBUG] Request headers:`, req.headers);
-    
-    // Try to decode the ID
-    let decodedPath;
-    try {
-      decodedPath = Buffer.from(id, 'base64').toString('utf-8');
-      console.log(`🎬 [STREAM DEBUG] Decoded path: "${decodedPath}"`);
-    } catch (decodeError) {
-      console.log(`🎬 [STREAM DEBUG] Failed to decode ID:`, decodeError);
-    }
-    
-    const video = videoService.getVideoById(id);
-    console.log(`🎬 [STREAM DEBUG] Video lookup result:`, video ? 'Found' : 'Not found');
-    console.log(`🎬 [STREAM DEBUG] Video details:`, video);
-
-    if (!video) {
-      console.log(`🎬 [STREAM DEBUG] Video ${id} not found in service`);
-      return res.status(404).json({
-        error: {
-          message: 'Video not found',
-          status: 404
-        }
-      });
-    }
+  let stat;
 
-    const videoPath = video.path;
-    console.log(`🎬 [STREAM DEBUG] Video path: ${videoPath}`);
-    
-    // Check if file exists asynchronously
-    try {
-      await fs.promises.access(videoPath, fs.constants.F_OK);
-      console.log(`🎬 [STREAM DEBUG] File exists: ${videoPath}`);
-    } catch (error) {
-      console.log(`🎬 [STREAM DEBUG] File not found: ${videoPath}`, error.message);
-      return res.status(404).json({
-        error: {
-          message: 'Video file not found on disk',
-          status: 404,
-          path: videoPath
-        }
-      });
-    }
-
-    const stat = await fs.promises.stat(videoPath);
-    const fileSize = stat.size;
-    let range = req.headers.range;
-    const ifRange = req.headers['if-range'];
-    const mimeType = mime.lookup(videoPath) || 'video/mp4';
-    
-    console.log(`🎬 [STREAM DEBUG] File stats - Size: ${fileSize} bytes, Range: ${range || 'none'}, MimeType: ${mimeType}`);
-
-    // Check if-range header for conditional requests
-    const etag = `"${stat.mtime.getTime()}-${stat.size}"`;
-    if (ifRange && ifRange !== etag) {
-      // If-Range doesn't match, send full file
-      range = null;
-    }
-
-    // Set enhanced streaming headers
-    setStreamingHeaders(res, mimeType);
-    res.setHeader('ETag', etag);
-    res.setHeader('Last-Modified', stat.mtime.toUTCString());
-    
-    if (range) {
-      // Parse and validate range header
-      const parts = range.replace(/bytes=/, "").split("-");
-      let start = parseInt(parts[0], 10) || 0;
-      let end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-      // Ensure start and end are within bounds
-      start = Math.max(0, Math.min(start, fileSize - 1));
-      end = Math.max(start, Math.min(end, fileSize - 1));
-
-      // Calculate optimal chunk size
-      const chunkSize = getOptimalChunkSize(fileSize, { start, end });
-      
-      // Adjust end if chunk is too large
-      if (end - start + 1 > STREAM_CONFIG.MAX_CHUNK_SIZE) {
-        end = start + STREAM_CONFIG.MAX_CHUNK_SIZE - 1;
-      }
-
-      const contentLength = end - start + 1;
-
-      // Validate range
-      if (start >= fileSize || end >= fileSize || start > end) {
-        res.setHeader('Content-Range', `bytes */${fileSize}`);
-        return res.status(416).json({
-          error: {
-            message: 'Range not satisfiable',
-            status: 416
-          }
-        });
+  try {
+    stat = await fs.promises.stat(video.path);
+  } catch (error) {
+    return res.status(404).json({
+      error: {
+        message: 'Video file not found on disk',
+        status: 404
       }
+    });
+  }
 
-      // Set headers for partial content
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Content-Length': contentLength
-      });
-
-      // Create optimized read stream for the requested range
-      const streamOptions = {
-        start,
-        end,
-        highWaterMark: STREAM_CONFIG.BUFFER_SIZE
-      };
-
-      const fileStream = fs.createReadStream(videoPath, streamOptions);
-      
-      // Track if stream has been cleaned up
-      let streamClosed = false;
-      
-      // Enhanced error handling with recovery
-      fileStream.on('error', (err) => {
-        console.error(`Stream error for video ${id}:`, err);
-        if (!streamClosed) {
-          streamClosed = true;
-          fileStream.destroy();
-        }
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: {
-              message: 'Error streaming video',
-              status: 500,
-              details: process.env.NODE_ENV === 'development' ? err.message : undefined
-            }
-          });
-        } else {
-          res.end();
-        }
-      });
-
-      // Handle client disconnect - properly clean up stream
-      const cleanup = () => {
-        if (!streamClosed) {
-          streamClosed = true;
-          fileStream.destroy();
-          console.log(`🧹 [STREAM] Cleaned up stream for video ${id} (client disconnect)`);
-        }
-      };
-
-      req.on('close', cleanup);
-      req.on('aborted', cleanup);
-      res.on('close', cleanup);
-
-      // Pipe with better error handling and minimal logging
-      console.log(`🎬 [STREAM DEBUG] Streaming range ${start}-${end}/${fileSize} (${contentLength} bytes)`);
-      console.log(`🎬 [STREAM DEBUG] Stream options:`, streamOptions);
-      
-      fileStream.on('end', () => {
-        const duration = Date.now() - startTime;
-        console.log(`✅ [STREAM] Range completed: ${contentLength} bytes in ${duration}ms`);
-        cleanup();
-      });
-      
-      fileStream.pipe(res);
-
-    } else {
-      // No range header, send entire file with optimizations
-      res.writeHead(200, {
-        'Content-Length': fileSize
-      });
-
-      const streamOptions = {
-        highWaterMark: getOptimalChunkSize(fileSize)
-      };
-
-      const fileStream = fs.createReadStream(videoPath, streamOptions);
-      
-      // Track if stream has been cleaned up
-      let streamClosed = false;
-      
-      fileStream.on('error', (err) => {
-        console.error(`Full stream error for video ${id}:`, err);
-        if (!streamClosed) {
-          streamClosed = true;
-          fileStream.destroy();
-        }
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: {
-              message: 'Error streaming video',
-              status: 500,
-              details: process.env.NODE_ENV === 'development' ? err.message : undefined
-            }
-          });
-        } else {
-          res.end();
-        }
-      });
+  // Where playback is, estimated from the byte offset of the range
+  const rangeStart = /^bytes=(\d+)-/.exec(req.headers.range || '');
+  if (!attachment && video.duration && stat.size) {
+    streamSessionService.setPosition(req.streamSession, (rangeStart ? parseInt(rangeStart[1], 10) / stat.size : 0) * video.duration);
+  }
 
-      // Handle client disconnect - properly clean up stream
-      const cleanup = () => {
-        if (!streamClosed) {
-          streamClosed = true;
-          fileStream.destroy();
-          console.log(`🧹 [STREAM] Cleaned up stream for video ${id} (client disconnect)`);
-        }
-      };
-
-      req.on('close', cleanup);
-      req.on('aborted', cleanup);
-      res.on('close', cleanup);
-
-      console.log(`🎬 [STREAM DEBUG] Streaming full file: ${fileSize} bytes`);
-      console.log(`🎬 [STREAM DEBUG] Full stream options:`, streamOptions);
-      
-      fileStream.on('end', () => {
-        const duration = Date.now() - startTime;
-        console.log(`✅ [STREAM] Full completed: ${(fileSize/1024/1024).toFixed(2)}MB in ${duration}ms`);
-        cleanup();
-      });
-      
-      fileStream.pipe(res);
-    }
+  const mimeType = mime.lookup(video.path) || 'video/mp4';
+  if (attachment) {
+    res.attachment(video.filename);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+  } else {
+    setStreamingHeaders(res, mimeType);
+  }
 
+  try {
+    const { status, bytes } = await sendFileRanges(req, res, video.path, {
+      size: stat.size,
+      mimeType,
+      etag: `"${stat.mtime.getTime()}-${stat.size}"`,
+      lastModified: stat.mtime.toUTCString(),
+      createTransform: getStreamThrottle(req)
+    });
+    console.log(`✅ [STREAM] ${req.method} ${video.id} (${status}): ${bytes} bytes in ${Date.now() - startTime}ms`);
   } catch (error) {
-    console.error('🚨 [STREAM ERROR] Video streaming error:', error);
-    console.log(`🎬 [STREAM DEBUG] Request took ${Date.now() - startTime}ms`);
+    console.error(`🚨 [STREAM ERROR] Error sending video ${video.id}:`, error);
     if (!res.headersSent) {
       res.status(500).json({
         error: {
-          message: 'Internal server error',
+          message: 'Error streaming video',
           status: 500,
           details: process.env.NODE_ENV === 'development' ? error.message : undefined
         }
       });
+    } else {
+      res.destroy();
     }
   }
+}
+
+// Stream video with range support
+router.get('/:id', authenticateToken, limitStream('file'), async (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
+
+  if (!video) {
+    return res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
+      }
+    });
+  }
+
+  await sendVideoFile(req, res, video);
+});
+
+// Issue signed stream and download URLs for the video, valid for
+// signedUrls.ttlSeconds. Clients request new ones before they expire.
+router.post('/:id/urls', authenticateToken, (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
+
+  if (!video) {
+    return res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
+      }
+    });
+  }
+
+  const user = req.user || getUserFromRequest(req);
+  // A signed URL must not be able to extend itself
+  if (user?.signedUrl) {
+    return res.status(403).json({
+      error: {
+        message: 'Signed URLs cannot be issued with a signed URL',
+        status: 403
+      }
+    });
+  }
+
+  const userId = getUserId(user);
+  const role = getUserRole(user);
+  const stream = signedUrlService.createToken({ videoId: video.id, userId, role, scope: 'stream' });
+  const download = signedUrlService.createToken({ videoId: video.id, userId, role, scope: 'download' });
+
+  res.json({
+    success: true,
+    token: stream.token,
+    downloadToken: download.token,
+    streamUrl: `/api/stream/${video.id}?token=${stream.token}`,
+    downloadUrl: `/api/stream/${video.id}/download?token=${download.token}`,
+    expiresAt: new Date(stream.expiresAt).toISOString()
+  });
 });
 
-// Get video info for streaming
+// Get video info for streaming. Clients describe what they can play with
+// ?containers=&videoCodecs=&audioCodecs=&maxHeight= (comma-separated
+// lists); `playback` says whether to direct play, remux or transcode.
 router.get('/:id/info', authenticateToken, (req, res) => {
   try {
     const { id } = req.params;
@@ -333,8 +206,18 @@ router.get('/:id/info', authenticateToken, (req, res) => {
         fps: video.fps,
         bitrate: video.bitrate,
         format: video.format,
+        videoCodec: video.videoCodec,
+        audioCodec: video.audioCodec,
+        rotation: video.rotation || 0,
+        color: video.color || null,
+        audioTracks: video.audioTracks || [],
+        subtitleTracks: video.subtitleTracks || [],
+        chapters: video.chapters || [],
+        creationTime: video.creationTime || null,
+        containerTags: video.containerTags || {},
         streamUrl: `/api/stream/${video.id}`,
-        supportsRangeRequests: true
+        supportsRangeRequests: true,
+        playback: decidePlayback(video, parseCapabilities(req.query))
       }
     });
 
@@ -349,76 +232,202 @@ router.get('/:id/info', authenticateToken, (req, res) => {
   }
 });
 
-// Download video (full file)
-router.get('/:id/download', authenticateToken, (req, res) => {
-  try {
-    const { id } = req.params;
-    const video = videoService.getVideoById(id);
+// Download video, with ranges so interrupted downloads can resume
+router.get('/:id/download', authenticateToken, limitStream('file'), async (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
 
-    if (!video) {
-      return res.status(404).json({
-        error: {
-          message: 'Video not found',
-          status: 404
-        }
-      });
-    }
+  if (!video) {
+    return res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
+      }
+    });
+  }
 
-    const videoPath = video.path;
-    
-    // Check if file exists
-    if (!fs.existsSync(videoPath)) {
-      return res.status(404).json({
-        error: {
-          message: 'Video file not found on disk',
-          status: 404
-        }
-      });
-    }
+  await sendVideoFile(req, res, video, { attachment: true });
+});
 
-    const stat = fs.statSync(videoPath);
-    const mimeType = mime.lookup(videoPath) || 'video/mp4';
-    const filename = video.filename;
+// HLS and DASH adaptive streaming. Playlists and the manifest are generated
+// from the same rendition ladder; segments are shared by both protocols,
+// transcoded on demand and served from the cache.
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+const DASH_MIME_TYPE = 'application/dash+xml';
 
-    // Set headers for download
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Length', stat.size);
-    res.setHeader('Cache-Control', 'public, max-age=3600');
+function sendTranscodeError(res, error, fallbackMessage) {
+  if (res.headersSent) {
+    console.error(`🚨 [HLS] ${fallbackMessage}:`, error.message);
+    return res.destroy();
+  }
+
+  if (error instanceof transcodeService.TranscodeError && error.status !== 500) {
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        status: error.status,
+        retryAfter: error.retryAfter || undefined
+      }
+    });
+  }
 
-    // Create read stream and pipe to response
-    const file = fs.createReadStream(videoPath);
-    file.pipe(res);
-
-    // Handle stream errors
-    file.on('error', (err) => {
-      console.error('Download error:', err);
-      if (!res.headersSent) {
-        res.status(500).json({
-          error: {
-            message: 'Error downloading video',
-            status: 500
-          }
-        });
+  console.error(`🚨 [HLS] ${fallbackMessage}:`, error.message);
+  res.status(500).json({
+    error: {
+      message: fallbackMessage,
+      status: 500
+    }
+  });
+}
+
+function getStreamableVideo(req, res) {
+  const video = videoService.getVideoById(req.params.id);
+  if (!video) {
+    res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
       }
     });
+  }
+  return video;
+}
+
+// Send a cached segment, throttled like the other streams
+async function sendSegmentFile(req, res, filePath) {
+  const stat = await fs.promises.stat(filePath);
+  setStreamingHeaders(res, 'video/mp4');
+  await sendFileRanges(req, res, filePath, {
+    size: stat.size,
+    mimeType: 'video/mp4',
+    etag: `"${stat.mtime.getTime()}-${stat.size}"`,
+    lastModified: stat.mtime.toUTCString(),
+    createTransform: getStreamThrottle(req)
+  });
+}
+
+// Signed URL token of a playlist request, passed on to the URIs it lists
+function getTokenQuery(req) {
+  return req.query.token ? `token=${encodeURIComponent(req.query.token)}` : '';
+}
 
+// Master playlist: one variant per video rendition, sharing the audio rendition
+router.get('/:id/master.m3u8', authenticateToken, (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  try {
+    transcodeService.getSegments(video);
+    setStreamingHeaders(res, HLS_MIME_TYPE, false);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(buildMasterPlaylist(transcodeService.getRenditions(video), {
+      audio: transcodeService.getAudioRendition(video),
+      fps: video.fps,
+      query: getTokenQuery(req)
+    }));
   } catch (error) {
-    console.error('Video download error:', error);
-    res.status(500).json({
+    sendTranscodeError(res, error, 'Failed to build playlist');
+  }
+});
+
+// DASH manifest: a video representation per rendition, and the audio
+router.get('/:id/manifest.mpd', authenticateToken, (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  try {
+    transcodeService.getSegments(video);
+    setStreamingHeaders(res, DASH_MIME_TYPE, false);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(buildManifest(transcodeService.getRenditions(video), {
+      audio: transcodeService.getAudioRendition(video),
+      duration: video.duration,
+      segmentDuration: transcodeService.getSettings().segmentDuration,
+      fps: video.fps,
+      query: getTokenQuery(req)
+    }));
+  } catch (error) {
+    sendTranscodeError(res, error, 'Failed to build manifest');
+  }
+});
+
+// Media playlist of one rendition, e.g. /720p.m3u8 or /audio.m3u8
+router.get('/:id/:rendition(\\d+p|audio).m3u8', authenticateToken, (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  try {
+    const rendition = transcodeService.getRendition(video, req.params.rendition);
+    transcodeService.getSegments(video);
+    setStreamingHeaders(res, HLS_MIME_TYPE, false);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(buildMediaPlaylist(rendition, video.duration, transcodeService.getSettings().segmentDuration, { query: getTokenQuery(req) }));
+  } catch (error) {
+    sendTranscodeError(res, error, 'Failed to build playlist');
+  }
+});
+
+// Initialization segment of a rendition
+router.get('/:id/segments/:rendition/init.mp4', authenticateToken, limitStream('segments'), async (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  try {
+    const filePath = await transcodeService.getInitSegment(video, req.params.rendition);
+    await sendSegmentFile(req, res, filePath);
+  } catch (error) {
+    sendTranscodeError(res, error, 'Failed to transcode segment');
+  }
+});
+
+// Media segment of a rendition, e.g. /segments/720p/12.m4s
+router.get('/:id/segments/:rendition/:segment(\\d+).m4s', authenticateToken, limitStream('segments'), async (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  try {
+    const index = parseInt(req.params.segment, 10);
+    const filePath = await transcodeService.getSegment(video, req.params.rendition, index);
+    streamSessionService.setPosition(req.streamSession, index * transcodeService.getSettings().segmentDuration);
+    await sendSegmentFile(req, res, filePath);
+  } catch (error) {
+    sendTranscodeError(res, error, 'Failed to transcode segment');
+  }
+});
+
+// Stream copied into fragmented MP4 for players that support the codecs
+// but not the container. ?start= seeks (seconds), ?audio=aac converts the
+// audio. There are no range requests: seeking requests a new stream.
+router.get('/:id/remux', authenticateToken, limitStream('remux'), (req, res) => {
+  const video = getStreamableVideo(req, res);
+  if (!video) return;
+
+  const start = parseFloat(req.query.start) || 0;
+  const audio = req.query.audio === 'aac' ? 'aac' : 'copy';
+
+  if (start < 0 || (video.duration && start >= video.duration)) {
+    return res.status(400).json({
       error: {
-        message: 'Internal server error',
-        status: 500
+        message: 'start must be within the video',
+        status: 400
       }
     });
   }
+
+  streamSessionService.setPosition(req.streamSession, start, { advancing: true });
+  setStreamingHeaders(res, 'video/mp4', false);
+  res.setHeader('Accept-Ranges', 'none');
+  res.setHeader('Cache-Control', 'no-cache');
+  remuxService.stream(video, res, { start, audio, throttle: getStreamThrottle(req)?.() });
 });
 
 // Handle preflight requests for CORS
 router.options('/:id', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Range, Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Range, Authorization, Content-Type, If-Range');
   res.setHeader('Access-Control-Max-Age', '86400');
   res.status(200).end();
 });
@@ -0,0 +1,132 @@
+const express = require('express');
+const { authenticateToken, getRequestActor } = require('../middleware/auth');
+const { libraryFilter, filterAccessibleVideos } = require('../middleware/library');
+const videoService = require('../services/videoService');
+const tagService = require('../services/tagService');
+const overrideService = require('../services/overrideService');
+
+const router = express.Router();
+
+const MAX_ASSIGN_VIDEOS = 1000;
+
+// Tag and validation errors carry their own status; anything else is a 500
+const sendError = (res, error, message) => {
+  if (error instanceof tagService.TagError || error instanceof overrideService.ValidationError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        status: error.status
+      }
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message,
+      status: 500
+    }
+  });
+};
+
+// List tags with the number of videos using them (?library=<id> to count one library)
+router.get('/', authenticateToken, libraryFilter, (req, res) => {
+  try {
+    const videos = filterAccessibleVideos(req, videoService.getAllVideos(req.libraryId));
+    const tags = tagService.listTags(videos);
+
+    res.json({
+      success: true,
+      tags,
+      count: tags.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tags');
+  }
+});
+
+// Create a tag ({ name, color?, description? })
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const tag = await tagService.createTag(req.body);
+
+    res.status(201).json({
+      success: true,
+      tag
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create tag');
+  }
+});
+
+// Add and remove tags on many videos ({ videoIds, add?, remove? })
+router.post('/assign', authenticateToken, libraryFilter, async (req, res) => {
+  try {
+    const { videoIds, add, remove } = req.body || {};
+
+    if (!Array.isArray(videoIds) || videoIds.length === 0 || videoIds.length > MAX_ASSIGN_VIDEOS) {
+      return res.status(400).json({
+        error: {
+          message: `videoIds must be an array of 1-${MAX_ASSIGN_VIDEOS} video IDs`,
+          status: 400
+        }
+      });
+    }
+
+    const found = [];
+    const missing = [];
+    videoIds.forEach(id => {
+      const videoId = videoService.resolveVideoId(String(id));
+      const video = videoId && videoService.getVideoById(videoId);
+      if (video && filterAccessibleVideos(req, [video]).length > 0) {
+        found.push(video);
+      } else {
+        missing.push(id);
+      }
+    });
+
+    const result = await tagService.assignTags(found, { add, remove }, getRequestActor(req));
+
+    res.json({
+      success: true,
+      ...result,
+      missing
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign tags');
+  }
+});
+
+// Rename a tag or change its color/description ({ name?, color?, description? }).
+// A rename is applied to every video the request can access.
+router.patch('/:name', authenticateToken, libraryFilter, async (req, res) => {
+  try {
+    const videos = filterAccessibleVideos(req, videoService.getAllVideos());
+    const result = await tagService.updateTag(req.params.name, req.body || {}, videos, getRequestActor(req));
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update tag');
+  }
+});
+
+// Delete a tag and remove it from every video the request can access
+router.delete('/:name', authenticateToken, libraryFilter, async (req, res) => {
+  try {
+    const videos = filterAccessibleVideos(req, videoService.getAllVideos());
+    const result = await tagService.deleteTag(req.params.name, videos, getRequestActor(req));
+
+    res.json({
+      success: true,
+      message: 'Tag deleted',
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete tag');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { libraryFilter, filterAccessibleVideos } = require('../middleware/library');
+const videoService = require('../services/videoService');
+const thumbnailQueueService = require('../services/thumbnailQueueService');
+
+const router = express.Router();
+
+// Keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+// Most videos one status request may ask about
+const MAX_STATUS_IDS = 500;
+
+// Thumbnail state of videos (?ids=<id>,<id>), for clients that poll
+router.get('/status', authenticateToken, libraryFilter, async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    if (ids.length === 0 || ids.length > MAX_STATUS_IDS) {
+      return res.status(400).json({
+        error: {
+          message: `ids must list 1 to ${MAX_STATUS_IDS} video IDs`,
+          status: 400
+        }
+      });
+    }
+
+    const videos = filterAccessibleVideos(req, ids.map(id => videoService.getVideoById(id)).filter(Boolean));
+    const thumbnails = {};
+
+    await Promise.all(videos.map(async (video) => {
+      const state = await thumbnailQueueService.getState(video);
+      thumbnails[video.id] = {
+        state,
+        thumbnail: state === 'ready' ? `/thumbnails/${video.id}.jpg` : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      thumbnails
+    });
+  } catch (error) {
+    console.error('Error fetching thumbnail status:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch thumbnail status',
+        status: 500
+      }
+    });
+  }
+});
+
+// Queue statistics
+router.get('/queue', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    queue: thumbnailQueueService.getStats()
+  });
+});
+
+// Stream `thumbnail` events ({ videoId, state, thumbnail }) as
+// Server-Sent Events when queued thumbnails become ready or fail
+router.get('/events', authenticateToken, libraryFilter, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+
+  const unsubscribe = thumbnailQueueService.subscribe((event) => {
+    const video = videoService.getVideoById(event.videoId);
+    if (!video || filterAccessibleVideos(req, [video]).length === 0) return;
+
+    res.write(`event: thumbnail\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  });
+});
+
+module.exports = router;
@@ -1,65 +1,116 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const fs = require('fs');
+const mime = require('mime-types');
+const { authenticateToken, getRequestActor } = require('../middleware/auth');
+const { redirectLegacyVideoId } = require('../middleware/videoId');
+const { libraryFilter, filterAccessibleVideos, checkVideoLibraryAccess } = require('../middleware/library');
 const videoService = require('../services/videoService');
 const thumbnailService = require('../services/thumbnailService');
+const thumbnailQueueService = require('../services/thumbnailQueueService');
+const libraryService = require('../services/libraryService');
+const jobService = require('../services/jobService');
+const overrideService = require('../services/overrideService');
+const clipService = require('../services/clipService');
+const config = require('../../config/config.json');
+const { QuerySyntaxError, parseFieldParams } = require('../utils/searchQuery');
+const { ListQueryError, parseListOptions, paginate, selectFields } = require('../utils/videoList');
+const { sendFileRanges } = require('../utils/byteRanges');
 
 const router = express.Router();
 
-// Get all videos
-router.get('/', authenticateToken, async (req, res) => {
+// Old filename-based IDs redirect to the stable ID
+router.param('id', redirectLegacyVideoId);
+router.param('id', checkVideoLibraryAccess);
+
+// Tag names from ?tag=a&tag=b or ?tag=a,b
+const getTagQuery = (query) => {
+  const values = Array.isArray(query.tag) ? query.tag : [query.tag];
+  return values
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+// Reply 400 for a search query or list option that does not parse
+const sendQueryError = (res, error) => res.status(400).json({
+  error: {
+    message: error.message,
+    status: 400,
+    ...(error.position !== undefined && { position: error.position })
+  }
+});
+
+// Query parameters handled by the route rather than as field filters
+const NON_FILTER_FIELDS = ['tag', 'library'];
+
+/**
+ * Public video records with their thumbnail URL and state. Missing
+ * thumbnails are queued (see thumbnailQueueService) rather than awaited;
+ * such videos are `pending` until the queue reports them ready.
+ */
+const toPublicVideos = (videos, priority = 'normal') => Promise.all(videos.map(async (video) => {
+  const thumbnailPath = await thumbnailService.getThumbnailPath(video.id);
+  const thumbnailState = thumbnailPath ? 'ready' : thumbnailQueueService.request(video, { priority });
+
+  return {
+    ...videoService.toPublic(video),
+    thumbnail: thumbnailPath ? `/thumbnails/${video.id}.jpg` : null,
+    hasThumb: !!thumbnailPath,
+    thumbnailState
+  };
+}));
+
+// List videos, one page at a time:
+//   ?limit=<n>&cursor=<nextCursor>   pagination
+//   ?sort=<field>[,-<field>]         sort order (default title, or relevance with ?q=)
+//   ?fields=<field>[,<field>]        sparse records
+//   ?q=<query>                       search, see utils/searchQuery
+//   ?<field>=<value>                 field filters with the same syntax (?codec=hevc&duration=>10m)
+//   ?tag=<name>[,<name>]&tagMode=all|any, ?library=<id>
+router.get('/', authenticateToken, libraryFilter, async (req, res) => {
   const startTime = Date.now();
-  console.log(`📹 [VIDEO API] Fetching all videos...`);
   
   try {
-    const videos = videoService.getAllVideos();
-    console.log(`📹 [VIDEO API] Found ${videos.length} videos from service`);
-    
-    if (videos.length > 0) {
-      console.log(`📹 [VIDEO API] Sample video:`, {
-        id: videos[0].id,
-        title: videos[0].title,
-        path: videos[0].path,
-        exists: require('fs').existsSync(videos[0].path)
-      });
-    }
-    
-    // Generate thumbnails for videos that don't have them
-    console.log(`📹 [VIDEO API] Processing thumbnails for ${videos.length} videos...`);
-    const videosWithThumbnails = await Promise.all(
-      videos.map(async (video) => {
-        try {
-          let thumbnailPath = await thumbnailService.getThumbnailPath(video.id);
-          
-          if (!thumbnailPath) {
-            console.log(`📹 [VIDEO API] Generating thumbnail for: ${video.title}`);
-            thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id);
-          }
-          
-          return {
-            ...video,
-            thumbnail: thumbnailPath ? `/thumbnails/${video.id}.jpg` : null,
-            hasThumb: !!thumbnailPath
-          };
-        } catch (error) {
-          console.error(`❌ [VIDEO API] Error processing thumbnail for ${video.id}:`, error.message);
-          return {
-            ...video,
-            thumbnail: null,
-            hasThumb: false
-          };
-        }
-      })
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const tags = getTagQuery(req.query);
+    const tagMode = req.query.tagMode === 'any' ? 'any' : 'all';
+    const options = parseListOptions(req.query, {
+      defaultSort: q ? 'relevance' : 'title',
+      defaultLimit: config.videoList.defaultLimit,
+      maxLimit: config.videoList.maxLimit
+    });
+
+    const filters = parseFieldParams(req.query, NON_FILTER_FIELDS);
+    const videos = videoService.filterByTags(
+      filterAccessibleVideos(req, videoService.searchVideos(q, filters))
+        .filter(video => !req.libraryId || video.libraryId === req.libraryId),
+      tags,
+      tagMode
     );
 
+    const page = paginate(videos, options);
+    const records = (await toPublicVideos(page.videos)).map(video => selectFields(video, options.fields));
+
     const duration = Date.now() - startTime;
-    console.log(`✅ [VIDEO API] Completed in ${duration}ms - returning ${videosWithThumbnails.length} videos`);
+    console.log(`✅ [VIDEO API] Listed ${records.length} of ${page.total} videos in ${duration}ms`);
 
     res.json({
       success: true,
-      videos: videosWithThumbnails,
-      count: videosWithThumbnails.length
+      videos: records,
+      count: records.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      limit: options.limit,
+      sort: options.sortName,
+      ...(q && { query: q }),
+      ...(tags.length > 0 && { tags, tagMode })
     });
   } catch (error) {
+    if (error instanceof QuerySyntaxError || error instanceof ListQueryError) {
+      return sendQueryError(res, error);
+    }
+
     console.error('❌ [VIDEO API] Error fetching videos:', error);
     res.status(500).json({
       error: {
@@ -85,53 +136,103 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Ensure thumbnail exists
-    let thumbnailPath = await thumbnailService.getThumbnailPath(video.id);
-    
-    if (!thumbnailPath) {
-      try {
-        thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id);
-      } catch (thumbError) {
-        console.error(`Thumbnail generation failed for ${video.id}:`, thumbError.message);
+    // The video being opened goes to the front of the thumbnail queue
+    const [publicVideo] = await toPublicVideos([video], 'high');
+
+    res.json({
+      success: true,
+      video: publicVideo
+    });
+  } catch (error) {
+    console.error('Error fetching video:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch video',
+        status: 500
       }
+    });
+  }
+});
+
+// Edit a video's metadata (title, description, tags, recordingDate, customFields).
+// Values are layered over probed and sidecar data; null clears an override.
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const video = videoService.getVideoById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        error: {
+          message: 'Video not found',
+          status: 404
+        }
+      });
     }
 
+    await overrideService.update(video.id, req.body, getRequestActor(req));
+    const updated = videoService.applyOverrides(video.id);
+
     res.json({
       success: true,
-      video: {
-        ...video,
-        thumbnail: thumbnailPath ? `/thumbnails/${video.id}.jpg` : null,
-        hasThumb: !!thumbnailPath
+      video: videoService.toPublic(updated)
+    });
+  } catch (error) {
+    if (error instanceof overrideService.ValidationError) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+
+    console.error('Error updating video:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update video',
+        status: 500
       }
     });
+  }
+});
+
+// Audit log of metadata edits for a video, newest first
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const video = videoService.getVideoById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        error: {
+          message: 'Video not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      history: await overrideService.getHistory(video.id)
+    });
   } catch (error) {
-    console.error('Error fetching video:', error);
+    console.error('Error fetching video history:', error);
     res.status(500).json({
       error: {
-        message: 'Failed to fetch video',
+        message: 'Failed to fetch edit history',
         status: 500
       }
     });
   }
 });
 
-// Search videos
-router.get('/search/:query', authenticateToken, async (req, res) => {
+// Search videos (same query language as ?q= on GET /api/videos)
+router.get('/search/:query', authenticateToken, libraryFilter, async (req, res) => {
   try {
     const { query } = req.params;
-    const videos = videoService.searchVideos(decodeURIComponent(query));
+    const videos = filterAccessibleVideos(req, videoService.searchVideos(decodeURIComponent(query)))
+      .filter(video => !req.libraryId || video.libraryId === req.libraryId);
 
-    // Add thumbnail information
-    const videosWithThumbnails = await Promise.all(
-      videos.map(async (video) => {
-        const thumbnailPath = await thumbnailService.getThumbnailPath(video.id);
-        return {
-          ...video,
-          thumbnail: thumbnailPath ? `/thumbnails/${video.id}.jpg` : null,
-          hasThumb: !!thumbnailPath
-        };
-      })
-    );
+    const videosWithThumbnails = await toPublicVideos(videos);
 
     res.json({
       success: true,
@@ -140,6 +241,10 @@ router.get('/search/:query', authenticateToken, async (req, res) => {
       query: decodeURIComponent(query)
     });
   } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return sendQueryError(res, error);
+    }
+
     console.error('Error searching videos:', error);
     res.status(500).json({
       error: {
@@ -150,25 +255,18 @@ router.get('/search/:query', authenticateToken, async (req, res) => {
   }
 });
 
-// Get videos by category
-router.get('/categories/all', authenticateToken, async (req, res) => {
+// Get videos grouped by tag, most used tag first
+router.get('/categories/all', authenticateToken, libraryFilter, async (req, res) => {
   try {
-    const categories = videoService.getVideosByCategory();
+    const categories = videoService.getVideosByCategory(
+      filterAccessibleVideos(req, videoService.getAllVideos(req.libraryId))
+    );
     
     // Add thumbnail information to each category
-    const categoriesWithThumbnails = {};
+    const categoriesWithThumbnails = [];
     
-    for (const [category, videos] of Object.entries(categories)) {
-      categoriesWithThumbnails[category] = await Promise.all(
-        videos.map(async (video) => {
-          const thumbnailPath = await thumbnailService.getThumbnailPath(video.id);
-          return {
-            ...video,
-            thumbnail: thumbnailPath ? `/thumbnails/${video.id}.jpg` : null,
-            hasThumb: !!thumbnailPath
-          };
-        })
-      );
+    for (const category of categories) {
+      categoriesWithThumbnails.push({ ...category, videos: await toPublicVideos(category.videos) });
     }
 
     res.json({
@@ -186,7 +284,151 @@ router.get('/categories/all', authenticateToken, async (req, res) => {
   }
 });
 
-// Generate thumbnail for specific video
+// Resolve a batch of (possibly legacy) video IDs to current IDs
+router.post('/ids/resolve', authenticateToken, (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({
+        error: {
+          message: 'ids must be an array',
+          status: 400
+        }
+      });
+    }
+
+    const mapping = {};
+    ids.slice(0, 1000).forEach(id => {
+      mapping[id] = videoService.resolveVideoId(String(id));
+    });
+
+    res.json({
+      success: true,
+      mapping
+    });
+  } catch (error) {
+    console.error('Error resolving video IDs:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to resolve video IDs',
+        status: 500
+      }
+    });
+  }
+});
+
+// List libraries the client can access
+router.get('/libraries/all', authenticateToken, libraryFilter, (req, res) => {
+  try {
+    const libraries = libraryService.getLibraries()
+      .filter(library => req.accessibleLibraryIds.has(library.id))
+      .map(library => {
+        const stats = videoService.getStats(library.id);
+        return {
+          ...libraryService.toPublic(library),
+          videoCount: stats.totalVideos,
+          totalSize: stats.totalSize,
+          totalDuration: stats.totalDuration
+        };
+      });
+
+    res.json({
+      success: true,
+      libraries,
+      count: libraries.length
+    });
+  } catch (error) {
+    console.error('Error fetching libraries:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch libraries',
+        status: 500
+      }
+    });
+  }
+});
+
+// Get folder collections (?library=<id> to limit to one library)
+router.get('/folders/all', authenticateToken, libraryFilter, (req, res) => {
+  try {
+    const folders = videoService.getFolders(req.libraryId)
+      .filter(folder => req.accessibleLibraryIds.has(folder.libraryId));
+
+    res.json({
+      success: true,
+      folders,
+      count: folders.length
+    });
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch folders',
+        status: 500
+      }
+    });
+  }
+});
+
+// Browse a folder collection (?library=<id>&path=site/date&recursive=true)
+router.get('/folders/browse', authenticateToken, libraryFilter, async (req, res) => {
+  try {
+    const libraries = libraryService.getLibraries();
+    const libraryId = req.libraryId || (libraries.length === 1 ? libraries[0].id : null);
+
+    if (!libraryId) {
+      return res.status(400).json({
+        error: {
+          message: 'library parameter is required when several libraries are configured',
+          status: 400
+        }
+      });
+    }
+
+    if (!req.accessibleLibraryIds.has(libraryId)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access to this library is denied',
+          status: 403
+        }
+      });
+    }
+
+    const folderPath = req.query.path || '';
+    const recursive = req.query.recursive === 'true';
+    const contents = videoService.getFolderContents(libraryId, folderPath, recursive);
+
+    if (!contents) {
+      return res.status(404).json({
+        error: {
+          message: 'Folder not found',
+          status: 404
+        }
+      });
+    }
+
+    const videosWithThumbnails = await toPublicVideos(contents.videos);
+
+    res.json({
+      success: true,
+      folder: contents.folder,
+      videos: videosWithThumbnails,
+      count: videosWithThumbnails.length
+    });
+  } catch (error) {
+    console.error('Error browsing folder:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to browse folder',
+        status: 500
+      }
+    });
+  }
+});
+
+// Generate thumbnail for specific video. Queued at high priority (also
+// after earlier failures); 202 while pending, watch /api/thumbnails/events.
 router.post('/:id/thumbnail', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -201,12 +443,22 @@ router.post('/:id/thumbnail', authenticateToken, async (req, res) => {
       });
     }
 
-    const thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id);
+    if (await thumbnailService.getThumbnailPath(video.id)) {
+      return res.json({
+        success: true,
+        thumbnail: `/thumbnails/${video.id}.jpg`,
+        thumbnailState: 'ready',
+        message: 'Thumbnail already exists'
+      });
+    }
+
+    const thumbnailState = thumbnailQueueService.request(video, { priority: 'high', retry: true });
 
-    res.json({
+    res.status(thumbnailState === 'pending' ? 202 : 200).json({
       success: true,
-      thumbnail: `/thumbnails/${video.id}.jpg`,
-      message: 'Thumbnail generated successfully'
+      thumbnail: null,
+      thumbnailState,
+      message: thumbnailState === 'pending' ? 'Thumbnail queued' : 'Thumbnails are disabled for this library'
     });
   } catch (error) {
     console.error('Error generating thumbnail:', error);
@@ -267,16 +519,235 @@ router.post('/:id/thumbnail/:time', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh video library
-router.post('/refresh', authenticateToken, async (req, res) => {
+// A single frame at ?t=<seconds> (fractions allowed), at the video's own
+// resolution unless ?width= is given. ?format=png (default), jpg or webp.
+router.get('/:id/frame', authenticateToken, async (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
+  if (!video) {
+    return res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
+      }
+    });
+  }
+
+  try {
+    const options = thumbnailService.normalizeFrameOptions(video, req.query);
+    const frame = await thumbnailService.getFrame(video, options);
+
+    res.set({
+      'Content-Type': frame.mimeType,
+      'Content-Length': frame.buffer.length,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(frame.buffer);
+  } catch (error) {
+    if (error instanceof thumbnailService.ThumbnailError && error.status !== 500) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    console.error('Error grabbing frame:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to grab frame',
+        status: 500
+      }
+    });
+  }
+});
+
+// Generate an animated preview of a time range: { start, duration,
+// format: gif | webm | mp4, width, fps }. Cached by parameters; the
+// response links to the file under /thumbnails.
+router.post('/:id/preview', authenticateToken, async (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
+  if (!video) {
+    return res.status(404).json({
+      error: {
+        message: 'Video not found',
+        status: 404
+      }
+    });
+  }
+
+  try {
+    const options = thumbnailService.normalizePreviewOptions(video, req.body || {});
+    const preview = await thumbnailService.generatePreview(video.path, video.id, options);
+
+    res.json({
+      success: true,
+      preview: `/thumbnails/${preview.filename}`,
+      cached: preview.cached,
+      ...options
+    });
+  } catch (error) {
+    if (error instanceof thumbnailService.ThumbnailError && error.status !== 500) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    console.error('Error generating preview:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to generate preview',
+        status: 500
+      }
+    });
+  }
+});
+
+const videoNotFound = (res) => res.status(404).json({
+  error: {
+    message: 'Video not found',
+    status: 404
+  }
+});
+
+const clipNotFound = (res) => res.status(404).json({
+  error: {
+    message: 'Clip not found',
+    status: 404
+  }
+});
+
+// Clip of the video in the URL, or null
+const getVideoClip = (req) => {
+  const clip = clipService.getClip(req.params.clipId);
+  return clip && clip.sourceVideoId === req.params.id ? clip : null;
+};
+
+// Export start..end (seconds) of a video as a new file in a background
+// job: { start, end, format: mp4 | mkv | webm, register }. The clip is
+// stream-copied when both cuts are on keyframes, re-encoded otherwise;
+// register adds it to the video's library.
+router.post('/:id/clips', authenticateToken, (req, res) => {
+  const video = videoService.getVideoById(req.params.id);
+  if (!video) {
+    return videoNotFound(res);
+  }
+
+  let options;
+  try {
+    options = clipService.validate(video, req.body || {});
+  } catch (error) {
+    if (error instanceof clipService.ClipError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+    throw error;
+  }
+
+  const job = clipService.createClip(video, options);
+
+  res.status(202).json({
+    success: true,
+    message: 'Clip export started',
+    job
+  });
+});
+
+// Finished clips of a video
+router.get('/:id/clips', authenticateToken, (req, res) => {
+  if (!videoService.getVideoById(req.params.id)) {
+    return videoNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    clips: clipService.listClips(req.params.id)
+  });
+});
+
+// Download a clip (with ranges, so downloads can resume)
+router.get('/:id/clips/:clipId/download', authenticateToken, async (req, res) => {
+  const clip = getVideoClip(req);
+  if (!clip) {
+    return clipNotFound(res);
+  }
+
   try {
-    await videoService.refreshVideoLibrary();
-    const stats = videoService.getStats();
+    const stat = await fs.promises.stat(clip.path);
+    res.attachment(clip.filename);
+    await sendFileRanges(req, res, clip.path, {
+      size: stat.size,
+      mimeType: mime.lookup(clip.path) || 'application/octet-stream',
+      etag: `"${stat.mtime.getTime()}-${stat.size}"`,
+      lastModified: stat.mtime.toUTCString()
+    });
+  } catch (error) {
+    console.error('Error downloading clip:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
+      error: {
+        message: error.code === 'ENOENT' ? 'Clip file is missing' : 'Failed to download clip',
+        status: error.code === 'ENOENT' ? 404 : 500
+      }
+    });
+  }
+});
 
+// Delete a clip. Clips added to the library stay there as videos.
+router.delete('/:id/clips/:clipId', authenticateToken, async (req, res) => {
+  const clip = getVideoClip(req);
+  if (!clip) {
+    return clipNotFound(res);
+  }
+
+  try {
+    await clipService.deleteClip(clip.id);
     res.json({
       success: true,
-      message: 'Video library refreshed successfully',
-      stats
+      message: 'Clip deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting clip:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to delete clip',
+        status: 500
+      }
+    });
+  }
+});
+
+// Refresh video library
+router.post('/refresh', authenticateToken, (req, res) => {
+  try {
+    // Only one scan at a time; a second request joins the running one
+    const running = jobService.getRunningJob('scan');
+    if (running) {
+      return res.status(202).json({
+        success: true,
+        message: 'Library scan already in progress',
+        job: running
+      });
+    }
+
+    const job = jobService.createJob('scan', async (handle) => {
+      await videoService.refreshVideoLibrary(handle);
+      return { stats: videoService.getStats() };
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Library scan started',
+      job
     });
   } catch (error) {
     console.error('Error refreshing video library:', error);
@@ -289,17 +760,20 @@ router.post('/refresh', authenticateToken, async (req, res) => {
   }
 });
 
-// Get library statistics
-router.get('/stats/overview', authenticateToken, async (req, res) => {
+// Get library statistics (?library=<id> for a single library)
+router.get('/stats/overview', authenticateToken, libraryFilter, async (req, res) => {
   try {
-    const videoStats = videoService.getStats();
+    const videoStats = videoService.getStats(req.libraryId);
     const thumbnailStats = await thumbnailService.getThumbnailStats();
 
     res.json({
       success: true,
       stats: {
         videos: videoStats,
-        thumbnails: thumbnailStats
+        thumbnails: {
+          ...thumbnailStats,
+          queue: thumbnailQueueService.getStats()
+        }
       }
     });
   } catch (error) {
@@ -0,0 +1,228 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const config = require('../../config/config.json');
+
+// Bump when the shape of probed metadata changes, so stale entries are re-probed
+const METADATA_VERSION = 2;
+
+/**
+ * Persistent on-disk catalog of probed video metadata.
+ *
+ * Stored as an append-only JSON Lines file keyed by absolute file path.
+ * Each line is a full record (last write wins) or a tombstone. The file is
+ * compacted on load once superseded lines outnumber live records.
+ *
+ * Records also hold each video's stable identity (ID, content fingerprint
+ * and legacy ID aliases), so IDs survive restarts, renames and moves.
+ */
+class CatalogService {
+  constructor() {
+    this.entries = new Map();
+    this.idIndex = new Map(); // video ID -> file path
+    this.lineCount = 0;
+    this.isLoaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  getCatalogPath() {
+    const catalogConfig = config.catalog || {};
+    const catalogPath = catalogConfig.path || './data/catalog.jsonl';
+    return path.isAbsolute(catalogPath)
+      ? catalogPath
+      : path.join(__dirname, '../..', catalogPath);
+  }
+
+  async load() {
+    const catalogPath = this.getCatalogPath();
+    this.entries.clear();
+    this.idIndex.clear();
+    this.lineCount = 0;
+
+    await fs.ensureDir(path.dirname(catalogPath));
+
+    if (await fs.pathExists(catalogPath)) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(catalogPath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        this.lineCount++;
+
+        try {
+          const record = JSON.parse(line);
+          if (record.deleted) {
+            this.deleteEntry(record.path);
+          } else {
+            this.setEntry(record);
+          }
+        } catch (error) {
+          // A torn final line from an interrupted write is expected; skip it
+          console.warn(`⚠️ [CATALOG] Skipping unreadable catalog line ${this.lineCount}`);
+        }
+      }
+    }
+
+    this.isLoaded = true;
+    console.log(`📚 [CATALOG] Loaded ${this.entries.size} entries from ${catalogPath}`);
+
+    const compactRatio = (config.catalog && config.catalog.compactRatio) || 2;
+    if (this.lineCount > Math.max(100, this.entries.size * compactRatio)) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Return cached metadata if the file is unchanged since it was probed
+   */
+  lookup(filePath, stats) {
+    const record = this.entries.get(filePath);
+    if (!record || record.v !== METADATA_VERSION) {
+      return null;
+    }
+
+    if (record.size !== stats.size || record.mtimeMs !== stats.mtime.getTime()) {
+      return null;
+    }
+
+    return record.metadata;
+  }
+
+  get(filePath) {
+    return this.entries.get(filePath) || null;
+  }
+
+  findById(videoId) {
+    const filePath = this.idIndex.get(videoId);
+    return filePath ? this.entries.get(filePath) : null;
+  }
+
+  findByFingerprint(fingerprint) {
+    return Array.from(this.entries.values()).filter(record => record.fingerprint === fingerprint);
+  }
+
+  /**
+   * Store probed metadata and identity for a file. Identity fields and
+   * durable state carry over from the previous record when not given.
+   */
+  put(filePath, stats, metadata, identity = {}) {
+    const previous = this.entries.get(filePath);
+    const record = {
+      path: filePath,
+      v: METADATA_VERSION,
+      id: identity.id || previous?.id,
+      fingerprint: identity.fingerprint || previous?.fingerprint,
+      aliases: identity.aliases || previous?.aliases || [],
+      size: stats.size,
+      mtimeMs: stats.mtime.getTime(),
+      metadata,
+      state: identity.state || previous?.state || {},
+      updatedAt: Date.now()
+    };
+
+    this.setEntry(record);
+    this.append(record);
+    return record;
+  }
+
+  /**
+   * Merge durable per-video state (anything that is not probed metadata)
+   */
+  updateState(filePath, patch) {
+    const record = this.entries.get(filePath);
+    if (!record) {
+      return null;
+    }
+
+    record.state = { ...record.state, ...patch };
+    record.updatedAt = Date.now();
+    this.append(record);
+    return record.state;
+  }
+
+  remove(filePath) {
+    if (!this.entries.has(filePath)) {
+      return;
+    }
+
+    this.deleteEntry(filePath);
+    this.append({ path: filePath, deleted: true });
+  }
+
+  setEntry(record) {
+    const previous = this.entries.get(record.path);
+    if (previous?.id && this.idIndex.get(previous.id) === record.path) {
+      this.idIndex.delete(previous.id);
+    }
+
+    this.entries.set(record.path, record);
+    if (record.id) {
+      this.idIndex.set(record.id, record.path);
+    }
+  }
+
+  deleteEntry(filePath) {
+    const record = this.entries.get(filePath);
+    if (record?.id && this.idIndex.get(record.id) === filePath) {
+      this.idIndex.delete(record.id);
+    }
+    this.entries.delete(filePath);
+  }
+
+  /**
+   * Drop entries under the given root that were not seen by the last scan
+   */
+  prune(root, seenPaths) {
+    const prefix = path.resolve(root) + path.sep;
+    let pruned = 0;
+
+    for (const filePath of Array.from(this.entries.keys())) {
+      if (path.resolve(filePath).startsWith(prefix) && !seenPaths.has(filePath)) {
+        this.remove(filePath);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      console.log(`📚 [CATALOG] Pruned ${pruned} entries for missing files`);
+    }
+  }
+
+  append(record) {
+    const catalogPath = this.getCatalogPath();
+    const line = JSON.stringify(record) + '\n';
+
+    this.lineCount++;
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(catalogPath, line, 'utf8'))
+      .catch(error => console.error('🚨 [CATALOG] Failed to write catalog entry:', error.message));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Rewrite the catalog with only live records (atomic via rename)
+   */
+  async compact() {
+    const catalogPath = this.getCatalogPath();
+    const tempPath = `${catalogPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const lines = Array.from(this.entries.values()).map(record => JSON.stringify(record));
+      await fs.writeFile(tempPath, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+      await fs.move(tempPath, catalogPath, { overwrite: true });
+      this.lineCount = lines.length;
+      console.log(`📚 [CATALOG] Compacted catalog to ${lines.length} entries`);
+    }).catch(error => console.error('🚨 [CATALOG] Failed to compact catalog:', error.message));
+
+    return this.writeQueue;
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,446 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../../config/config.json');
+const libraryService = require('./libraryService');
+const videoService = require('./videoService');
+const jobService = require('./jobService');
+const { MP4_VIDEO_CODECS, MP4_AUDIO_CODECS } = require('../utils/playback');
+
+class ClipError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ClipError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_SETTINGS = {
+  folder: './data/clips',
+  preset: 'medium',
+  crf: 20
+};
+
+// How far before a cut ffprobe looks for the keyframe it may fall on
+const KEYFRAME_SEARCH_WINDOW = 10;
+
+/**
+ * Output formats: which codecs can be stream-copied into the container,
+ * and the encoders used when the clip has to be re-encoded. A null codec
+ * list accepts any codec.
+ */
+const FORMATS = {
+  mp4: {
+    extension: '.mp4',
+    videoCodecs: MP4_VIDEO_CODECS,
+    audioCodecs: MP4_AUDIO_CODECS,
+    encode: ({ preset, crf }) => [
+      '-c:v', 'libx264', '-preset', preset, '-crf', String(crf), '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '192k'
+    ],
+    options: ['-movflags', '+faststart']
+  },
+  mkv: {
+    extension: '.mkv',
+    videoCodecs: null,
+    audioCodecs: null,
+    encode: ({ preset, crf }) => [
+      '-c:v', 'libx264', '-preset', preset, '-crf', String(crf), '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '192k'
+    ],
+    options: []
+  },
+  webm: {
+    extension: '.webm',
+    videoCodecs: new Set(['vp8', 'vp9', 'av1']),
+    audioCodecs: new Set(['opus', 'vorbis']),
+    encode: () => [
+      '-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-row-mt', '1',
+      '-c:a', 'libopus', '-b:a', '128k'
+    ],
+    options: []
+  }
+};
+
+// "00:01:02.50" -> 62.5
+const parseTimemark = (timemark) => String(timemark || '')
+  .split(':')
+  .reduce((seconds, part) => seconds * 60 + (parseFloat(part) || 0), 0);
+
+// 3725.5 -> "1h02m05.5s", for clip file names
+const formatClipTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = Math.round((seconds % 60) * 10) / 10;
+  const secondsPart = `${rest < 10 ? '0' : ''}${rest}s`;
+
+  if (hours > 0) {
+    return `${hours}h${String(minutes).padStart(2, '0')}m${secondsPart}`;
+  }
+  return `${minutes}m${secondsPart}`;
+};
+
+/**
+ * Clip export: cut start..end out of a video into a new file.
+ *
+ * When both cuts fall on keyframes and the codecs fit the output
+ * container, the streams are copied (fast and lossless); otherwise the
+ * clip is re-encoded so it starts and ends exactly where asked. Clips run
+ * as background jobs. They are kept in clips.folder for download, or
+ * written next to the source and added to its library when registered.
+ */
+class ClipService {
+  constructor() {
+    this.clips = new Map(); // clip ID -> clip
+    this.writeQueue = Promise.resolve();
+  }
+
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...config.clips };
+  }
+
+  getFolder() {
+    const { folder } = this.getSettings();
+    return path.isAbsolute(folder) ? folder : path.join(__dirname, '../..', folder);
+  }
+
+  getIndexPath() {
+    return path.join(this.getFolder(), 'clips.json');
+  }
+
+  /**
+   * Load the clip index, dropping clips whose file is gone
+   */
+  async load() {
+    const indexPath = this.getIndexPath();
+    this.clips.clear();
+
+    await fs.ensureDir(this.getFolder());
+
+    if (await fs.pathExists(indexPath)) {
+      try {
+        const clips = await fs.readJson(indexPath);
+        for (const clip of clips) {
+          if (await fs.pathExists(clip.path)) {
+            this.clips.set(clip.id, clip);
+          }
+        }
+      } catch (error) {
+        console.error(`🚨 [CLIPS] Could not read ${indexPath}:`, error.message);
+      }
+    }
+
+    console.log(`✂️ [CLIPS] Loaded ${this.clips.size} clips`);
+  }
+
+  /**
+   * Rewrite the clip index (atomic via rename)
+   */
+  save() {
+    const indexPath = this.getIndexPath();
+    const tempPath = `${indexPath}.tmp`;
+
+    const write = this.writeQueue.then(async () => {
+      await fs.ensureDir(path.dirname(indexPath));
+      await fs.writeJson(tempPath, Array.from(this.clips.values()), { spaces: 2 });
+      await fs.move(tempPath, indexPath, { overwrite: true });
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Check a clip request ({ start, end, format, register }) against the
+   * video. Returns the normalized options; throws a ClipError.
+   */
+  validate(video, { start, end, format = 'mp4', register = false } = {}) {
+    if (!video.duration) {
+      throw new ClipError('Video duration is unknown, so it cannot be cut', 422);
+    }
+
+    const startTime = Number(start);
+    const endTime = Number(end);
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) {
+      throw new ClipError('start and end must be numbers of seconds');
+    }
+    if (startTime < 0 || endTime > video.duration + 0.5) {
+      throw new ClipError(`start and end must be within the video (0-${video.duration}s)`);
+    }
+    if (endTime <= startTime) {
+      throw new ClipError('end must be after start');
+    }
+    if (!Object.hasOwn(FORMATS, format)) {
+      throw new ClipError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    return {
+      start: startTime,
+      end: Math.min(endTime, video.duration),
+      format,
+      register: register === true || register === 'true'
+    };
+  }
+
+  /**
+   * Keyframe times of the first video stream from `from` to `to`
+   * seconds. Reads packet flags only, so nothing is decoded.
+   */
+  findKeyframes(filePath, from, to) {
+    const args = [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-read_intervals', `${Math.max(0, from)}%${to}`,
+      '-show_entries', 'packet=pts_time,flags',
+      '-of', 'csv=p=0',
+      filePath
+    ];
+
+    return new Promise((resolve, reject) => {
+      execFile(process.env.FFPROBE_PATH || 'ffprobe', args, { maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          return reject(new Error(`Keyframe probe failed: ${error.message}`));
+        }
+
+        resolve(stdout.split('\n')
+          .map(line => line.trim().split(','))
+          .filter(([time, flags]) => flags && flags.includes('K') && time !== 'N/A')
+          .map(([time]) => parseFloat(time)));
+      });
+    });
+  }
+
+  async isOnKeyframe(video, time) {
+    // Half a frame either way still cuts on the keyframe
+    const tolerance = video.fps ? 0.5 / video.fps : 0.02;
+
+    if (time <= tolerance || time >= video.duration - tolerance || video.hasVideo === false) {
+      return true;
+    }
+
+    const keyframes = await this.findKeyframes(video.path, time - KEYFRAME_SEARCH_WINDOW, time + 1);
+    return keyframes.some(keyframe => Math.abs(keyframe - time) <= tolerance);
+  }
+
+  /**
+   * Stream copy or re-encode: { method: 'copy' | 'encode', reason }
+   */
+  async plan(video, { start, end, format }) {
+    const { videoCodecs, audioCodecs } = FORMATS[format];
+    const audio = video.audioTracks?.length
+      ? video.audioTracks.map(track => track.codec)
+      : [video.audioCodec].filter(codec => codec && video.hasAudio !== false);
+
+    if (videoCodecs && video.videoCodec && !videoCodecs.has(video.videoCodec)) {
+      return { method: 'encode', reason: `${video.videoCodec} video cannot be copied into ${format}` };
+    }
+    const badAudio = audioCodecs && audio.find(codec => !audioCodecs.has(codec));
+    if (badAudio) {
+      return { method: 'encode', reason: `${badAudio} audio cannot be copied into ${format}` };
+    }
+
+    if (!await this.isOnKeyframe(video, start)) {
+      return { method: 'encode', reason: `${start}s is not on a keyframe` };
+    }
+    if (!await this.isOnKeyframe(video, end)) {
+      return { method: 'encode', reason: `${end}s is not on a keyframe` };
+    }
+    return { method: 'copy', reason: 'Both cuts are on keyframes' };
+  }
+
+  /**
+   * Start a background job that exports a clip. `options` must come from
+   * validate(). The job's result is the finished clip.
+   */
+  createClip(video, options) {
+    return jobService.createJob('clip', handle => this.exportClip(video, options, handle), {
+      videoId: video.id,
+      filename: video.filename,
+      start: options.start,
+      end: options.end,
+      format: options.format
+    });
+  }
+
+  async exportClip(video, options, job) {
+    const { start, end, format, register } = options;
+    const { extension } = FORMATS[format];
+    const id = crypto.randomBytes(8).toString('hex');
+    const title = path.basename(video.filename, path.extname(video.filename));
+    const filename = `${title}_${formatClipTime(start)}-${formatClipTime(end)}${extension}`;
+
+    job.update({ total: 100, done: 0, currentFile: filename });
+
+    const { method, reason } = await this.plan(video, options);
+    console.log(`✂️ [CLIPS] ${video.filename} ${start}s-${end}s as ${format}: ${method} (${reason})`);
+
+    const outputPath = register
+      ? await this.getUniquePath(path.join(path.dirname(video.path), filename))
+      : path.join(this.getFolder(), `${id}${extension}`);
+    // Hidden from library scans and the watcher until it is complete
+    const tempPath = path.join(path.dirname(outputPath), `.${id}.part${extension}`);
+
+    await fs.ensureDir(path.dirname(outputPath));
+
+    try {
+      const finished = await this.runFfmpeg(video, { ...options, method, outputPath: tempPath }, job);
+      if (!finished) {
+        await fs.remove(tempPath);
+        return null;
+      }
+      await fs.move(tempPath, outputPath);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const clip = {
+      id,
+      sourceVideoId: video.id,
+      filename: register ? path.basename(outputPath) : filename,
+      path: outputPath,
+      start,
+      end,
+      duration: Math.round((end - start) * 1000) / 1000,
+      format,
+      method,
+      reason,
+      size: (await fs.stat(outputPath)).size,
+      registered: register,
+      videoId: null,
+      createdAt: new Date().toISOString()
+    };
+
+    if (register) {
+      clip.videoId = await this.registerClip(video, outputPath);
+    }
+
+    this.clips.set(id, clip);
+    await this.save();
+
+    job.update({ done: 100 });
+    return this.toPublic(clip);
+  }
+
+  /**
+   * Run ffmpeg for a clip, reporting progress to the job. Resolves false
+   * if the job was cancelled.
+   */
+  runFfmpeg(video, { start, end, format, method, outputPath }, job) {
+    const settings = this.getSettings();
+    const { encode, options } = FORMATS[format];
+    const duration = end - start;
+
+    const args = [
+      '-t', String(duration),
+      '-map', '0:v:0?',
+      '-map', '0:a?',
+      '-sn',
+      '-dn',
+      ...(method === 'copy'
+        ? ['-c', 'copy', '-avoid_negative_ts', 'make_zero', ...(video.videoCodec === 'hevc' && format !== 'mkv' ? ['-tag:v', 'hvc1'] : [])]
+        : encode(settings)),
+      ...options
+    ];
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(video.path)
+        .seekInput(start)
+        .outputOptions(...args)
+        .output(outputPath)
+        .on('progress', (progress) => {
+          if (job.isCancelled()) {
+            command.kill('SIGKILL');
+            return;
+          }
+          const done = parseTimemark(progress.timemark) / duration;
+          job.update({ done: Math.min(99, Math.max(0, Math.round(done * 100))) });
+        })
+        .on('end', () => resolve(true))
+        .on('error', (error) => {
+          if (job.isCancelled()) {
+            resolve(false);
+          } else {
+            reject(new Error(`Clip export failed: ${error.message}`));
+          }
+        });
+
+      command.run();
+    });
+  }
+
+  // `base` or "base (2).ext", "base (3).ext"... whichever does not exist
+  async getUniquePath(base) {
+    const extension = path.extname(base);
+    const stem = base.slice(0, -extension.length);
+    let candidate = base;
+
+    for (let n = 2; await fs.pathExists(candidate); n++) {
+      candidate = `${stem} (${n})${extension}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Add a clip written next to its source to the source's library.
+   * Returns the new video ID.
+   */
+  async registerClip(video, clipPath) {
+    const library = libraryService.getLibrary(video.libraryId);
+    const relativePath = path.relative(library.path, clipPath).split(path.sep).join('/');
+    const folder = path.posix.dirname(relativePath);
+    const added = await videoService.upsertVideoFile({
+      filePath: clipPath,
+      relativePath,
+      filename: path.basename(clipPath),
+      folder: folder === '.' ? '' : folder,
+      libraryId: library.id
+    });
+
+    console.log(`✂️ [CLIPS] Added ${relativePath} to library "${library.name}"`);
+    return added.id;
+  }
+
+  getClip(id) {
+    return this.clips.get(id) || null;
+  }
+
+  listClips(videoId) {
+    return Array.from(this.clips.values())
+      .filter(clip => clip.sourceVideoId === videoId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(clip => this.toPublic(clip));
+  }
+
+  /**
+   * Forget a clip. Its file is deleted unless it was added to the library,
+   * where it is a video of its own.
+   */
+  async deleteClip(id) {
+    const clip = this.clips.get(id);
+    if (!clip) return false;
+
+    this.clips.delete(id);
+    if (!clip.registered) {
+      await fs.remove(clip.path);
+    }
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Clip info for API responses (no absolute paths)
+   */
+  toPublic(clip) {
+    const { path: filePath, ...publicClip } = clip;
+    return {
+      ...publicClip,
+      downloadUrl: `/api/videos/${clip.sourceVideoId}/clips/${clip.id}/download`
+    };
+  }
+}
+
+module.exports = new ClipService();
+module.exports.ClipError = ClipError;
@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../../config/config.json');
+const libraryService = require('./libraryService');
+
+// Containers that support moving the index to the front on remux
+const FASTSTART_FORMATS = ['.mp4', '.m4v', '.mov'];
+
+/**
+ * Library health: keeps track of files that could not be probed or look
+ * broken, and offers quarantine and remux repair for them.
+ *
+ * Issues are found while files are processed (full scans and watcher
+ * events), so the list is rebuilt on every startup scan. Failed probes are
+ * never cached in the catalog, which means broken files are always
+ * re-checked.
+ */
+class HealthService {
+  constructor() {
+    this.issues = new Map(); // file path -> issue
+  }
+
+  getHealthConfig() {
+    const healthConfig = config.health || {};
+    return {
+      quarantineFolder: healthConfig.quarantineFolder || '.quarantine'
+    };
+  }
+
+  /**
+   * Quarantine folder for a library. A relative folder lives inside the
+   * library root (same disk, so moves are cheap; hidden from scans by the
+   * ".*" ignore pattern). An absolute folder is shared, one subfolder per
+   * library.
+   */
+  getQuarantineFolder(library) {
+    const { quarantineFolder } = this.getHealthConfig();
+    return path.isAbsolute(quarantineFolder)
+      ? path.join(quarantineFolder, library.id)
+      : path.join(library.path, quarantineFolder);
+  }
+
+  getIssueId(filePath) {
+    return crypto.createHash('sha1').update(filePath).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Map an ffprobe failure to an issue kind
+   */
+  classifyProbeError(message) {
+    if (/moov atom not found|end of file|partial file|truncat/i.test(message)) {
+      return 'truncated';
+    }
+    if (/invalid data found|corrupt|no such stream|could not find codec/i.test(message)) {
+      return 'corrupt';
+    }
+    return 'unprobeable';
+  }
+
+  /**
+   * Check probed metadata for signs of a broken file and record or clear
+   * the file's issue accordingly
+   */
+  inspect(entry, metadata, stats) {
+    let issue = null;
+
+    if (metadata.probeError) {
+      issue = { kind: this.classifyProbeError(metadata.probeError), reason: metadata.probeError };
+    } else if (metadata.hasVideo === false) {
+      issue = { kind: 'corrupt', reason: 'No video stream found' };
+    } else if (!metadata.duration) {
+      issue = { kind: 'truncated', reason: 'No duration reported (the file may be incomplete)' };
+    }
+
+    if (issue) {
+      this.recordIssue(entry, issue, stats);
+    } else {
+      this.clearIssue(entry.filePath);
+    }
+  }
+
+  /**
+   * Record a file that failed processing altogether
+   */
+  recordFailure(entry, error, stats = null) {
+    const reason = error.message.replace(/^Corrupted video file:\s*/, '');
+    this.recordIssue(entry, { kind: this.classifyProbeError(reason), reason }, stats);
+  }
+
+  recordIssue({ filePath, relativePath, filename, libraryId }, { kind, reason }, stats) {
+    const previous = this.issues.get(filePath);
+    const issue = {
+      id: this.getIssueId(filePath),
+      path: filePath,
+      relativePath,
+      filename,
+      libraryId,
+      kind,
+      reason,
+      size: stats ? stats.size : previous?.size ?? null,
+      modified: stats ? stats.mtime : previous?.modified ?? null,
+      detectedAt: previous?.detectedAt || new Date().toISOString(),
+      lastRepair: previous?.lastRepair || null
+    };
+
+    if (!previous) {
+      console.warn(`🩺 [HEALTH] ${kind} file: ${relativePath} - ${reason}`);
+    }
+    this.issues.set(filePath, issue);
+    return issue;
+  }
+
+  clearIssue(filePath) {
+    this.issues.delete(filePath);
+  }
+
+  /**
+   * Drop issues under the given roots for files the last scan did not see
+   */
+  prune(roots, seenPaths) {
+    const prefixes = roots.map(root => path.resolve(root) + path.sep);
+
+    for (const filePath of Array.from(this.issues.keys())) {
+      const underRoot = prefixes.some(prefix => path.resolve(filePath).startsWith(prefix));
+      if (underRoot && !seenPaths.has(filePath)) {
+        this.issues.delete(filePath);
+      }
+    }
+  }
+
+  getIssue(issueId) {
+    for (const issue of this.issues.values()) {
+      if (issue.id === issueId) {
+        return issue;
+      }
+    }
+    return null;
+  }
+
+  getIssues(libraryIds = null) {
+    return Array.from(this.issues.values())
+      .filter(issue => !libraryIds || libraryIds.includes(issue.libraryId))
+      .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  getSummary(issues) {
+    const byKind = { corrupt: 0, truncated: 0, unprobeable: 0 };
+    issues.forEach(issue => {
+      byKind[issue.kind] = (byKind[issue.kind] || 0) + 1;
+    });
+    return { total: issues.length, byKind };
+  }
+
+  /**
+   * Move a file into its library's quarantine folder, keeping its relative
+   * path. Returns the path relative to the quarantine folder.
+   */
+  async moveToQuarantine(issue) {
+    const library = libraryService.getLibrary(issue.libraryId);
+    const quarantineFolder = this.getQuarantineFolder(library);
+
+    let destination = path.join(quarantineFolder, issue.relativePath);
+    if (await fs.pathExists(destination)) {
+      const ext = path.extname(destination);
+      destination = `${destination.slice(0, -ext.length)}.${Date.now()}${ext}`;
+    }
+
+    await fs.move(issue.path, destination);
+    console.log(`🩺 [HEALTH] Quarantined ${issue.relativePath}`);
+
+    return path.relative(quarantineFolder, destination).split(path.sep).join('/');
+  }
+
+  async quarantine(issue) {
+    // Loaded lazily: videoService reports issues to this service
+    const videoService = require('./videoService');
+    const catalogService = require('./catalogService');
+
+    const quarantinedAs = await this.moveToQuarantine(issue);
+
+    videoService.removeVideoFile(issue.path);
+    catalogService.remove(issue.path);
+    this.clearIssue(issue.path);
+
+    return { relativePath: issue.relativePath, quarantinedAs };
+  }
+
+  /**
+   * Try to fix a file by remuxing it with ffmpeg (stream copy, errors
+   * ignored). If the result probes cleanly it replaces the original, and
+   * the original is kept in quarantine. Reports progress to a job handle.
+   */
+  async repair(issue, job = null) {
+    const videoService = require('./videoService');
+
+    const ext = path.extname(issue.path);
+    const tempPath = path.join(path.dirname(issue.path), `.${path.basename(issue.path, ext)}.repair${ext}`);
+
+    job?.update({ total: 100, done: 0, currentFile: issue.relativePath });
+
+    try {
+      await this.remux(issue.path, tempPath, percent => job?.update({ done: Math.min(99, Math.round(percent)) }));
+
+      const metadata = await videoService.extractMetadata(tempPath);
+      if (metadata.probeError || metadata.hasVideo === false || !metadata.duration) {
+        throw new Error(`Remuxed file is still unreadable: ${metadata.probeError || 'no playable video'}`);
+      }
+
+      const backup = await this.moveToQuarantine(issue);
+      await fs.move(tempPath, issue.path);
+      console.log(`🩺 [HEALTH] Repaired ${issue.relativePath} (original kept as ${backup})`);
+
+      const library = libraryService.getLibrary(issue.libraryId);
+      const folder = path.posix.dirname(issue.relativePath);
+      const video = await videoService.upsertVideoFile({
+        filePath: issue.path,
+        relativePath: issue.relativePath,
+        filename: issue.filename,
+        folder: folder === '.' ? '' : folder,
+        libraryId: library.id
+      });
+
+      job?.update({ done: 100 });
+      return { relativePath: issue.relativePath, videoId: video.id, originalKeptAs: backup };
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+
+      const current = this.issues.get(issue.path);
+      if (current) {
+        current.lastRepair = { at: new Date().toISOString(), error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  remux(inputPath, outputPath, onProgress) {
+    const outputOptions = ['-map 0', '-c copy', '-ignore_unknown'];
+    if (FASTSTART_FORMATS.includes(path.extname(outputPath).toLowerCase())) {
+      outputOptions.push('-movflags +faststart');
+    }
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .inputOptions(['-err_detect ignore_err', '-fflags +genpts+discardcorrupt'])
+        .outputOptions(outputOptions)
+        .output(outputPath)
+        .on('progress', progress => progress.percent && onProgress(progress.percent))
+        .on('end', () => resolve(outputPath))
+        .on('error', error => reject(new Error(`Remux failed: ${error.message}`)))
+        .run();
+    });
+  }
+
+  /**
+   * Issue info for API responses (no absolute paths)
+   */
+  toPublic(issue) {
+    const { path: filePath, ...publicIssue } = issue;
+    return publicIssue;
+  }
+}
+
+module.exports = new HealthService();
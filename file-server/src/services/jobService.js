@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How long finished jobs stay queryable
+const FINISHED_JOB_TTL = 30 * 60 * 1000; // 30 minutes
+// Minimum time between progress events for one job
+const PROGRESS_THROTTLE_MS = 250;
+
+/**
+ * In-memory registry for long-running background jobs (library scans and
+ * other work that should not block an HTTP request).
+ *
+ * Each job reports progress through `job.update()`; listeners subscribed
+ * with `subscribe()` receive throttled snapshots and a final one when the
+ * job finishes.
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+
+    // Drop finished jobs periodically
+    setInterval(() => this.cleanupFinishedJobs(), 5 * 60 * 1000).unref();
+  }
+
+  /**
+   * Create a job and start running it in the background.
+   * The runner receives a handle with update(), addError() and isCancelled().
+   */
+  createJob(type, runner, meta = {}) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      status: 'running',
+      meta,
+      progress: {
+        total: 0,
+        done: 0,
+        currentFile: null
+      },
+      errors: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      cancelRequested: false,
+      lastEmit: 0,
+      emitTimer: null
+    };
+
+    this.jobs.set(job.id, job);
+
+    const handle = {
+      id: job.id,
+      update: (patch) => {
+        job.progress = { ...job.progress, ...patch };
+        this.emitThrottled(job);
+      },
+      addError: (file, message) => {
+        job.errors.push({ file, message, at: new Date().toISOString() });
+        this.emitThrottled(job);
+      },
+      isCancelled: () => job.cancelRequested
+    };
+
+    console.log(`⚙️ [JOBS] Started ${type} job ${job.id}`);
+
+    Promise.resolve()
+      .then(() => runner(handle))
+      .then(result => {
+        job.status = job.cancelRequested ? 'cancelled' : 'completed';
+        job.result = result || null;
+      })
+      .catch(error => {
+        console.error(`🚨 [JOBS] ${type} job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        job.progress.currentFile = null;
+        console.log(`⚙️ [JOBS] ${type} job ${job.id} ${job.status}`);
+        this.emit(job);
+      });
+
+    return this.toPublic(job);
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * The currently running job of a type, if any
+   */
+  getRunningJob(type) {
+    for (const job of this.jobs.values()) {
+      if (job.type === type && job.status === 'running') {
+        return this.toPublic(job);
+      }
+    }
+    return null;
+  }
+
+  listJobs(type = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => !type || job.type === type)
+      .map(job => this.toPublic(job))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'running') {
+      return false;
+    }
+    job.cancelRequested = true;
+    this.emit(job);
+    return true;
+  }
+
+  isFinished(job) {
+    return job.status !== 'running';
+  }
+
+  /**
+   * Listen for updates to one job. Returns an unsubscribe function.
+   */
+  subscribe(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.events.on(eventName, listener);
+    return () => this.events.off(eventName, listener);
+  }
+
+  emitThrottled(job) {
+    const now = Date.now();
+    const wait = PROGRESS_THROTTLE_MS - (now - job.lastEmit);
+
+    if (wait <= 0) {
+      this.emit(job);
+    } else if (!job.emitTimer) {
+      job.emitTimer = setTimeout(() => {
+        job.emitTimer = null;
+        this.emit(job);
+      }, wait);
+    }
+  }
+
+  emit(job) {
+    if (job.emitTimer) {
+      clearTimeout(job.emitTimer);
+      job.emitTimer = null;
+    }
+    job.lastEmit = Date.now();
+    this.events.emit(`job:${job.id}`, this.toPublic(job));
+  }
+
+  cleanupFinishedJobs() {
+    const now = Date.now();
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > FINISHED_JOB_TTL) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  toPublic(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      meta: job.meta,
+      progress: { ...job.progress },
+      errors: job.errors.slice(-50),
+      errorCount: job.errors.length,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new JobService();
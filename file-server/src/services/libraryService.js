@@ -0,0 +1,141 @@
+const path = require('path');
+const config = require('../../config/config.json');
+const { getUserFromRequest } = require('../middleware/auth');
+
+const DEFAULT_LIBRARY_ID = 'default';
+const THUMBNAIL_STRATEGIES = ['auto', 'first-frame', 'none'];
+
+/**
+ * Library roots and their per-library settings.
+ *
+ * Libraries come from `config.libraries`. Older configs with only
+ * `config.videoFolder` are treated as a single library with the ID
+ * "default", so existing setups keep working unchanged.
+ */
+class LibraryService {
+  constructor() {
+    this.libraries = this.loadLibraries();
+  }
+
+  loadLibraries() {
+    const configured = Array.isArray(config.libraries) && config.libraries.length > 0
+      ? config.libraries
+      : [{ id: DEFAULT_LIBRARY_ID, name: 'Video Library', path: config.videoFolder }];
+
+    const seenIds = new Set();
+
+    return configured.map((library, index) => {
+      const id = String(library.id || `library${index + 1}`);
+      if (seenIds.has(id)) {
+        throw new Error(`Duplicate library id in config: ${id}`);
+      }
+      seenIds.add(id);
+
+      const thumbnails = library.thumbnails || {};
+      const strategy = thumbnails.strategy || 'auto';
+      if (!THUMBNAIL_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown thumbnail strategy "${strategy}" for library ${id}`);
+      }
+
+      const access = library.access || {};
+
+      return {
+        id,
+        name: library.name || id,
+        path: library.path,
+        supportedFormats: library.supportedFormats || config.supportedFormats,
+        thumbnails: { strategy },
+        access: {
+          requireAuth: !!access.requireAuth,
+          allowedIPs: access.allowedIPs || []
+        }
+      };
+    });
+  }
+
+  getLibraries() {
+    return this.libraries;
+  }
+
+  getLibrary(libraryId) {
+    return this.libraries.find(library => library.id === libraryId) || null;
+  }
+
+  /**
+   * Find the library whose root contains the given file. The deepest
+   * matching root wins when library roots are nested.
+   */
+  getLibraryForPath(filePath) {
+    const resolved = path.resolve(filePath);
+    let match = null;
+
+    for (const library of this.libraries) {
+      const root = path.resolve(library.path);
+      if (resolved === root || resolved.startsWith(root + path.sep)) {
+        if (!match || root.length > path.resolve(match.path).length) {
+          match = library;
+        }
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Roots of the other libraries nested inside this one, which the scan
+   * of this library should skip
+   */
+  getNestedRoots(library) {
+    const root = path.resolve(library.path);
+    return this.libraries
+      .filter(other => other.id !== library.id)
+      .map(other => path.resolve(other.path))
+      .filter(otherRoot => otherRoot.startsWith(root + path.sep));
+  }
+
+  getThumbnailStrategy(libraryId) {
+    const library = this.getLibrary(libraryId);
+    return library ? library.thumbnails.strategy : 'auto';
+  }
+
+  /**
+   * Check a request against a library's access rules
+   */
+  canAccess(library, req) {
+    if (!library) return false;
+
+    const { requireAuth, allowedIPs } = library.access;
+
+    if (allowedIPs.length > 0) {
+      const clientIP = req.ip || req.connection.remoteAddress;
+      if (!allowedIPs.includes(clientIP)) {
+        return false;
+      }
+    }
+
+    if (requireAuth && !(req.user || getUserFromRequest(req))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  getAccessibleLibraries(req) {
+    return this.libraries.filter(library => this.canAccess(library, req));
+  }
+
+  /**
+   * Public library info for API responses (no filesystem paths or rules)
+   */
+  toPublic(library) {
+    return {
+      id: library.id,
+      name: library.name,
+      supportedFormats: library.supportedFormats,
+      thumbnailStrategy: library.thumbnails.strategy,
+      requiresAuth: library.access.requireAuth
+    };
+  }
+}
+
+module.exports = new LibraryService();
@@ -0,0 +1,297 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const config = require('../../config/config.json');
+
+const EDITABLE_FIELDS = ['title', 'description', 'tags', 'recordingDate', 'customFields'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 50;
+const MAX_CUSTOM_FIELDS = 50;
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+  }
+}
+
+/**
+ * User edits to video metadata (title, description, tags, recording date,
+ * custom fields), layered over probed and sidecar data.
+ *
+ * Overrides are keyed by video ID, so they follow a file across renames
+ * and moves. They are stored in a JSON file that is rewritten atomically;
+ * every change is also appended to a JSON Lines audit log.
+ */
+class OverrideService {
+  constructor() {
+    this.overrides = new Map(); // video ID -> override record
+    this.writeQueue = Promise.resolve();
+  }
+
+  resolvePath(configuredPath, fallback) {
+    const filePath = configuredPath || fallback;
+    return path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath);
+  }
+
+  getStorePath() {
+    return this.resolvePath(config.overrides?.path, './data/overrides.json');
+  }
+
+  getAuditLogPath() {
+    return this.resolvePath(config.overrides?.auditLogPath, './data/audit.jsonl');
+  }
+
+  async load() {
+    const storePath = this.getStorePath();
+    this.overrides.clear();
+
+    await fs.ensureDir(path.dirname(storePath));
+
+    if (await fs.pathExists(storePath)) {
+      try {
+        const data = await fs.readJson(storePath);
+        Object.entries(data).forEach(([videoId, record]) => this.overrides.set(videoId, record));
+      } catch (error) {
+        console.error(`🚨 [OVERRIDES] Could not read ${storePath}:`, error.message);
+      }
+    }
+
+    console.log(`✏️ [OVERRIDES] Loaded overrides for ${this.overrides.size} videos`);
+  }
+
+  get(videoId) {
+    return this.overrides.get(videoId) || null;
+  }
+
+  /**
+   * Check a PATCH body and normalize its values. A null value clears the
+   * override for that field; in customFields, a null value removes the key.
+   */
+  validate(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw new ValidationError('Request body must be an object');
+    }
+
+    const unknown = Object.keys(patch).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknown.join(', ')}`);
+    }
+
+    const result = {};
+
+    if ('title' in patch) {
+      const title = patch.title === null ? null : String(patch.title).trim();
+      if (title !== null && (!title || title.length > MAX_TITLE_LENGTH)) {
+        throw new ValidationError(`Title must be 1-${MAX_TITLE_LENGTH} characters`);
+      }
+      result.title = title;
+    }
+
+    if ('description' in patch) {
+      const description = patch.description === null ? null : String(patch.description).trim();
+      if (description !== null && description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new ValidationError(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+      result.description = description;
+    }
+
+    if ('tags' in patch) {
+      if (patch.tags !== null && !Array.isArray(patch.tags)) {
+        throw new ValidationError('Tags must be an array of strings');
+      }
+      const tags = patch.tags === null
+        ? null
+        : Array.from(new Set(patch.tags.map(tag => String(tag).trim()).filter(Boolean)));
+      if (tags && tags.length > MAX_TAGS) {
+        throw new ValidationError(`At most ${MAX_TAGS} tags are allowed`);
+      }
+      result.tags = tags;
+    }
+
+    if ('recordingDate' in patch) {
+      const value = patch.recordingDate;
+      if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+        throw new ValidationError('Recording date must be an ISO 8601 date');
+      }
+      result.recordingDate = value;
+    }
+
+    if ('customFields' in patch) {
+      const fields = patch.customFields;
+      if (fields !== null && (typeof fields !== 'object' || Array.isArray(fields))) {
+        throw new ValidationError('Custom fields must be an object of key/value pairs');
+      }
+
+      result.customFields = fields === null ? null : {};
+      Object.entries(fields || {}).forEach(([key, value]) => {
+        const name = key.trim();
+        if (!name || name.length > 100) {
+          throw new ValidationError('Custom field names must be 1-100 characters');
+        }
+        if (value !== null && typeof value === 'object') {
+          throw new ValidationError(`Custom field "${name}" must be a string, number or boolean`);
+        }
+        result.customFields[name] = value === null ? null : String(value);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply a validated patch for a video and record it in the audit log.
+   * Returns the updated override record (or null if nothing is overridden).
+   */
+  async update(videoId, patch, actor) {
+    await this.updateMany([{ videoId, patch }], actor);
+    return this.get(videoId);
+  }
+
+  /**
+   * Apply patches to several videos with a single write of the store.
+   * All patches are validated before any is applied. Returns the IDs of
+   * the videos that actually changed.
+   */
+  async updateMany(updates, actor) {
+    const validated = updates.map(({ videoId, patch }) => ({ videoId, values: this.validate(patch) }));
+    const at = new Date().toISOString();
+    const auditEntries = [];
+
+    validated.forEach(({ videoId, values }) => {
+      const changes = this.applyValues(videoId, values, actor, at);
+      if (changes) {
+        auditEntries.push({ at, videoId, actor, changes });
+      }
+    });
+
+    if (auditEntries.length === 0) {
+      return [];
+    }
+
+    await this.save();
+    await this.appendAudit(auditEntries);
+
+    auditEntries.forEach(({ videoId, changes }) => {
+      console.log(`✏️ [OVERRIDES] ${actor.user} (${actor.ip}) changed ${Object.keys(changes).join(', ')} of ${videoId}`);
+    });
+    return auditEntries.map(entry => entry.videoId);
+  }
+
+  /**
+   * Merge validated values into a video's override record in memory.
+   * Returns the changes ({ field: { from, to } }) or null if none.
+   */
+  applyValues(videoId, values, actor, at) {
+    const previous = this.get(videoId) || {};
+    const next = { ...previous };
+    const changes = {};
+
+    Object.entries(values).forEach(([field, value]) => {
+      let newValue = value;
+
+      if (field === 'customFields' && value !== null) {
+        const merged = { ...(previous.customFields || {}) };
+        Object.entries(value).forEach(([key, fieldValue]) => {
+          if (fieldValue === null) {
+            delete merged[key];
+          } else {
+            merged[key] = fieldValue;
+          }
+        });
+        newValue = Object.keys(merged).length > 0 ? merged : null;
+      }
+
+      if (newValue !== null && field === 'customFields' && Object.keys(newValue).length > MAX_CUSTOM_FIELDS) {
+        throw new ValidationError(`At most ${MAX_CUSTOM_FIELDS} custom fields are allowed`);
+      }
+
+      const oldValue = previous[field] ?? null;
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+        return;
+      }
+
+      changes[field] = { from: oldValue, to: newValue };
+      if (newValue === null) {
+        delete next[field];
+      } else {
+        next[field] = newValue;
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    if (EDITABLE_FIELDS.some(field => field in next)) {
+      next.updatedAt = at;
+      next.updatedBy = actor.user;
+      this.overrides.set(videoId, next);
+    } else {
+      this.overrides.delete(videoId);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Rewrite the override store (atomic via rename)
+   */
+  save() {
+    const storePath = this.getStorePath();
+    const tempPath = `${storePath}.tmp`;
+
+    const write = this.writeQueue.then(async () => {
+      await fs.writeJson(tempPath, Object.fromEntries(this.overrides), { spaces: 2 });
+      await fs.move(tempPath, storePath, { overwrite: true });
+    });
+
+    // Later writes still run if this one fails
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  appendAudit(entries) {
+    const auditPath = this.getAuditLogPath();
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    const write = this.writeQueue.then(() => fs.appendFile(auditPath, lines, 'utf8'));
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Audit log entries for one video, newest first
+   */
+  async getHistory(videoId, limit = 100) {
+    const auditPath = this.getAuditLogPath();
+    if (!await fs.pathExists(auditPath)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(auditPath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.includes(videoId)) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.videoId === videoId) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        // Skip a torn line from an interrupted write
+      }
+    }
+
+    return entries.reverse().slice(0, limit);
+  }
+}
+
+module.exports = new OverrideService();
+module.exports.ValidationError = ValidationError;
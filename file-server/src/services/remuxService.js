@@ -0,0 +1,111 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * Remuxing into fragmented MP4 on the fly. The video stream is copied, so
+ * this is only limited by disk speed; audio is copied too unless the
+ * client needs it converted to AAC. The output is a live stream without
+ * range support: players seek by requesting a new stream at `start`.
+ */
+class RemuxService {
+  constructor() {
+    this.sessions = new Map(); // session ID -> { videoId, start, audio, startedAt, command }
+    this.nextSessionId = 1;
+  }
+
+  /**
+   * Pipe a remuxed stream of `video` into `res`, starting `start` seconds
+   * in. `audio` is 'copy' or 'aac'; `throttle` is an optional transform
+   * the output passes through. The ffmpeg process is killed when the
+   * client disconnects.
+   */
+  stream(video, res, { start = 0, audio = 'copy', throttle = null } = {}) {
+    const id = String(this.nextSessionId++);
+    const args = [
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      '-c:v', 'copy',
+      ...(video.videoCodec === 'hevc' ? ['-tag:v', 'hvc1'] : []),
+      ...(audio === 'aac' ? ['-c:a', 'aac', '-b:a', '192k', '-ac', '2'] : ['-c:a', 'copy']),
+      '-sn',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      '-f', 'mp4'
+    ];
+
+    const command = ffmpeg(video.path);
+    if (start > 0) {
+      command.seekInput(start);
+    }
+    command
+      .outputOptions(...args)
+      .on('start', () => {
+        console.log(`📦 [REMUX] Streaming ${video.id} from ${start}s (audio: ${audio})`);
+      })
+      .on('end', () => this.sessions.delete(id))
+      .on('error', (error) => {
+        const stopped = !this.sessions.has(id);
+        this.sessions.delete(id);
+        if (!stopped) {
+          console.error(`🚨 [REMUX] ${video.id} failed:`, error.message);
+        }
+        if (throttle) {
+          throttle.destroy();
+        }
+        if (!res.headersSent) {
+          res.status(500).json({
+            error: {
+              message: 'Remuxing failed',
+              status: 500
+            }
+          });
+        } else {
+          res.end();
+        }
+      });
+
+    this.sessions.set(id, { videoId: video.id, start, audio, startedAt: Date.now(), command });
+    res.on('close', () => {
+      this.stop(id);
+      if (throttle) throttle.destroy();
+    });
+
+    if (throttle) {
+      command.pipe(throttle, { end: true });
+      throttle.pipe(res);
+    } else {
+      command.pipe(res, { end: true });
+    }
+    return id;
+  }
+
+  stop(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this.sessions.delete(id);
+    session.command.kill('SIGKILL');
+    return true;
+  }
+
+  /**
+   * Stop every remux of a video. Returns how many were stopped.
+   */
+  stopSessionsForVideo(videoId) {
+    const ids = Array.from(this.sessions.entries())
+      .filter(([, session]) => session.videoId === videoId)
+      .map(([id]) => id);
+    ids.forEach(id => this.stop(id));
+    return ids.length;
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.entries()).map(([id, session]) => ({
+      id,
+      videoId: session.videoId,
+      start: session.start,
+      audio: session.audio,
+      startedAt: new Date(session.startedAt).toISOString()
+    }));
+  }
+}
+
+module.exports = new RemuxService();
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const config = require('../../config/config.json');
+
+class SignedUrlError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'SignedUrlError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_SETTINGS = {
+  ttlSeconds: 900,
+  secret: null
+};
+
+// Scopes a token can be issued for: `stream` covers playback (the file,
+// remux, HLS and DASH), `download` only the download route
+const SCOPES = ['stream', 'download'];
+
+/**
+ * Short-lived signed URLs for streaming. Video elements cannot send an
+ * Authorization header, so playback URLs carry a `token` query parameter
+ * instead: the video ID, user, scope and expiry, signed with HMAC-SHA256.
+ * A token only works for the video and scope it was issued for.
+ */
+class SignedUrlService {
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...config.signedUrls };
+  }
+
+  sign(payload) {
+    const secret = this.getSettings().secret || config.jwtSecret;
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Compare a signature with the expected one in constant time. Lengths
+   * are compared as bytes, since a multibyte character can make strings
+   * of equal length into buffers of different lengths.
+   */
+  hasValidSignature(payload, signature) {
+    try {
+      const actual = Buffer.from(signature);
+      const expected = Buffer.from(this.sign(payload));
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Token for `scope` on one video, valid for signedUrls.ttlSeconds. The
+   * user's role travels with it so stream limits apply to signed URLs.
+   * Returns { token, expiresAt } with expiresAt in milliseconds.
+   */
+  createToken({ videoId, userId, role, scope = 'stream' }) {
+    if (!SCOPES.includes(scope)) {
+      throw new SignedUrlError(`Unknown scope "${scope}"`, 400);
+    }
+
+    const expiresAt = Date.now() + this.getSettings().ttlSeconds * 1000;
+    const payload = Buffer.from(JSON.stringify({
+      v: videoId,
+      u: userId,
+      r: role,
+      s: scope,
+      e: Math.floor(expiresAt / 1000)
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      expiresAt: Math.floor(expiresAt / 1000) * 1000
+    };
+  }
+
+  /**
+   * Check a token for a video and scope. Returns { videoId, userId, role,
+   * scope, expiresAt }; throws a SignedUrlError (401 when expired, 403 otherwise).
+   */
+  verifyToken(token, { videoId, scope }) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !this.hasValidSignature(payload, signature)) {
+      throw new SignedUrlError('Invalid stream URL signature');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new SignedUrlError('Invalid stream URL signature');
+    }
+
+    if (data.v !== videoId || data.s !== scope) {
+      throw new SignedUrlError('Stream URL is not valid for this resource');
+    }
+    if (data.e * 1000 <= Date.now()) {
+      throw new SignedUrlError('Stream URL expired', 401);
+    }
+
+    return {
+      videoId: data.v,
+      userId: data.u,
+      role: data.r,
+      scope: data.s,
+      expiresAt: data.e * 1000
+    };
+  }
+}
+
+module.exports = new SignedUrlService();
+module.exports.SignedUrlError = SignedUrlError;
@@ -0,0 +1,317 @@
+const config = require('../../config/config.json');
+const { getUserFromRequest, getUserId, getUserRole } = require('../middleware/auth');
+const { RateLimiter, createThrottle } = require('../utils/throttle');
+const transcodeService = require('./transcodeService');
+
+class StreamLimitError extends Error {
+  constructor(message, { status = 429, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'StreamLimitError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const DEFAULT_SETTINGS = {
+  globalBytesPerSecond: 0,
+  sessionIdleMs: 30000,
+  terminatedBlockMs: 300000,
+  roles: {}
+};
+
+// Throughput is measured over windows of this length
+const THROUGHPUT_WINDOW_MS = 2000;
+
+// How each transport delivers the video, for the sessions dashboard
+const METHODS = {
+  file: 'direct',
+  remux: 'remux',
+  segments: 'transcode'
+};
+
+const DEFAULT_ROLE_LIMITS = {
+  bytesPerSecond: 0,
+  maxConcurrentStreams: 0
+};
+
+/**
+ * Stream sessions and the limits on them. Playback is many requests
+ * (ranges, segments, remux restarts), so a session is one client watching
+ * or downloading one video: it stays open while requests are in flight
+ * and for streamLimits.sessionIdleMs after the last one. Each role has a
+ * maximum number of concurrent sessions per client and a bandwidth cap
+ * shared by the client's streams; a global cap applies to everyone.
+ */
+class StreamSessionService {
+  constructor() {
+    this.sessions = new Map(); // `${clientId}|${videoId}|${scope}` -> session
+    this.clientLimiters = new Map(); // client ID -> RateLimiter
+    this.terminated = new Map(); // session key -> time until which it stays blocked
+    this.globalLimiter = new RateLimiter();
+    this.nextSessionId = 1;
+  }
+
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...config.streamLimits };
+  }
+
+  /**
+   * Limits of a role: streamLimits.roles.<role> over roles.default
+   */
+  getRoleLimits(role) {
+    const { roles = {} } = this.getSettings();
+    return { ...DEFAULT_ROLE_LIMITS, ...roles.default, ...roles[role] };
+  }
+
+  // Who is streaming: the user, or for anonymous requests the client IP
+  getClient(req) {
+    const user = req.user || getUserFromRequest(req);
+    const userId = getUserId(user);
+    const ip = req.ip || req.connection.remoteAddress;
+
+    return {
+      clientId: userId === 'anonymous' ? `anonymous@${ip}` : userId,
+      role: getUserRole(user),
+      ip
+    };
+  }
+
+  isActive(session, now = Date.now()) {
+    return session.activeRequests > 0 || now - session.lastActivity < this.getSettings().sessionIdleMs;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, session] of this.sessions) {
+      if (!this.isActive(session, now)) {
+        this.sessions.delete(key);
+      }
+    }
+    for (const [key, until] of this.terminated) {
+      if (until <= now) {
+        this.terminated.delete(key);
+      }
+    }
+
+    const clients = new Set(Array.from(this.sessions.values()).map(session => session.clientId));
+    for (const clientId of this.clientLimiters.keys()) {
+      if (!clients.has(clientId)) {
+        this.clientLimiters.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Register a streaming request for `video` and return its session,
+   * opening one if the client is not streaming the video yet. `transport`
+   * says how it is delivered ('file', 'remux' or 'segments'). The request
+   * counts as in flight until `res` closes. Throws a StreamLimitError when
+   * the client already has its role's maximum of sessions open (429), or
+   * when an admin terminated its session of the video (403).
+   */
+  open(req, res, video, transport) {
+    this.prune();
+
+    const { clientId, role, ip } = this.getClient(req);
+    const scope = req.signedUrlScope === 'download' ? 'download' : 'stream';
+    const key = `${clientId}|${video.id}|${scope}`;
+    let session = this.sessions.get(key);
+
+    if (this.terminated.has(key)) {
+      throw new StreamLimitError('This stream was stopped by an administrator', {
+        status: 403,
+        retryAfter: Math.ceil((this.terminated.get(key) - Date.now()) / 1000)
+      });
+    }
+
+    if (!session) {
+      const { maxConcurrentStreams } = this.getRoleLimits(role);
+      const open = Array.from(this.sessions.values()).filter(s => s.clientId === clientId);
+
+      if (maxConcurrentStreams > 0 && open.length >= maxConcurrentStreams) {
+        console.warn(`🚦 [STREAM LIMIT] ${clientId} (${role}) refused: ${open.length} of ${maxConcurrentStreams} streams open`);
+        throw new StreamLimitError(
+          `Too many concurrent streams (limit ${maxConcurrentStreams}). Stop another stream and try again.`,
+          { retryAfter: this.getRetryAfter(open) }
+        );
+      }
+
+      session = {
+        id: String(this.nextSessionId++),
+        key,
+        clientId,
+        role,
+        videoId: video.id,
+        title: video.title || video.filename,
+        duration: video.duration || null,
+        scope,
+        transport,
+        ip,
+        userAgent: req.headers['user-agent'] || null,
+        startedAt: Date.now(),
+        lastActivity: Date.now(),
+        activeRequests: 0,
+        bytesSent: 0,
+        position: null,
+        positionAt: null,
+        advancing: false,
+        throughput: 0,
+        windowStart: Date.now(),
+        windowBytes: 0,
+        responses: new Set()
+      };
+      this.sessions.set(key, session);
+    }
+
+    session.transport = transport;
+    session.lastActivity = Date.now();
+    session.activeRequests++;
+    session.responses.add(res);
+
+    res.on('close', () => {
+      session.activeRequests--;
+      session.lastActivity = Date.now();
+      session.responses.delete(res);
+    });
+
+    return session;
+  }
+
+  // Seconds until one of `sessions` goes idle, for Retry-After
+  getRetryAfter(sessions) {
+    const { sessionIdleMs } = this.getSettings();
+    const now = Date.now();
+    const waits = sessions
+      .filter(session => session.activeRequests === 0)
+      .map(session => session.lastActivity + sessionIdleMs - now);
+
+    return Math.max(1, Math.ceil((waits.length ? Math.min(...waits) : sessionIdleMs) / 1000));
+  }
+
+  /**
+   * Throttle for a response of `session`: the client's role cap (shared by
+   * all of its streams) and the global cap. Counts the bytes sent.
+   */
+  createThrottle(session) {
+    const { bytesPerSecond } = this.getRoleLimits(session.role);
+    let clientLimiter = this.clientLimiters.get(session.clientId);
+    if (!clientLimiter) {
+      clientLimiter = new RateLimiter(bytesPerSecond);
+      this.clientLimiters.set(session.clientId, clientLimiter);
+    }
+    clientLimiter.setRate(bytesPerSecond);
+    this.globalLimiter.setRate(this.getSettings().globalBytesPerSecond);
+
+    return createThrottle([clientLimiter, this.globalLimiter], (bytes) => this.countBytes(session, bytes));
+  }
+
+  countBytes(session, bytes) {
+    const now = Date.now();
+    if (now - session.windowStart >= THROUGHPUT_WINDOW_MS) {
+      session.throughput = Math.round((session.windowBytes * 1000) / (now - session.windowStart));
+      session.windowStart = now;
+      session.windowBytes = 0;
+    }
+
+    session.windowBytes += bytes;
+    session.bytesSent += bytes;
+    session.lastActivity = now;
+  }
+
+  /**
+   * Record where in the video (seconds) the latest request of a session
+   * starts. `advancing` positions move on with the clock while a request
+   * is in flight, for live streams such as remuxes.
+   */
+  setPosition(session, seconds, { advancing = false } = {}) {
+    if (!session || !Number.isFinite(seconds)) return;
+
+    session.position = seconds;
+    session.positionAt = Date.now();
+    session.advancing = advancing;
+  }
+
+  getPosition(session, now) {
+    if (session.position === null) return null;
+
+    let position = session.position;
+    if (session.advancing && session.activeRequests > 0) {
+      position += (now - session.positionAt) / 1000;
+    }
+    return session.duration ? Math.min(position, session.duration) : position;
+  }
+
+  getThroughput(session, now) {
+    // Nothing sent for more than a window: the stream is idle
+    return now - session.lastActivity > THROUGHPUT_WINDOW_MS * 2 ? 0 : session.throughput;
+  }
+
+  getSession(id) {
+    this.prune();
+    return Array.from(this.sessions.values()).find(session => session.id === id) || null;
+  }
+
+  /**
+   * Stop a session: close its responses (which kills a remux behind
+   * them), stop the video's transcoders unless another session is
+   * watching the same transcode, and block the client from resuming the
+   * video for streamLimits.terminatedBlockMs. Returns what was stopped,
+   * or null if there is no such session.
+   */
+  terminate(id) {
+    const session = this.getSession(id);
+    if (!session) return null;
+
+    const closed = session.responses.size;
+    session.responses.forEach(res => res.destroy());
+    session.responses.clear();
+    this.sessions.delete(session.key);
+    this.terminated.set(session.key, Date.now() + this.getSettings().terminatedBlockMs);
+
+    let stoppedTranscoders = 0;
+    const sharedTranscode = Array.from(this.sessions.values())
+      .some(other => other.videoId === session.videoId && other.transport === 'segments');
+    if (session.transport === 'segments' && !sharedTranscode) {
+      stoppedTranscoders = transcodeService.stopTranscodersForVideo(session.videoId, 'session terminated');
+    }
+
+    console.log(`🛑 [STREAM SESSION] Terminated ${session.clientId} on ${session.videoId}: ${closed} request(s), ${stoppedTranscoders} transcoder(s)`);
+    return {
+      session: this.describe(session),
+      closedRequests: closed,
+      stoppedTranscoders
+    };
+  }
+
+  describe(session, now = Date.now()) {
+    return {
+      id: session.id,
+      user: session.clientId,
+      role: session.role,
+      videoId: session.videoId,
+      title: session.title,
+      duration: session.duration,
+      method: session.scope === 'download' ? 'download' : METHODS[session.transport],
+      transport: session.transport,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      startedAt: new Date(session.startedAt).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      activeRequests: session.activeRequests,
+      position: this.getPosition(session, now),
+      bytesSent: session.bytesSent,
+      throughput: this.getThroughput(session, now)
+    };
+  }
+
+  listSessions() {
+    this.prune();
+    const now = Date.now();
+    return Array.from(this.sessions.values())
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map(session => this.describe(session, now));
+  }
+}
+
+module.exports = new StreamSessionService();
+module.exports.StreamLimitError = StreamLimitError;
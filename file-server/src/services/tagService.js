@@ -0,0 +1,310 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../../config/config.json');
+const overrideService = require('./overrideService');
+const videoService = require('./videoService');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 500;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+class TagError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TagError';
+    this.status = status;
+  }
+}
+
+/**
+ * Tag registry and bulk tag assignment.
+ *
+ * A video's tags are the tags from its sidecar, or the user's edited list
+ * once tags were changed through the API. Assignments are written as
+ * overrides, so they are audit-logged and follow the video across renames.
+ * The registry only adds a color and description to tag names; tags that
+ * are used on videos but not registered are still listed (managed: false).
+ * Names are matched case-insensitively.
+ */
+class TagService {
+  constructor() {
+    this.tags = new Map(); // lowercase name -> { name, color, description, createdAt }
+    this.writeQueue = Promise.resolve();
+  }
+
+  getStorePath() {
+    const filePath = config.tags?.path || './data/tags.json';
+    return path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath);
+  }
+
+  async load() {
+    const storePath = this.getStorePath();
+    this.tags.clear();
+
+    await fs.ensureDir(path.dirname(storePath));
+
+    if (await fs.pathExists(storePath)) {
+      try {
+        const data = await fs.readJson(storePath);
+        data.forEach(tag => this.tags.set(tag.name.toLowerCase(), tag));
+      } catch (error) {
+        console.error(`🚨 [TAGS] Could not read ${storePath}:`, error.message);
+      }
+    }
+
+    console.log(`🏷️ [TAGS] Loaded ${this.tags.size} tags`);
+  }
+
+  /**
+   * Rewrite the tag registry (atomic via rename)
+   */
+  save() {
+    const storePath = this.getStorePath();
+    const tempPath = `${storePath}.tmp`;
+
+    const write = this.writeQueue.then(async () => {
+      await fs.writeJson(tempPath, Array.from(this.tags.values()), { spaces: 2 });
+      await fs.move(tempPath, storePath, { overwrite: true });
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  getTag(name) {
+    return this.tags.get(String(name).trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Check a tag name. Commas are not allowed because sidecars and the
+   * edit form use them to separate tags.
+   */
+  validateName(name) {
+    const value = typeof name === 'string' ? name.trim() : '';
+    if (!value || value.length > MAX_NAME_LENGTH) {
+      throw new TagError(`Tag names must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (/[,;]/.test(value)) {
+      throw new TagError('Tag names cannot contain commas or semicolons');
+    }
+    return value;
+  }
+
+  validateDetails({ color, description }) {
+    const details = {};
+
+    if (color !== undefined) {
+      if (color !== null && !COLOR_PATTERN.test(color)) {
+        throw new TagError('Color must be a hex color like #2a9d8f');
+      }
+      details.color = color ? color.toLowerCase() : null;
+    }
+
+    if (description !== undefined) {
+      const text = description === null ? null : String(description).trim();
+      if (text && text.length > MAX_DESCRIPTION_LENGTH) {
+        throw new TagError(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+      details.description = text || null;
+    }
+
+    return details;
+  }
+
+  /**
+   * All tags with the number of the given videos that carry them, most
+   * used first
+   */
+  listTags(videos) {
+    const counts = new Map(); // lowercase name -> { name, count }
+
+    videos.forEach(video => {
+      const seen = new Set();
+      (video.tags || []).forEach(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const entry = counts.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    const registered = Array.from(this.tags.entries()).map(([key, tag]) => ({
+      ...tag,
+      count: counts.get(key)?.count || 0,
+      managed: true
+    }));
+    const implicit = Array.from(counts.entries())
+      .filter(([key]) => !this.tags.has(key))
+      .map(([, entry]) => ({ name: entry.name, color: null, description: null, createdAt: null, count: entry.count, managed: false }));
+
+    return [...registered, ...implicit]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  async createTag({ name, color = null, description = null } = {}) {
+    const tagName = this.validateName(name);
+    if (this.getTag(tagName)) {
+      throw new TagError(`Tag "${tagName}" already exists`, 409);
+    }
+
+    const tag = {
+      name: tagName,
+      color: null,
+      description: null,
+      ...this.validateDetails({ color, description }),
+      createdAt: new Date().toISOString()
+    };
+
+    this.tags.set(tagName.toLowerCase(), tag);
+    await this.save();
+    console.log(`🏷️ [TAGS] Created tag "${tagName}"`);
+    return tag;
+  }
+
+  /**
+   * Change a tag's color or description, or rename it. A rename is applied
+   * to every given video that carries the tag. Unregistered tags become
+   * registered when they are updated.
+   */
+  async updateTag(name, changes = {}, videos, actor) {
+    const current = this.getTag(name);
+    const usedOn = videos.filter(video => this.hasTag(video, name));
+
+    if (!current && usedOn.length === 0) {
+      throw new TagError(`Tag "${name}" not found`, 404);
+    }
+
+    const details = this.validateDetails(changes);
+    const oldName = current ? current.name : usedOn[0].tags.find(tag => tag.toLowerCase() === name.toLowerCase());
+    let newName = oldName;
+
+    if (changes.name !== undefined) {
+      newName = this.validateName(changes.name);
+      const existing = this.getTag(newName);
+      if (existing && newName.toLowerCase() !== oldName.toLowerCase()) {
+        throw new TagError(`Tag "${newName}" already exists`, 409);
+      }
+    }
+
+    const tag = {
+      color: null,
+      description: null,
+      createdAt: new Date().toISOString(),
+      ...current,
+      ...details,
+      name: newName
+    };
+
+    this.tags.delete(oldName.toLowerCase());
+    this.tags.set(newName.toLowerCase(), tag);
+    await this.save();
+
+    let updated = 0;
+    if (newName !== oldName) {
+      updated = await this.rewriteTags(usedOn, tags => tags.map(item => (
+        item.toLowerCase() === oldName.toLowerCase() ? newName : item
+      )), actor);
+      console.log(`🏷️ [TAGS] Renamed "${oldName}" to "${newName}" on ${updated} videos`);
+    }
+
+    return { tag, updated };
+  }
+
+  /**
+   * Remove a tag from the registry and from the given videos
+   */
+  async deleteTag(name, videos, actor) {
+    const current = this.getTag(name);
+    const usedOn = videos.filter(video => this.hasTag(video, name));
+
+    if (!current && usedOn.length === 0) {
+      throw new TagError(`Tag "${name}" not found`, 404);
+    }
+
+    if (current) {
+      this.tags.delete(current.name.toLowerCase());
+      await this.save();
+    }
+
+    const updated = await this.rewriteTags(usedOn, tags => tags.filter(item => (
+      item.toLowerCase() !== name.toLowerCase()
+    )), actor);
+
+    console.log(`🏷️ [TAGS] Deleted "${name}" from ${updated} videos`);
+    return { updated };
+  }
+
+  /**
+   * Add and remove tags on many videos at once. Added tags that are not
+   * registered yet are created.
+   */
+  async assignTags(videos, { add = [], remove = [] } = {}, actor) {
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      throw new TagError('add and remove must be arrays of tag names');
+    }
+    if (add.length === 0 && remove.length === 0) {
+      throw new TagError('Nothing to assign: add or remove at least one tag');
+    }
+
+    const addNames = add.map(name => {
+      const tagName = this.validateName(name);
+      return this.getTag(tagName)?.name || tagName;
+    });
+    const removeKeys = new Set(remove.map(name => String(name).trim().toLowerCase()));
+
+    const created = addNames.filter(tagName => !this.getTag(tagName));
+    if (created.length > 0) {
+      const createdAt = new Date().toISOString();
+      created.forEach(tagName => {
+        this.tags.set(tagName.toLowerCase(), { name: tagName, color: null, description: null, createdAt });
+      });
+      await this.save();
+    }
+
+    const updated = await this.rewriteTags(videos, tags => {
+      const next = tags.filter(item => !removeKeys.has(item.toLowerCase()));
+      addNames.forEach(tagName => {
+        if (!next.some(item => item.toLowerCase() === tagName.toLowerCase())) {
+          next.push(tagName);
+        }
+      });
+      return next;
+    }, actor);
+
+    console.log(`🏷️ [TAGS] Updated tags of ${updated} of ${videos.length} videos`);
+    return { updated, created };
+  }
+
+  hasTag(video, name) {
+    const key = String(name).trim().toLowerCase();
+    return (video.tags || []).some(tag => tag.toLowerCase() === key);
+  }
+
+  /**
+   * Write new tag lists for videos as overrides (one store write for all
+   * of them) and re-layer the changed videos. Returns how many changed.
+   */
+  async rewriteTags(videos, transform, actor) {
+    const updates = videos
+      .map(video => {
+        const tags = video.tags || [];
+        const next = transform([...tags]);
+        return JSON.stringify(next) === JSON.stringify(tags) ? null : { videoId: video.id, patch: { tags: next } };
+      })
+      .filter(Boolean);
+
+    if (updates.length === 0) {
+      return 0;
+    }
+
+    const changedIds = await overrideService.updateMany(updates, actor);
+    changedIds.forEach(videoId => videoService.applyOverrides(videoId));
+    return changedIds.length;
+  }
+}
+
+module.exports = new TagService();
+module.exports.TagError = TagError;
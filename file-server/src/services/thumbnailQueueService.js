@@ -0,0 +1,282 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const config = require('../../config/config.json');
+const thumbnailService = require('./thumbnailService');
+const libraryService = require('./libraryService');
+const videoService = require('./videoService');
+
+// Lower runs first
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+// Delay before queue changes are written to disk
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Persistent queue of thumbnails to generate, so that API requests never
+ * wait for ffmpeg.
+ *
+ * Videos are queued with a priority (high for a video being opened,
+ * normal for list pages, low for background work) and generated at most
+ * thumbnailQueue.concurrency at a time. A failed generation is retried
+ * with exponential backoff up to thumbnailQueue.maxAttempts, then the
+ * video stays `failed` until it is requested again explicitly. The queue
+ * is saved to disk, so pending work survives a restart.
+ *
+ * Listeners added with subscribe() get { videoId, state, thumbnail } when a
+ * thumbnail becomes ready or finally fails.
+ */
+class ThumbnailQueueService {
+  constructor() {
+    this.entries = new Map(); // video ID -> { videoId, priority, state, attempts, nextAttemptAt, lastError, queuedAt }
+    this.active = 0;
+    this.retryTimer = null;
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  getSettings() {
+    return {
+      concurrency: 2,
+      maxAttempts: 3,
+      retryDelayMs: 30000,
+      ...config.thumbnailQueue
+    };
+  }
+
+  getStorePath() {
+    const filePath = config.thumbnailQueue?.path || './data/thumbnail-queue.json';
+    return path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath);
+  }
+
+  /**
+   * Restore the queue saved by a previous run. Call after the video
+   * library is loaded, so entries for removed videos can be dropped.
+   */
+  async load() {
+    const storePath = this.getStorePath();
+    this.entries.clear();
+
+    await fs.ensureDir(path.dirname(storePath));
+
+    if (await fs.pathExists(storePath)) {
+      try {
+        const data = await fs.readJson(storePath);
+        data
+          .filter(entry => videoService.getVideoById(entry.videoId))
+          // Generation was interrupted by the restart
+          .forEach(entry => this.entries.set(entry.videoId, { ...entry, state: entry.state === 'failed' ? 'failed' : 'queued' }));
+      } catch (error) {
+        console.error(`🚨 [THUMBNAILS] Could not read ${storePath}:`, error.message);
+      }
+    }
+
+    const pending = Array.from(this.entries.values()).filter(entry => entry.state !== 'failed').length;
+    console.log(`🖼️ [THUMBNAILS] Loaded queue: ${pending} pending, ${this.entries.size - pending} failed`);
+    this.process();
+  }
+
+  /**
+   * Write the queue to disk soon (atomic via rename). Changes arriving in
+   * the meantime are written together.
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.error('🚨 [THUMBNAILS] Could not save queue:', error.message));
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const storePath = this.getStorePath();
+    const tempPath = `${storePath}.tmp`;
+    const entries = Array.from(this.entries.values());
+
+    const write = this.writeQueue.then(async () => {
+      await fs.writeJson(tempPath, entries, { spaces: 2 });
+      await fs.move(tempPath, storePath, { overwrite: true });
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Queue a thumbnail for a video that has none. Returns the thumbnail
+   * state to report to the client: 'pending', 'failed' or 'none' (the
+   * library does not generate thumbnails). With `retry`, a video that
+   * failed before is queued again.
+   */
+  request(video, { priority = 'normal', retry = false } = {}) {
+    const strategy = libraryService.getThumbnailStrategy(video.libraryId);
+    if (strategy === 'none') {
+      return 'none';
+    }
+
+    const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+    const entry = this.entries.get(video.id);
+
+    if (entry) {
+      if (entry.state === 'failed' && !retry) {
+        return 'failed';
+      }
+      if (entry.state === 'failed') {
+        Object.assign(entry, { state: 'queued', attempts: 0, nextAttemptAt: 0, lastError: null });
+      }
+      if (rank < entry.priority) {
+        entry.priority = rank;
+      }
+    } else {
+      this.entries.set(video.id, {
+        videoId: video.id,
+        priority: rank,
+        state: 'queued',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        queuedAt: new Date().toISOString()
+      });
+    }
+
+    this.scheduleSave();
+    this.process();
+    return 'pending';
+  }
+
+  /**
+   * Start due entries up to the concurrency limit, and wake up again when
+   * the next retry is due
+   */
+  process() {
+    const { concurrency } = this.getSettings();
+    const now = Date.now();
+
+    while (this.active < concurrency) {
+      const next = this.getNextEntry(now);
+      if (!next) break;
+      this.run(next);
+    }
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const waiting = Array.from(this.entries.values())
+      .filter(entry => entry.state === 'queued' && entry.nextAttemptAt > now)
+      .map(entry => entry.nextAttemptAt);
+    if (waiting.length > 0) {
+      this.retryTimer = setTimeout(() => this.process(), Math.min(...waiting) - now);
+      this.retryTimer.unref();
+    }
+  }
+
+  getNextEntry(now) {
+    let next = null;
+    for (const entry of this.entries.values()) {
+      if (entry.state !== 'queued' || entry.nextAttemptAt > now) continue;
+      if (!next || entry.priority < next.priority ||
+        (entry.priority === next.priority && entry.queuedAt < next.queuedAt)) {
+        next = entry;
+      }
+    }
+    return next;
+  }
+
+  async run(entry) {
+    const video = videoService.getVideoById(entry.videoId);
+    if (!video) {
+      this.entries.delete(entry.videoId);
+      this.scheduleSave();
+      return;
+    }
+
+    entry.state = 'running';
+    entry.attempts++;
+    this.active++;
+
+    let thumbnailPath = null;
+    let errorMessage = 'Thumbnail generation failed';
+    try {
+      // The queue decides about retries, not the service's failure cache
+      thumbnailService.forgetFailure(video.id);
+      thumbnailPath = await thumbnailService.generateThumbnail(video.path, video.id, {
+        strategy: libraryService.getThumbnailStrategy(video.libraryId)
+      });
+    } catch (error) {
+      errorMessage = error.message;
+    } finally {
+      this.active--;
+    }
+
+    if (thumbnailPath) {
+      this.entries.delete(video.id);
+      this.notify(video.id, 'ready');
+    } else if (entry.attempts >= this.getSettings().maxAttempts) {
+      Object.assign(entry, { state: 'failed', lastError: errorMessage });
+      console.warn(`⚠️ [THUMBNAILS] Giving up on ${video.id} after ${entry.attempts} attempts`);
+      this.notify(video.id, 'failed', errorMessage);
+    } else {
+      const delay = this.getSettings().retryDelayMs * 2 ** (entry.attempts - 1);
+      Object.assign(entry, { state: 'queued', nextAttemptAt: Date.now() + delay, lastError: errorMessage });
+      console.log(`🖼️ [THUMBNAILS] Retrying ${video.id} in ${Math.round(delay / 1000)}s`);
+    }
+
+    this.scheduleSave();
+    this.process();
+  }
+
+  notify(videoId, state, error = null) {
+    this.events.emit('thumbnail', {
+      videoId,
+      state,
+      thumbnail: state === 'ready' ? `/thumbnails/${videoId}.jpg` : null,
+      ...(error && { error })
+    });
+  }
+
+  /**
+   * Listen for thumbnails becoming ready or failing. Returns an
+   * unsubscribe function.
+   */
+  subscribe(listener) {
+    this.events.on('thumbnail', listener);
+    return () => this.events.off('thumbnail', listener);
+  }
+
+  /**
+   * Thumbnail state of a video: 'ready', 'pending', 'failed', 'none' or
+   * 'missing' (no thumbnail and not queued)
+   */
+  async getState(video) {
+    if (await thumbnailService.getThumbnailPath(video.id)) {
+      return 'ready';
+    }
+
+    const entry = this.entries.get(video.id);
+    if (entry) {
+      return entry.state === 'failed' ? 'failed' : 'pending';
+    }
+
+    return libraryService.getThumbnailStrategy(video.libraryId) === 'none' ? 'none' : 'missing';
+  }
+
+  getStats() {
+    const stats = { queued: 0, running: 0, retrying: 0, failed: 0, concurrency: this.getSettings().concurrency };
+    const now = Date.now();
+
+    this.entries.forEach(entry => {
+      if (entry.state === 'queued' && entry.nextAttemptAt > now) {
+        stats.retrying++;
+      } else {
+        stats[entry.state]++;
+      }
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new ThumbnailQueueService();
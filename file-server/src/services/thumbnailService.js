@@ -1,15 +1,89 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const ffmpeg = require('fluent-ffmpeg');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const config = require('../../config/config.json');
+const { LruCache } = require('../utils/lruCache');
+const { createLimiter } = require('../utils/concurrency');
 
 const execAsync = promisify(exec);
 
+class ThumbnailError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ThumbnailError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_PREVIEW_SETTINGS = {
+  maxDuration: 15,
+  maxWidth: 1280,
+  maxFps: 30,
+  concurrency: 1,
+  cacheMaxBytes: 512 * 1024 * 1024
+};
+
+// Finished previews in the thumbnail folder (not the .part files being written)
+const PREVIEW_FILE_PATTERN = /_preview_[0-9a-f]{16}\.(gif|webm|mp4)$/;
+
+// Animated preview formats. Previews are muted; GIFs get a palette made
+// from their own frames, so colors stay close to the video.
+const PREVIEW_FORMATS = {
+  gif: {
+    extension: '.gif',
+    fps: 12,
+    options: ({ fps, width }) => [
+      '-filter_complex',
+      `fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`,
+      '-loop', '0'
+    ]
+  },
+  webm: {
+    extension: '.webm',
+    fps: 24,
+    options: ({ fps, width }) => [
+      '-vf', `fps=${fps},scale=${width}:-2`,
+      '-an',
+      '-c:v', 'libvpx-vp9', '-crf', '36', '-b:v', '0', '-row-mt', '1', '-pix_fmt', 'yuv420p'
+    ]
+  },
+  mp4: {
+    extension: '.mp4',
+    fps: 24,
+    options: ({ fps, width }) => [
+      '-vf', `fps=${fps},scale=${width}:-2`,
+      '-an',
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '26', '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart'
+    ]
+  }
+};
+
+const DEFAULT_FRAME_SETTINGS = {
+  cacheMaxBytes: 256 * 1024 * 1024,
+  maxWidth: 7680,
+  concurrency: 2
+};
+
+// Still image formats for frame grabs
+const FRAME_FORMATS = {
+  png: { mimeType: 'image/png', options: ['-c:v', 'png'] },
+  jpg: { mimeType: 'image/jpeg', options: ['-c:v', 'mjpeg', '-q:v', '2'] },
+  webp: { mimeType: 'image/webp', options: ['-c:v', 'libwebp', '-quality', '90'] }
+};
+
 class ThumbnailService {
   constructor() {
     this.thumbnailCache = new Map();
+    this.pendingPreviews = new Map(); // preview file name -> Promise
+    this.runPreview = createLimiter(this.getPreviewSettings().concurrency);
+    this.previewTrim = Promise.resolve();
+    this.frameCache = new LruCache(this.getFrameSettings().cacheMaxBytes);
+    this.pendingFrames = new Map(); // frame cache key -> Promise
+    this.runFrameGrab = createLimiter(this.getFrameSettings().concurrency);
     this.useFaceDetection = true; // Enable face detection by default
     this.pythonAvailable = null; // Will be checked lazily
   }
@@ -47,10 +121,19 @@ class ThumbnailService {
     }
   }
 
-  async generateThumbnail(videoPath, videoId) {
+  /**
+   * Generate the main thumbnail for a video.
+   * strategy: 'auto' (face detection when available, else first frame),
+   * 'first-frame' (skip face detection) or 'none' (never generate)
+   */
+  async generateThumbnail(videoPath, videoId, { strategy = 'auto' } = {}) {
     try {
       const thumbnailPath = path.join(config.thumbnailFolder, `${videoId}.jpg`);
       
+      if (strategy === 'none') {
+        return null;
+      }
+      
       // Check if thumbnail already exists and is recent
       if (await this.isThumbnailValid(thumbnailPath)) {
         console.log(`Using existing thumbnail for: ${videoId}`);
@@ -70,7 +153,7 @@ class ThumbnailService {
       await fs.ensureDir(config.thumbnailFolder);
 
       // Try Python-based face detection first
-      if (this.useFaceDetection && await this.checkPythonAvailability()) {
+      if (strategy === 'auto' && this.useFaceDetection && await this.checkPythonAvailability()) {
         try {
           console.log('🔍 Attempting face detection for thumbnail...');
           const scriptPath = path.join(__dirname, '../../scripts/face_detect_thumbnail.py');
@@ -117,6 +200,13 @@ class ThumbnailService {
     }
   }
 
+  /**
+   * Allow another attempt for a video whose thumbnail failed before
+   */
+  forgetFailure(videoId) {
+    this.thumbnailCache.delete(`failed_${videoId}`);
+  }
+
   async isThumbnailValid(thumbnailPath) {
     try {
       const stats = await fs.stat(thumbnailPath);
@@ -207,6 +297,239 @@ class ThumbnailService {
     }
   }
 
+  getPreviewSettings() {
+    return { ...DEFAULT_PREVIEW_SETTINGS, ...config.previews };
+  }
+
+  /**
+   * Check animated preview options ({ start, duration, format, width, fps })
+   * against a video and fill in defaults. Throws a ThumbnailError.
+   */
+  normalizePreviewOptions(video, { start = 0, duration = 3, format = 'gif', width = 480, fps } = {}) {
+    const settings = this.getPreviewSettings();
+    const preview = Object.hasOwn(PREVIEW_FORMATS, format) ? PREVIEW_FORMATS[format] : null;
+    if (!preview) {
+      throw new ThumbnailError(`Unknown format "${format}". Use one of: ${Object.keys(PREVIEW_FORMATS).join(', ')}`);
+    }
+
+    const options = {
+      start: Number(start),
+      duration: Number(duration),
+      format,
+      width: parseInt(width, 10),
+      fps: fps === undefined ? preview.fps : Number(fps)
+    };
+
+    if (!Number.isFinite(options.start) || options.start < 0 || (video.duration && options.start >= video.duration)) {
+      throw new ThumbnailError('start must be within the video');
+    }
+    if (!Number.isFinite(options.duration) || options.duration <= 0 || options.duration > settings.maxDuration) {
+      throw new ThumbnailError(`duration must be between 0 and ${settings.maxDuration} seconds`);
+    }
+    if (!Number.isInteger(options.width) || options.width < 16 || options.width > settings.maxWidth) {
+      throw new ThumbnailError(`width must be between 16 and ${settings.maxWidth} pixels`);
+    }
+    if (!Number.isFinite(options.fps) || options.fps <= 0 || options.fps > settings.maxFps) {
+      throw new ThumbnailError(`fps must be between 0 and ${settings.maxFps}`);
+    }
+
+    if (video.duration) {
+      options.duration = Math.min(options.duration, video.duration - options.start);
+    }
+    return options;
+  }
+
+  /**
+   * Generate an animated preview (GIF, WebM or MP4 loop) of a time range,
+   * with options from normalizePreviewOptions(). At most
+   * previews.concurrency previews are rendered at once; the rest wait.
+   * Previews are cached in the thumbnail folder by video file and options,
+   * and the least recently used are deleted beyond previews.cacheMaxBytes.
+   * Returns { path, filename, cached }.
+   */
+  async generatePreview(videoPath, videoId, options) {
+    const { start, duration, format, width, fps } = options;
+    const stats = await fs.stat(videoPath);
+    const key = crypto.createHash('sha1')
+      .update(JSON.stringify([stats.size, stats.mtime.getTime(), start, duration, format, width, fps]))
+      .digest('hex')
+      .substring(0, 16);
+    const filename = `${videoId}_preview_${key}${PREVIEW_FORMATS[format].extension}`;
+    const previewPath = path.join(config.thumbnailFolder, filename);
+
+    if (await fs.pathExists(previewPath)) {
+      // The modification time orders previews for trimPreviews()
+      const now = new Date();
+      await fs.utimes(previewPath, now, now).catch(() => {});
+      return { path: previewPath, filename, cached: true };
+    }
+
+    // The same preview requested twice at once is only made once
+    if (!this.pendingPreviews.has(filename)) {
+      const pending = this.runPreview(() => this.renderPreview(videoPath, previewPath, options))
+        .then(() => this.schedulePreviewTrim(previewPath))
+        .finally(() => this.pendingPreviews.delete(filename));
+      this.pendingPreviews.set(filename, pending);
+    }
+
+    await this.pendingPreviews.get(filename);
+    return { path: previewPath, filename, cached: false };
+  }
+
+  async renderPreview(videoPath, previewPath, { start, duration, format, width, fps }) {
+    const { extension } = PREVIEW_FORMATS[format];
+    const tempPath = `${previewPath.slice(0, -extension.length)}.part${extension}`;
+    await fs.ensureDir(config.thumbnailFolder);
+
+    console.log(`🎞️ Generating ${format} preview ${path.basename(previewPath)} (${duration}s from ${start}s, ${width}px, ${fps} fps)`);
+
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .seekInput(start)
+          .duration(duration)
+          .outputOptions(...PREVIEW_FORMATS[format].options({ fps, width }))
+          .output(tempPath)
+          .on('end', resolve)
+          .on('error', (err) => reject(new ThumbnailError(`Preview generation failed: ${err.message}`, 500)))
+          .run();
+      });
+      await fs.move(tempPath, previewPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  schedulePreviewTrim(keepPath) {
+    this.previewTrim = this.previewTrim
+      .then(() => this.trimPreviews(keepPath))
+      .catch(error => console.error('🚨 Preview cleanup failed:', error.message));
+  }
+
+  /**
+   * Delete the least recently used previews while they take more than
+   * previews.cacheMaxBytes, except `keepPath` (the one just made).
+   */
+  async trimPreviews(keepPath) {
+    const { cacheMaxBytes } = this.getPreviewSettings();
+    const files = (await fs.readdir(config.thumbnailFolder)).filter(file => PREVIEW_FILE_PATTERN.test(file));
+
+    const entries = [];
+    for (const file of files) {
+      const filePath = path.join(config.thumbnailFolder, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats) {
+        entries.push({ filePath, size: stats.size, mtime: stats.mtimeMs });
+      }
+    }
+
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+    entries.sort((a, b) => a.mtime - b.mtime);
+
+    for (const entry of entries) {
+      if (totalSize <= cacheMaxBytes) break;
+      if (entry.filePath === keepPath) continue;
+
+      await fs.remove(entry.filePath);
+      totalSize -= entry.size;
+      removed++;
+    }
+
+    if (removed) {
+      console.log(`🧹 Removed ${removed} least recently used previews`);
+    }
+  }
+
+  getFrameSettings() {
+    return { ...DEFAULT_FRAME_SETTINGS, ...config.frames };
+  }
+
+  /**
+   * Check frame grab options ({ t, format, width }) against a video.
+   * Throws a ThumbnailError.
+   */
+  normalizeFrameOptions(video, { t, format = 'png', width } = {}) {
+    const time = Number(t);
+    if (t === undefined || t === '' || !Number.isFinite(time) || time < 0 || (video.duration && time >= video.duration)) {
+      throw new ThumbnailError('t must be a time within the video, in seconds');
+    }
+    if (!Object.hasOwn(FRAME_FORMATS, format)) {
+      throw new ThumbnailError(`Unknown format "${format}". Use one of: ${Object.keys(FRAME_FORMATS).join(', ')}`);
+    }
+
+    const { maxWidth } = this.getFrameSettings();
+    const scaledWidth = width === undefined || width === '' ? null : parseInt(width, 10);
+    if (scaledWidth !== null && (!Number.isInteger(scaledWidth) || scaledWidth < 16 || scaledWidth > maxWidth)) {
+      throw new ThumbnailError(`width must be between 16 and ${maxWidth} pixels`);
+    }
+
+    // Millisecond precision is finer than any frame rate
+    return { time: Math.round(time * 1000) / 1000, format, width: scaledWidth };
+  }
+
+  /**
+   * The frame shown at `time` seconds, at the video's own resolution
+   * unless a width is given. At most frames.concurrency frames are
+   * decoded at once; the rest wait. Frames are kept in memory in an LRU
+   * cache capped at frames.cacheMaxBytes. Returns { buffer, mimeType, cached }.
+   */
+  async getFrame(video, { time, format, width }) {
+    const key = [video.id, video.size, video.modified, time, format, width || 'native'].join('|');
+
+    const cached = this.frameCache.get(key);
+    if (cached) {
+      return { buffer: cached, mimeType: FRAME_FORMATS[format].mimeType, cached: true };
+    }
+
+    // The same frame requested twice at once is only grabbed once
+    if (!this.pendingFrames.has(key)) {
+      const pending = this.runFrameGrab(() => this.grabFrame(video.path, { time, format, width }))
+        .then((buffer) => {
+          this.frameCache.set(key, buffer);
+          return buffer;
+        })
+        .finally(() => this.pendingFrames.delete(key));
+      this.pendingFrames.set(key, pending);
+    }
+
+    const buffer = await this.pendingFrames.get(key);
+    return { buffer, mimeType: FRAME_FORMATS[format].mimeType, cached: false };
+  }
+
+  /**
+   * Decode one frame into an image buffer. Seeking before the input and
+   * decoding lands on the first frame at or after `time`, not on the
+   * keyframe before it.
+   */
+  grabFrame(videoPath, { time, format, width }) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const command = ffmpeg(videoPath)
+        .seekInput(time)
+        .outputOptions(
+          '-frames:v', '1',
+          '-an',
+          ...(width ? ['-vf', `scale=${width}:-2:flags=lanczos`] : []),
+          ...FRAME_FORMATS[format].options,
+          '-f', 'image2pipe'
+        )
+        .on('error', (err) => reject(new ThumbnailError(`Frame grab failed: ${err.message}`, 500)));
+
+      const output = command.pipe();
+      output.on('data', chunk => chunks.push(chunk));
+      output.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        if (buffer.length) {
+          resolve(buffer);
+        } else {
+          reject(new ThumbnailError(`No frame at ${time}s`, 500));
+        }
+      });
+    });
+  }
+
   async cleanupOldThumbnails() {
     try {
       console.log('Cleaning up old thumbnails...');
@@ -279,4 +602,5 @@ class ThumbnailService {
   }
 }
 
-module.exports = new ThumbnailService();
\ No newline at end of file
+module.exports = new ThumbnailService();
+module.exports.ThumbnailError = ThumbnailError;
\ No newline at end of file
@@ -0,0 +1,502 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../../config/config.json');
+const { getRenditions, getAudioRendition } = require('../utils/renditions');
+const { getSegments } = require('../utils/hls');
+
+class TranscodeError extends Error {
+  constructor(message, status = 500, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TranscodeError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const DEFAULT_SETTINGS = {
+  segmentDuration: 6,
+  cacheFolder: './data/stream-cache',
+  cacheMaxBytes: 10 * 1024 ** 3,
+  maxTranscoders: 8,
+  idleTimeoutMs: 60000,
+  segmentTimeoutMs: 30000,
+  preset: 'veryfast'
+};
+
+// A request up to this many segments ahead of a running transcoder waits
+// for it; anything further is a seek and restarts it at the new position
+const LOOKAHEAD_SEGMENTS = 3;
+// A transcoder nobody is waiting on and nobody has asked for a segment
+// within this many segment durations is idle and may make room for another
+const IDLE_SEGMENTS = 2;
+// How often a running transcoder's output is checked for new segments
+const POLL_INTERVAL_MS = 250;
+// How often idle transcoders and the cache size are checked
+const CLEANUP_INTERVAL_MS = 15000;
+// Part of every cache folder name, raised when the segments change shape
+// (2: video and audio in separate segments) so old ones are not served
+const CACHE_LAYOUT = 2;
+
+/**
+ * On-demand transcoding into fragmented MP4 segments for HLS and DASH.
+ *
+ * A transcoder is one ffmpeg process encoding one rendition of one video
+ * from a start segment onwards: a video rendition (no audio) or the audio
+ * rendition all of them share, so a viewer needs one of each. Finished segments are moved into a cache
+ * folder per video version and rendition, from where they are served. A
+ * request for a segment that is not cached joins the running transcoder
+ * if it will reach the segment soon, and otherwise (a seek) restarts it
+ * there. Transcoders nobody has asked for a segment within
+ * transcoding.idleTimeoutMs are stopped, and the least recently used
+ * videos are evicted once the cache exceeds transcoding.cacheMaxBytes.
+ */
+class TranscodeService {
+  constructor() {
+    this.transcoders = new Map(); // "<video cache dir>/<rendition>" -> transcoder
+    this.cacheAccess = new Map(); // video cache dir -> last access time
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...config.transcoding };
+  }
+
+  getCacheRoot() {
+    const folder = this.getSettings().cacheFolder;
+    return path.isAbsolute(folder) ? folder : path.join(__dirname, '../..', folder);
+  }
+
+  /**
+   * Cache folder for a video. The name includes the file's size and
+   * modification time, so a replaced file never serves old segments.
+   */
+  getVideoCacheDir(video) {
+    const version = `${video.size}-${new Date(video.modified).getTime()}-l${CACHE_LAYOUT}`;
+    return path.join(this.getCacheRoot(), `${video.id}-${version}`);
+  }
+
+  getRenditions(video) {
+    return getRenditions(video);
+  }
+
+  getAudioRendition(video) {
+    return getAudioRendition(video);
+  }
+
+  // A video rendition ('720p') or 'audio'
+  getRendition(video, name) {
+    const rendition = [...this.getRenditions(video), this.getAudioRendition(video)]
+      .find(entry => entry && entry.name === name);
+    if (!rendition) {
+      throw new TranscodeError(`Unknown rendition "${name}"`, 404);
+    }
+    return rendition;
+  }
+
+  /**
+   * Segments of a video, or a 422 if it cannot be segmented
+   */
+  getSegments(video) {
+    if (video.hasVideo === false || !video.duration || this.getRenditions(video).length === 0) {
+      throw new TranscodeError('Video has no known duration or picture size and cannot be streamed adaptively', 422);
+    }
+    return getSegments(video.duration, this.getSettings().segmentDuration);
+  }
+
+  /**
+   * Path of a rendition's initialization segment, transcoding it if needed
+   */
+  async getInitSegment(video, renditionName) {
+    const rendition = this.getRendition(video, renditionName);
+    this.getSegments(video);
+
+    const cacheDir = path.join(this.getVideoCacheDir(video), rendition.name);
+    const filePath = path.join(cacheDir, 'init.mp4');
+    this.touch(video);
+
+    if (await fs.pathExists(filePath)) {
+      return filePath;
+    }
+
+    const key = `${this.getVideoCacheDir(video)}/${rendition.name}`;
+    const transcoder = this.transcoders.get(key) || this.startTranscoder(video, rendition, 0);
+    transcoder.lastAccess = Date.now();
+    await this.waitFor(transcoder, 'init');
+    return filePath;
+  }
+
+  /**
+   * Path of a media segment, transcoding it if needed
+   */
+  async getSegment(video, renditionName, index) {
+    const rendition = this.getRendition(video, renditionName);
+    const segments = this.getSegments(video);
+
+    if (!Number.isInteger(index) || index < 0 || index >= segments.length) {
+      throw new TranscodeError('Segment not found', 404);
+    }
+
+    const cacheDir = path.join(this.getVideoCacheDir(video), rendition.name);
+    const filePath = path.join(cacheDir, `${index}.m4s`);
+    const key = `${this.getVideoCacheDir(video)}/${rendition.name}`;
+    let transcoder = this.transcoders.get(key);
+    this.touch(video);
+
+    if (await fs.pathExists(filePath)) {
+      if (transcoder) transcoder.lastAccess = Date.now();
+      return filePath;
+    }
+
+    const reachable = transcoder && !transcoder.failed &&
+      index >= transcoder.nextSegment && index <= transcoder.nextSegment + LOOKAHEAD_SEGMENTS;
+    if (!reachable) {
+      if (transcoder) this.stopTranscoder(transcoder, 'seek');
+      transcoder = this.startTranscoder(video, rendition, index);
+    }
+
+    transcoder.lastAccess = Date.now();
+    await this.waitFor(transcoder, index);
+    return filePath;
+  }
+
+  startTranscoder(video, rendition, startSegment) {
+    const settings = this.getSettings();
+
+    // Make room by stopping the least recently used idle transcoder. When
+    // all of them have viewers, refuse rather than cut someone off.
+    if (this.transcoders.size >= settings.maxTranscoders) {
+      const now = Date.now();
+      const idle = Array.from(this.transcoders.values())
+        .filter(transcoder => this.isIdle(transcoder, now))
+        .sort((a, b) => a.lastAccess - b.lastAccess)[0];
+
+      if (!idle) {
+        console.warn(`🚦 [TRANSCODE] Refused ${video.id} ${rendition.name}: all ${settings.maxTranscoders} transcoders are in use`);
+        throw new TranscodeError('Too many videos are being transcoded right now. Try again shortly.', 503, {
+          retryAfter: this.getRetryAfter(now)
+        });
+      }
+      this.stopTranscoder(idle, 'limit');
+    }
+
+    const videoCacheDir = this.getVideoCacheDir(video);
+    const transcoder = {
+      key: `${videoCacheDir}/${rendition.name}`,
+      videoId: video.id,
+      rendition: rendition.name,
+      startSegment,
+      nextSegment: startSegment,
+      initReady: false,
+      cacheDir: path.join(videoCacheDir, rendition.name),
+      workDir: path.join(this.getCacheRoot(), '.work', `${video.id}-${rendition.name}-${startSegment}-${Date.now()}`),
+      command: null,
+      pollTimer: null,
+      collecting: false,
+      waiters: new Map(), // 'init' or segment index -> [{ resolve, reject }]
+      startedAt: Date.now(),
+      lastAccess: Date.now(),
+      stopped: false,
+      failed: null
+    };
+
+    this.transcoders.set(transcoder.key, transcoder);
+    console.log(`🎞️ [TRANSCODE] Starting ${video.id} ${rendition.name} at segment ${startSegment}`);
+
+    this.launch(transcoder, video, rendition).catch(error => this.fail(transcoder, error));
+    return transcoder;
+  }
+
+  async launch(transcoder, video, rendition) {
+    const { segmentDuration, preset } = this.getSettings();
+    const start = transcoder.startSegment * segmentDuration;
+
+    await fs.ensureDir(transcoder.workDir);
+    await fs.ensureDir(transcoder.cacheDir);
+    if (transcoder.stopped) return;
+
+    const streamArgs = rendition.type === 'audio' ? [
+      '-map', '0:a:0',
+      '-vn',
+      '-c:a', 'aac',
+      '-b:a', `${rendition.audioBitrate}k`,
+      '-ac', String(rendition.channels),
+      '-ar', String(rendition.sampleRate)
+    ] : [
+      '-map', '0:v:0',
+      '-an',
+      '-c:v', 'libx264',
+      '-preset', preset,
+      '-profile:v', 'high',
+      '-level', rendition.level,
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${rendition.videoBitrate}k`,
+      '-maxrate', `${Math.round(rendition.videoBitrate * 1.1)}k`,
+      '-bufsize', `${rendition.videoBitrate * 2}k`,
+      '-vf', `scale=${rendition.width}:${rendition.height}`,
+      // Keyframes exactly on segment boundaries, so every segment stands alone
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+      '-sc_threshold', '0'
+    ];
+
+    const args = [
+      ...streamArgs,
+      // Timestamps continue from the seek position instead of restarting at 0
+      '-output_ts_offset', String(start),
+      '-f', 'hls',
+      '-hls_time', String(segmentDuration),
+      '-hls_segment_type', 'fmp4',
+      '-hls_fmp4_init_filename', 'init.mp4',
+      '-hls_segment_filename', path.join(transcoder.workDir, '%d.m4s'),
+      '-start_number', String(transcoder.startSegment),
+      '-hls_playlist_type', 'event',
+      '-hls_list_size', '0'
+    ];
+
+    transcoder.command = ffmpeg(video.path)
+      .seekInput(start)
+      .outputOptions(...args)
+      .output(path.join(transcoder.workDir, 'index.m3u8'))
+      .on('end', () => {
+        this.collect(transcoder)
+          .then(() => this.finish(transcoder))
+          .catch(error => this.fail(transcoder, error));
+      })
+      .on('error', (error) => {
+        if (!transcoder.stopped) this.fail(transcoder, error);
+      });
+
+    transcoder.command.run();
+    transcoder.pollTimer = setInterval(() => {
+      this.collect(transcoder).catch(error => this.fail(transcoder, error));
+    }, POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Move segments ffmpeg has finished (those listed in its playlist) into
+   * the cache and wake up requests waiting for them
+   */
+  async collect(transcoder) {
+    if (transcoder.collecting || transcoder.stopped) return;
+    transcoder.collecting = true;
+
+    try {
+      const playlistPath = path.join(transcoder.workDir, 'index.m3u8');
+      if (!await fs.pathExists(playlistPath)) return;
+
+      const finished = (await fs.readFile(playlistPath, 'utf8'))
+        .split('\n')
+        .map(line => /^(\d+)\.m4s$/.exec(line.trim()))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10))
+        .filter(index => index >= transcoder.nextSegment)
+        .sort((a, b) => a - b);
+
+      for (const index of finished) {
+        if (transcoder.stopped) return;
+
+        if (!transcoder.initReady) {
+          const initPath = path.join(transcoder.cacheDir, 'init.mp4');
+          await fs.copy(path.join(transcoder.workDir, 'init.mp4'), `${initPath}.tmp`);
+          await fs.move(`${initPath}.tmp`, initPath, { overwrite: true });
+          transcoder.initReady = true;
+          this.resolveWaiters(transcoder, 'init');
+        }
+
+        await fs.move(path.join(transcoder.workDir, `${index}.m4s`), path.join(transcoder.cacheDir, `${index}.m4s`), { overwrite: true });
+        transcoder.nextSegment = index + 1;
+        this.resolveWaiters(transcoder, index);
+      }
+    } finally {
+      transcoder.collecting = false;
+    }
+  }
+
+  getIdleMs() {
+    return IDLE_SEGMENTS * this.getSettings().segmentDuration * 1000;
+  }
+
+  isIdle(transcoder, now = Date.now()) {
+    const waiting = Array.from(transcoder.waiters.values()).some(waiters => waiters.length > 0);
+    return !waiting && now - transcoder.lastAccess > this.getIdleMs();
+  }
+
+  // Seconds until a running transcoder may go idle, for Retry-After
+  getRetryAfter(now = Date.now()) {
+    const idleMs = this.getIdleMs();
+    const waits = Array.from(this.transcoders.values())
+      .map(transcoder => transcoder.lastAccess + idleMs - now);
+
+    return Math.max(1, Math.ceil(Math.max(0, Math.min(...waits, idleMs)) / 1000));
+  }
+
+  waitFor(transcoder, target) {
+    if (transcoder.failed) {
+      return Promise.reject(transcoder.failed);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const waiters = transcoder.waiters.get(target) || [];
+        transcoder.waiters.set(target, waiters.filter(waiter => waiter.resolve !== done));
+        reject(new TranscodeError('Timed out waiting for the transcoder', 504));
+      }, this.getSettings().segmentTimeoutMs);
+
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const fail = (error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+
+      if (!transcoder.waiters.has(target)) {
+        transcoder.waiters.set(target, []);
+      }
+      transcoder.waiters.get(target).push({ resolve: done, reject: fail });
+    });
+  }
+
+  resolveWaiters(transcoder, target) {
+    (transcoder.waiters.get(target) || []).forEach(waiter => waiter.resolve());
+    transcoder.waiters.delete(target);
+  }
+
+  rejectWaiters(transcoder, error) {
+    transcoder.waiters.forEach(waiters => waiters.forEach(waiter => waiter.reject(error)));
+    transcoder.waiters.clear();
+  }
+
+  finish(transcoder) {
+    console.log(`🎞️ [TRANSCODE] Finished ${transcoder.videoId} ${transcoder.rendition} (segments ${transcoder.startSegment}-${transcoder.nextSegment - 1})`);
+    // Anyone still waiting asked for a segment this run never produced
+    this.release(transcoder, new TranscodeError('Segment was not produced', 500));
+  }
+
+  fail(transcoder, error) {
+    if (transcoder.stopped) return;
+    console.error(`🚨 [TRANSCODE] ${transcoder.videoId} ${transcoder.rendition} failed:`, error.message);
+    transcoder.failed = new TranscodeError('Transcoding failed', 500);
+    this.release(transcoder, transcoder.failed);
+  }
+
+  /**
+   * Stop a transcoder: kills ffmpeg and fails its pending requests.
+   * `reason` is only logged.
+   */
+  stopTranscoder(transcoder, reason = 'stopped') {
+    if (transcoder.stopped) return;
+    console.log(`🧹 [TRANSCODE] Stopping ${transcoder.videoId} ${transcoder.rendition} (${reason})`);
+    this.release(transcoder, new TranscodeError('Transcoder was stopped', 503));
+  }
+
+  release(transcoder, error) {
+    transcoder.stopped = true;
+    clearInterval(transcoder.pollTimer);
+    if (transcoder.command) {
+      transcoder.command.removeAllListeners('error');
+      transcoder.command.on('error', () => {});
+      transcoder.command.kill('SIGKILL');
+    }
+    this.rejectWaiters(transcoder, error);
+
+    if (this.transcoders.get(transcoder.key) === transcoder) {
+      this.transcoders.delete(transcoder.key);
+    }
+    fs.remove(transcoder.workDir).catch(() => {});
+  }
+
+  /**
+   * Stop every transcoder of a video. Returns how many were stopped.
+   */
+  stopTranscodersForVideo(videoId, reason = 'stopped') {
+    const transcoders = Array.from(this.transcoders.values()).filter(transcoder => transcoder.videoId === videoId);
+    transcoders.forEach(transcoder => this.stopTranscoder(transcoder, reason));
+    return transcoders.length;
+  }
+
+  listTranscoders() {
+    return Array.from(this.transcoders.values()).map(transcoder => ({
+      videoId: transcoder.videoId,
+      rendition: transcoder.rendition,
+      startSegment: transcoder.startSegment,
+      nextSegment: transcoder.nextSegment,
+      startedAt: new Date(transcoder.startedAt).toISOString(),
+      lastAccess: new Date(transcoder.lastAccess).toISOString()
+    }));
+  }
+
+  touch(video) {
+    this.cacheAccess.set(this.getVideoCacheDir(video), Date.now());
+  }
+
+  /**
+   * Stop idle transcoders and trim the segment cache
+   */
+  async cleanup() {
+    const { idleTimeoutMs } = this.getSettings();
+    const now = Date.now();
+
+    this.transcoders.forEach(transcoder => {
+      if (now - transcoder.lastAccess > idleTimeoutMs) {
+        this.stopTranscoder(transcoder, 'idle');
+      }
+    });
+
+    try {
+      await this.trimCache();
+    } catch (error) {
+      console.error('🚨 [TRANSCODE] Cache cleanup failed:', error.message);
+    }
+  }
+
+  /**
+   * Remove the least recently used videos' segments until the cache is
+   * below transcoding.cacheMaxBytes. Videos being transcoded are kept.
+   */
+  async trimCache() {
+    const root = this.getCacheRoot();
+    if (!await fs.pathExists(root)) return;
+
+    const active = new Set(Array.from(this.transcoders.values()).map(transcoder => path.dirname(transcoder.cacheDir)));
+    const entries = [];
+    let total = 0;
+
+    for (const name of await fs.readdir(root)) {
+      if (name === '.work') continue;
+      const dir = path.join(root, name);
+      const size = await this.getFolderSize(dir);
+      const stats = await fs.stat(dir);
+      total += size;
+      entries.push({ dir, size, lastAccess: this.cacheAccess.get(dir) || stats.mtimeMs });
+    }
+
+    const { cacheMaxBytes } = this.getSettings();
+    if (total <= cacheMaxBytes) return;
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of entries) {
+      if (total <= cacheMaxBytes) break;
+      if (active.has(entry.dir)) continue;
+
+      await fs.remove(entry.dir);
+      this.cacheAccess.delete(entry.dir);
+      total -= entry.size;
+      console.log(`🧹 [TRANSCODE] Evicted ${path.basename(entry.dir)} from the segment cache`);
+    }
+  }
+
+  async getFolderSize(dir) {
+    let size = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      size += entry.isDirectory() ? await this.getFolderSize(entryPath) : (await fs.stat(entryPath)).size;
+    }
+    return size;
+  }
+}
+
+module.exports = new TranscodeService();
+module.exports.TranscodeError = TranscodeError;
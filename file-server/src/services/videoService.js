@@ -2,19 +2,44 @@ const fs = require('fs-extra');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const config = require('../../config/config.json');
+const { scanDirectory } = require('../utils/fileScanner');
+const { computeFingerprint, fingerprintToId } = require('../utils/fingerprint');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { readSidecars, isSidecarFor } = require('../utils/sidecar');
+const { parseQuery, createMatcher } = require('../utils/searchQuery');
+const { SearchIndex } = require('../utils/searchIndex');
+const catalogService = require('./catalogService');
+const libraryService = require('./libraryService');
+const healthService = require('./healthService');
+const overrideService = require('./overrideService');
+
+// Relevance weight of each indexed video field
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  filename: 2,
+  folder: 1.5,
+  description: 1,
+  metadata: 1
+};
 
 class VideoService {
   constructor() {
     this.videos = new Map();
-    this.metadataCache = new Map();
-    this.searchCache = new Map();
+    this.pathIndex = new Map(); // absolute file path -> video ID
+    this.identities = new Map(); // video ID -> { id, fingerprint, aliases }
+    this.aliases = new Map(); // legacy/alias ID -> video ID
+    this.reservedIds = new Map(); // IDs handed out to files still being processed
+    this.metadataCache = new Map(); // file path -> probed metadata
+    this.searchIndex = new SearchIndex(SEARCH_FIELD_WEIGHTS);
     this.statsCache = null;
     this.statsCacheTime = 0;
+    this.libraryStatsCache = new Map();
     this.isInitialized = false;
+    this.scanCounters = null;
     
     // Cache configuration
     this.CACHE_TTL = {
-      search: 5 * 60 * 1000,      // 5 minutes
       stats: 10 * 60 * 1000,     // 10 minutes
       metadata: 60 * 60 * 1000   // 1 hour
     };
@@ -32,23 +57,23 @@ class VideoService {
   cleanExpiredCache() {
     const now = Date.now();
     
-    // Clean search cache
-    for (const [key, value] of this.searchCache.entries()) {
-      if (now - value.timestamp > this.CACHE_TTL.search) {
-        this.searchCache.delete(key);
-      }
-    }
-    
     // Clean stats cache
     if (this.statsCacheTime && now - this.statsCacheTime > this.CACHE_TTL.stats) {
       this.statsCache = null;
       this.statsCacheTime = 0;
     }
+    for (const [libraryId, cached] of this.libraryStatsCache.entries()) {
+      if (now - cached.timestamp > this.CACHE_TTL.stats) {
+        this.libraryStatsCache.delete(libraryId);
+      }
+    }
   }
 
   async initialize() {
     try {
       console.log('Initializing video service...');
+      await catalogService.load();
+      await overrideService.load();
       await this.scanVideoFolder();
       this.isInitialized = true;
       console.log(`Found ${this.videos.size} videos`);
@@ -58,53 +83,67 @@ class VideoService {
     }
   }
 
-  async scanVideoFolder() {
+  /**
+   * Scan every library root. Files are probed with bounded parallelism;
+   * pass a job handle (see jobService) to report progress and errors and
+   * to allow cancellation.
+   */
+  async scanVideoFolder(job = null) {
     try {
-      const videoFolder = config.videoFolder;
-      
-      // Ensure video folder exists
-      if (!await fs.pathExists(videoFolder)) {
-        console.warn(`Video folder does not exist: ${videoFolder}`);
-        return;
+      const seenPaths = new Set();
+      const scannedLibraries = [];
+      const queue = [];
+      this.scanCounters = { cached: 0, probed: 0 };
+
+      for (const library of libraryService.getLibraries()) {
+        const entries = await this.listLibraryFiles(library);
+        if (entries) {
+          scannedLibraries.push(library);
+          queue.push(...entries);
+        }
       }
 
-      const files = await fs.readdir(videoFolder);
-      const videoFiles = files.filter(file => 
-        config.supportedFormats.some(format => 
-          file.toLowerCase().endsWith(format.toLowerCase())
-        )
-      );
+      console.log(`Scanning ${queue.length} video files...`);
+      job?.update({ total: queue.length, done: 0 });
 
-      console.log(`Scanning ${videoFiles.length} video files...`);
+      let done = 0;
+      const concurrency = (config.scan && config.scan.concurrency) || 4;
 
-      for (const file of videoFiles) {
-        try {
-          const filePath = path.join(videoFolder, file);
-          const stats = await fs.stat(filePath);
-          
-          const videoId = this.generateVideoId(file);
-          console.log(`🎬 [VIDEO DEBUG] Processing video: ${file} (ID: ${videoId})`);
-          
-          const metadata = await this.extractMetadata(filePath);
-          
-          const videoInfo = {
-            id: videoId,
-            filename: file,
-            path: filePath,
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime,
-            ...metadata
-          };
+      await mapWithConcurrency(queue, concurrency, async (entry) => {
+        if (job?.isCancelled()) return;
+
+        seenPaths.add(entry.filePath);
+        job?.update({ currentFile: entry.relativePath });
 
-          this.videos.set(videoId, videoInfo);
-          console.log(`✅ [VIDEO DEBUG] Successfully processed: ${file}`);
+        try {
+          await this.processVideoFile(entry);
         } catch (error) {
-          console.error(`🚨 [VIDEO DEBUG] Error processing ${file}:`, error.message);
+          console.error(`🚨 [VIDEO DEBUG] Error processing ${entry.relativePath}:`, error.message);
           if (error.message.includes('Corrupted video file')) {
-            console.warn(`🚨 [VIDEO DEBUG] Skipping corrupted file: ${file}`);
+            console.warn(`🚨 [VIDEO DEBUG] Skipping corrupted file: ${entry.relativePath}`);
           }
+          job?.addError(entry.relativePath, error.message);
         }
+
+        done++;
+        job?.update({ done });
+      });
+
+      if (job?.isCancelled()) {
+        console.log('Scan cancelled - library left partially refreshed');
+        return;
+      }
+
+      console.log(`Scan complete: ${this.scanCounters.cached} loaded from catalog, ${this.scanCounters.probed} probed`);
+
+      // Only prune libraries that were online, so an unmounted drive keeps its catalog
+      this.removeMissingVideos(scannedLibraries, seenPaths);
+      scannedLibraries.forEach(library => catalogService.prune(library.path, seenPaths));
+      healthService.prune(scannedLibraries.map(library => library.path), seenPaths);
+
+      const { total } = healthService.getSummary(healthService.getIssues());
+      if (total > 0) {
+        console.warn(`🩺 [HEALTH] ${total} problem files found - see /api/library/health`);
       }
     } catch (error) {
       console.error('Error scanning video folder:', error);
@@ -112,10 +151,365 @@ class VideoService {
     }
   }
 
+  /**
+   * List the video files in one library root.
+   * Returns null if the library folder is missing.
+   */
+  async listLibraryFiles(library) {
+    // Ensure video folder exists
+    if (!await fs.pathExists(library.path)) {
+      console.warn(`Video folder for library "${library.name}" does not exist: ${library.path}`);
+      return null;
+    }
+
+    const videoFiles = await scanDirectory(library.path, this.getScanOptions(library));
+    console.log(`Found ${videoFiles.length} video files in library "${library.name}"`);
+
+    return videoFiles.map(entry => ({ ...entry, libraryId: library.id }));
+  }
+
+  /**
+   * Drop videos from the scanned libraries whose files were not seen
+   */
+  removeMissingVideos(scannedLibraries, seenPaths) {
+    const scannedIds = new Set(scannedLibraries.map(library => library.id));
+
+    this.getAllVideos()
+      .filter(video => scannedIds.has(video.libraryId) && !seenPaths.has(video.path))
+      .forEach(video => this.removeVideoFile(video.path));
+  }
+
+  getScanOptions(library) {
+    const scanConfig = config.scan || {};
+    return {
+      recursive: scanConfig.recursive !== false,
+      maxDepth: scanConfig.maxDepth ?? Infinity,
+      ignorePatterns: scanConfig.ignorePatterns || [],
+      excludePaths: [
+        config.thumbnailFolder,
+        healthService.getQuarantineFolder(library),
+        ...libraryService.getNestedRoots(library)
+      ],
+      supportedFormats: library.supportedFormats
+    };
+  }
+
+  /**
+   * Probe a single video file and store it in the library. Unchanged files
+   * are served from the catalog. Pass carryOver ({ metadata, identity }) to
+   * skip ffprobe and keep the ID of a file the catalog does not know yet
+   * (e.g. a rename detected by the watcher).
+   */
+  async processVideoFile(entry, carryOver = null) {
+    const { filePath, relativePath, filename, folder, libraryId } = entry;
+    const stats = await fs.stat(filePath);
+    const record = catalogService.get(filePath);
+
+    let metadata = carryOver?.metadata || catalogService.lookup(filePath, stats);
+    const fromCatalog = !!metadata && !carryOver;
+
+    if (!metadata) {
+      try {
+        metadata = await this.extractMetadata(filePath);
+      } catch (error) {
+        healthService.recordFailure(entry, error, stats);
+        throw error;
+      }
+      this.countScan('probed');
+    } else if (fromCatalog) {
+      this.countScan('cached');
+    }
+
+    healthService.inspect(entry, metadata, stats);
+
+    const identity = await this.resolveIdentity({ filePath, relativePath }, stats, record, carryOver?.identity);
+    const identityChanged = !record || record.id !== identity.id ||
+      record.aliases?.length !== identity.aliases.length;
+
+    // Fallback metadata from a failed probe is not cached, so the file is retried next scan
+    if ((!fromCatalog || identityChanged) && !metadata.probeError) {
+      catalogService.put(filePath, stats, metadata, identity);
+    }
+
+    const videoId = identity.id;
+    console.log(`🎬 [VIDEO DEBUG] Processing video: ${relativePath} (ID: ${videoId})`);
+
+    // Sidecars are cheap to read and may change on their own, so they are
+    // not cached in the catalog
+    const sidecar = await readSidecars(filePath);
+    if (sidecar?.errors.length) {
+      console.warn(`⚠️ [VIDEO DEBUG] Unreadable sidecar for ${relativePath}:`, sidecar.errors.map(e => e.message).join('; '));
+    }
+
+    const videoInfo = this.composeVideo({
+      id: videoId,
+      libraryId,
+      filename,
+      path: filePath,
+      relativePath,
+      folder,
+      size: stats.size,
+      created: stats.birthtime,
+      modified: stats.mtime
+    }, metadata, sidecar);
+
+    this.videos.set(videoId, videoInfo);
+    this.updateSearchIndex(videoInfo);
+    this.pathIndex.set(filePath, videoId);
+    this.metadataCache.set(filePath, metadata);
+    this.reservedIds.delete(videoId);
+    this.setIdentity(identity);
+    console.log(`✅ [VIDEO DEBUG] Successfully processed: ${relativePath}`);
+
+    return videoInfo;
+  }
+
+  /**
+   * Work out the stable ID for a file:
+   * 1. keep the ID already recorded for this path,
+   * 2. adopt the ID of a catalogued file with the same fingerprint that no
+   *    longer exists on disk (the file was renamed or moved),
+   * 3. otherwise derive a new ID from the fingerprint, skipping IDs that
+   *    are already taken by another file (e.g. duplicate copies).
+   * The old filename-based ID is always kept as an alias.
+   */
+  async resolveIdentity({ filePath, relativePath }, stats, record, carried) {
+    const legacyId = this.generateLegacyVideoId(relativePath);
+    const withAlias = (aliases = []) => Array.from(new Set([...aliases, legacyId]));
+
+    if (carried) {
+      return { ...carried, aliases: withAlias(carried.aliases) };
+    }
+
+    if (record?.id && !this.isVideoIdTaken(record.id, filePath)) {
+      return { id: record.id, fingerprint: record.fingerprint, aliases: withAlias(record.aliases) };
+    }
+
+    const fingerprint = await computeFingerprint(filePath, stats.size);
+
+    for (const candidate of catalogService.findByFingerprint(fingerprint)) {
+      if (candidate.path === filePath || !candidate.id || this.pathIndex.has(candidate.path)) {
+        continue;
+      }
+      // Re-check after the await: a parallel scan worker may have adopted it
+      if (!await fs.pathExists(candidate.path) && catalogService.get(candidate.path) === candidate) {
+        console.log(`🎬 [VIDEO DEBUG] Detected move: ${candidate.path} -> ${filePath}`);
+        catalogService.remove(candidate.path);
+        this.reservedIds.set(candidate.id, filePath);
+        return { id: candidate.id, fingerprint, aliases: withAlias(candidate.aliases) };
+      }
+    }
+
+    return { id: this.generateVideoId(fingerprint, filePath), fingerprint, aliases: withAlias() };
+  }
+
+  isVideoIdTaken(videoId, filePath) {
+    const video = this.videos.get(videoId);
+    if (video && video.path !== filePath) {
+      return true;
+    }
+
+    const reservedFor = this.reservedIds.get(videoId);
+    if (reservedFor && reservedFor !== filePath) {
+      return true;
+    }
+
+    const record = catalogService.findById(videoId);
+    return !!record && record.path !== filePath;
+  }
+
+  setIdentity(identity) {
+    this.identities.set(identity.id, identity);
+    identity.aliases.forEach(alias => {
+      if (alias !== identity.id) {
+        this.aliases.set(alias, identity.id);
+      }
+    });
+  }
+
+  clearIdentity(videoId) {
+    const identity = this.identities.get(videoId);
+    if (!identity) return;
+
+    identity.aliases.forEach(alias => {
+      if (this.aliases.get(alias) === videoId) {
+        this.aliases.delete(alias);
+      }
+    });
+    this.identities.delete(videoId);
+  }
+
+  getIdentity(videoId) {
+    return this.identities.get(videoId) || null;
+  }
+
+  /**
+   * Add or re-probe a single file picked up by the library watcher,
+   * updating only the cache entries it affects
+   */
+  async upsertVideoFile(entry, carryOver = null) {
+    const previous = this.getVideoByPath(entry.filePath);
+    const video = await this.processVideoFile(entry, carryOver);
+
+    if (previous && previous.id !== video.id) {
+      this.videos.delete(previous.id);
+      this.clearIdentity(previous.id);
+    }
+
+    this.updateSearchIndex(video, previous);
+    this.updateStatsCache(video, previous);
+
+    return video;
+  }
+
+  /**
+   * Remove a single file from the library, updating only the cache
+   * entries it affects. Returns the removed video (if it was known).
+   */
+  removeVideoFile(filePath) {
+    healthService.clearIssue(filePath);
+
+    const video = this.getVideoByPath(filePath);
+    if (!video) {
+      return null;
+    }
+
+    this.videos.delete(video.id);
+    this.pathIndex.delete(filePath);
+    this.metadataCache.delete(filePath);
+    this.clearIdentity(video.id);
+    catalogService.remove(filePath);
+
+    this.updateSearchIndex(null, video);
+    this.updateStatsCache(null, video);
+
+    console.log(`🗑️ [VIDEO DEBUG] Removed from library: ${video.relativePath}`);
+    return video;
+  }
+
+  /**
+   * Build a video record from its file info, probed metadata and sidecar,
+   * with the user's overrides on top
+   */
+  composeVideo(fileInfo, metadata, sidecar) {
+    return {
+      ...fileInfo,
+      ...metadata,
+      ...this.getSidecarFields(sidecar),
+      ...this.getOverrideFields(overrideService.get(fileInfo.id))
+    };
+  }
+
+  /**
+   * Video fields set by the user. `overrides` lists which fields are
+   * overridden and when they were last changed.
+   */
+  getOverrideFields(overrides) {
+    if (!overrides) {
+      return { overrides: null };
+    }
+
+    const { updatedAt, updatedBy, ...values } = overrides;
+    return {
+      ...values,
+      overrides: { fields: Object.keys(values), updatedAt, updatedBy }
+    };
+  }
+
+  /**
+   * Re-layer a video's overrides after they were edited, without
+   * touching the file
+   */
+  applyOverrides(videoId) {
+    const previous = this.videos.get(videoId);
+    if (!previous) {
+      return null;
+    }
+
+    const { id, libraryId, filename, path: filePath, relativePath, folder, size, created, modified } = previous;
+    const video = this.composeVideo(
+      { id, libraryId, filename, path: filePath, relativePath, folder, size, created, modified },
+      this.getProbedMetadata(filePath) || {},
+      previous.sidecar
+    );
+
+    this.videos.set(videoId, video);
+    this.updateSearchIndex(video, previous);
+    this.updateStatsCache(video, previous);
+    return video;
+  }
+
+  /**
+   * Video fields taken from sidecar files. Sidecar values replace the
+   * probed title; the full sidecar is kept under `sidecar`.
+   */
+  getSidecarFields(sidecar) {
+    if (!sidecar) {
+      return { sidecar: null };
+    }
+
+    const fields = {
+      sidecar,
+      description: sidecar.description,
+      location: sidecar.location,
+      operator: sidecar.operator,
+      recordingDate: sidecar.date,
+      tags: sidecar.tags
+    };
+    if (sidecar.title) {
+      fields.title = sidecar.title;
+    }
+    return fields;
+  }
+
+  /**
+   * Videos whose sidecar set includes the given file
+   */
+  getVideosForSidecar(sidecarPath) {
+    return this.getAllVideos().filter(video => isSidecarFor(sidecarPath, video.path));
+  }
+
+  /**
+   * Re-read the sidecars of the videos a changed sidecar file belongs to
+   */
+  async refreshSidecar(sidecarPath) {
+    const videos = this.getVideosForSidecar(sidecarPath);
+
+    for (const video of videos) {
+      await this.upsertVideoFile({
+        filePath: video.path,
+        relativePath: video.relativePath,
+        filename: video.filename,
+        folder: video.folder,
+        libraryId: video.libraryId
+      });
+    }
+
+    return videos.length;
+  }
+
+  countScan(kind) {
+    if (this.scanCounters) {
+      this.scanCounters[kind]++;
+    }
+  }
+
+  /**
+   * ffprobe metadata of a file, without sidecar or other layered fields
+   */
+  getProbedMetadata(filePath) {
+    return this.metadataCache.get(filePath) || null;
+  }
+
+  getVideoByPath(filePath) {
+    const videoId = this.pathIndex.get(filePath);
+    return videoId ? this.videos.get(videoId) : undefined;
+  }
+
   async extractMetadata(filePath) {
     return new Promise((resolve, reject) => {
       console.log(`🎬 [VIDEO DEBUG] Extracting metadata for: ${filePath}`);
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
+      ffmpeg.ffprobe(filePath, ['-show_chapters'], (err, metadata) => {
         if (err) {
           console.error(`🚨 [VIDEO DEBUG] FFprobe error for ${filePath}:`, err.message);
           
@@ -133,14 +527,18 @@ class VideoService {
             width: 0,
             height: 0,
             format: path.extname(filePath).toLowerCase(),
-            title: path.basename(filePath, path.extname(filePath))
+            title: path.basename(filePath, path.extname(filePath)),
+            probeError: err.message
           });
           return;
         }
 
         try {
-          const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-          const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+          // Cover art is stored as a video stream; skip it
+          const videoStream = metadata.streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+          const audioStreams = metadata.streams.filter(stream => stream.codec_type === 'audio');
+          const subtitleStreams = metadata.streams.filter(stream => stream.codec_type === 'subtitle');
+          const audioStream = audioStreams.find(stream => stream.disposition?.default === 1) || audioStreams[0];
           
           const result = {
             duration: parseFloat(metadata.format.duration) || 0,
@@ -154,7 +552,14 @@ class VideoService {
             videoCodec: videoStream?.codec_name || 'unknown',
             audioCodec: audioStream?.codec_name || 'unknown',
             hasAudio: !!audioStream,
-            hasVideo: !!videoStream
+            hasVideo: !!videoStream,
+            creationTime: this.parseCreationTime(metadata.format.tags, videoStream?.tags),
+            rotation: videoStream ? this.parseRotation(videoStream) : 0,
+            color: videoStream ? this.parseColor(videoStream) : null,
+            audioTracks: audioStreams.map(stream => this.parseAudioStream(stream)),
+            subtitleTracks: subtitleStreams.map(stream => this.parseSubtitleStream(stream)),
+            chapters: this.parseChapters(metadata.chapters),
+            containerTags: this.parseContainerTags(metadata.format.tags)
           };
 
           resolve(result);
@@ -165,13 +570,125 @@ class VideoService {
             width: 0,
             height: 0,
             format: path.extname(filePath).toLowerCase(),
-            title: path.basename(filePath, path.extname(filePath))
+            title: path.basename(filePath, path.extname(filePath)),
+            probeError: parseError.message
           });
         }
       });
     });
   }
 
+  parseLanguage(tags) {
+    const language = tags?.language;
+    return language && language !== 'und' ? language : null;
+  }
+
+  parseAudioStream(stream) {
+    return {
+      index: stream.index,
+      codec: stream.codec_name || 'unknown',
+      profile: stream.profile && stream.profile !== 'unknown' ? stream.profile : null,
+      language: this.parseLanguage(stream.tags),
+      title: stream.tags?.title || null,
+      channels: stream.channels || 0,
+      channelLayout: stream.channel_layout || null,
+      sampleRate: parseInt(stream.sample_rate) || 0,
+      bitrate: parseInt(stream.bit_rate) || 0,
+      default: stream.disposition?.default === 1
+    };
+  }
+
+  parseSubtitleStream(stream) {
+    return {
+      index: stream.index,
+      codec: stream.codec_name || 'unknown',
+      language: this.parseLanguage(stream.tags),
+      title: stream.tags?.title || null,
+      default: stream.disposition?.default === 1,
+      forced: stream.disposition?.forced === 1,
+      hearingImpaired: stream.disposition?.hearing_impaired === 1
+    };
+  }
+
+  /**
+   * Chapter markers (times in seconds)
+   */
+  parseChapters(chapters = []) {
+    return chapters.map((chapter, index) => ({
+      index,
+      start: parseFloat(chapter.start_time) || 0,
+      end: parseFloat(chapter.end_time) || 0,
+      title: chapter['TAG:title'] || chapter.tags?.title || `Chapter ${index + 1}`
+    }));
+  }
+
+  parseCreationTime(...tagSets) {
+    for (const tags of tagSets) {
+      const value = tags?.creation_time;
+      if (value && !isNaN(Date.parse(value))) {
+        return new Date(value).toISOString();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Clockwise rotation in degrees (0, 90, 180 or 270) needed to display
+   * the video upright. Older files use a "rotate" tag, newer ffprobe
+   * versions report the display matrix as a counter-clockwise rotation.
+   */
+  parseRotation(stream) {
+    let rotation = 0;
+    if (stream.tags?.rotate !== undefined) {
+      rotation = parseFloat(stream.tags.rotate) || 0;
+    } else if (stream.rotation !== undefined) {
+      rotation = -(parseFloat(stream.rotation) || 0);
+    }
+    return ((Math.round(rotation / 90) * 90) % 360 + 360) % 360;
+  }
+
+  /**
+   * Color description and HDR format of a video stream
+   */
+  parseColor(stream) {
+    const known = value => (value && value !== 'unknown' ? value : null);
+    const bitDepthMatch = /p(\d+)(le|be)?$/.exec(stream.pix_fmt || '');
+
+    let hdr = null;
+    if (stream.dv_profile !== undefined || ['dvh1', 'dvhe', 'dav1'].includes(stream.codec_tag_string)) {
+      hdr = 'Dolby Vision';
+    } else if (stream.color_transfer === 'smpte2084') {
+      hdr = 'HDR10';
+    } else if (stream.color_transfer === 'arib-std-b67') {
+      hdr = 'HLG';
+    }
+
+    return {
+      space: known(stream.color_space),
+      transfer: known(stream.color_transfer),
+      primaries: known(stream.color_primaries),
+      range: known(stream.color_range),
+      pixelFormat: known(stream.pix_fmt),
+      bitDepth: parseInt(stream.bits_per_raw_sample) || (bitDepthMatch ? parseInt(bitDepthMatch[1]) : 8),
+      hdr
+    };
+  }
+
+  /**
+   * Container tags other than the title (comment, artist, date, encoder...),
+   * with lower-case keys since Matroska tags are usually upper case
+   */
+  parseContainerTags(tags = {}) {
+    const result = {};
+    Object.entries(tags).forEach(([key, value]) => {
+      const name = key.toLowerCase();
+      if (name !== 'title' && value !== '') {
+        result[name] = String(value);
+      }
+    });
+    return result;
+  }
+
   parseFps(frameRate) {
     if (!frameRate) return 0;
     const parts = frameRate.split('/');
@@ -181,49 +698,161 @@ class VideoService {
     return parseFloat(frameRate);
   }
 
-  generateVideoId(filename) {
-    // Generate a simple ID based on filename
-    return Buffer.from(filename).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 16);
+  /**
+   * Generate a new ID from a content fingerprint, guaranteed not to clash
+   * with any other file in the library or catalog
+   */
+  generateVideoId(fingerprint, filePath) {
+    let attempt = 0;
+    let videoId = fingerprintToId(fingerprint);
+
+    while (this.isVideoIdTaken(videoId, filePath)) {
+      attempt++;
+      videoId = fingerprintToId(fingerprint, attempt);
+    }
+
+    // Parallel scan workers must not hand out the same ID twice
+    this.reservedIds.set(videoId, filePath);
+    return videoId;
+  }
+
+  /**
+   * The original filename-based ID. It is not unique (long names that share
+   * a prefix truncate to the same value), so it is only used as an alias
+   * to keep old favorites and bookmarks working.
+   */
+  generateLegacyVideoId(relativePath) {
+    return Buffer.from(relativePath).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 16);
   }
 
-  getAllVideos() {
-    return Array.from(this.videos.values());
+  getAllVideos(libraryId = null) {
+    const videos = Array.from(this.videos.values());
+    return libraryId ? videos.filter(video => video.libraryId === libraryId) : videos;
   }
 
   getVideoById(id) {
     return this.videos.get(id);
   }
 
-  searchVideos(query) {
-    if (!query) return this.getAllVideos();
-    
-    const searchKey = query.toLowerCase();
-    const now = Date.now();
-    
-    // Check cache first
-    const cached = this.searchCache.get(searchKey);
-    if (cached && now - cached.timestamp < this.CACHE_TTL.search) {
-      return cached.results;
+  /**
+   * A video as sent to clients: no absolute server paths. Sidecar read
+   * errors can quote the file's location, which is cut down to the name.
+   */
+  toPublic(video) {
+    const { path: filePath, ...fields } = video;
+
+    if (video.sidecar?.errors?.length) {
+      const folder = path.dirname(filePath) + path.sep;
+      fields.sidecar = {
+        ...video.sidecar,
+        errors: video.sidecar.errors.map(error => ({ ...error, message: error.message.split(folder).join('') }))
+      };
     }
+
+    return fields;
+  }
+
+  /**
+   * Map a legacy or aliased ID to the current video ID.
+   * Returns null if the ID is unknown.
+   */
+  resolveVideoId(id) {
+    if (this.videos.has(id)) {
+      return id;
+    }
+    return this.aliases.get(id) || null;
+  }
+
+  /**
+   * Search with the query language in utils/searchQuery. Bare words go
+   * through the search index (ranked, with prefix and typo matching);
+   * phrases, negated words and field filters must match exactly.
+   * `filters` are extra parsed field filters (see parseFieldParams).
+   * Throws QuerySyntaxError for an invalid query.
+   */
+  searchVideos(query, filters = []) {
+    if ((!query || !query.trim()) && filters.length === 0) return this.getAllVideos();
+
+    const filter = parseQuery(query || '');
+    const words = filter.text.filter(term => !term.phrase && !term.negate);
+    const matches = createMatcher(
+      { filters: [...filter.filters, ...filters], text: filter.text.filter(term => term.phrase || term.negate) },
+      (video, text) => this.matchesSearch(video, text)
+    );
+
+    if (words.length === 0) {
+      return this.getAllVideos().filter(matches);
+    }
+
+    const scores = this.searchIndex.search(words.map(term => term.value).join(' '));
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => this.videos.get(id))
+      .filter(video => video && matches(video));
+  }
+
+  matchesSearch(video, searchTerm) {
+    const titleMatch = video.title.toLowerCase().includes(searchTerm);
+    const filenameMatch = video.filename.toLowerCase().includes(searchTerm);
+    const folderMatch = video.folder && video.folder.toLowerCase().includes(searchTerm);
+    const formatMatch = video.format && video.format.toLowerCase().includes(searchTerm);
+    const qualityMatch = this.getVideoQuality(video.width, video.height).toLowerCase().includes(searchTerm);
+    const metadataMatch = this.getMetadataSearchText(video).includes(searchTerm);
     
-    // Perform search with enhanced matching
-    const searchTerm = searchKey;
-    const results = this.getAllVideos().filter(video => {
-      const titleMatch = video.title.toLowerCase().includes(searchTerm);
-      const filenameMatch = video.filename.toLowerCase().includes(searchTerm);
-      const formatMatch = video.format && video.format.toLowerCase().includes(searchTerm);
-      const qualityMatch = this.getVideoQuality(video.width, video.height).toLowerCase().includes(searchTerm);
-      
-      return titleMatch || filenameMatch || formatMatch || qualityMatch;
-    });
-    
-    // Cache results
-    this.searchCache.set(searchKey, {
-      results,
-      timestamp: now
-    });
-    
-    return results;
+    return titleMatch || filenameMatch || folderMatch || formatMatch || qualityMatch || metadataMatch;
+  }
+
+  /**
+   * Searchable text from sidecars and user edits
+   */
+  getMetadataSearchText(video) {
+    const { description, location, operator, recordingDate, tags = [], sidecar, customFields = {} } = video;
+    return [
+      description,
+      location,
+      operator,
+      recordingDate,
+      ...tags,
+      ...Object.values(sidecar?.fields || {}),
+      ...Object.values(customFields)
+    ]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+  }
+
+  /**
+   * Text of a video for the search index, by field (see SEARCH_FIELD_WEIGHTS)
+   */
+  getSearchFields(video) {
+    const { location, operator, sidecar, customFields = {} } = video;
+    return {
+      title: video.title,
+      tags: video.tags || [],
+      filename: video.filename,
+      folder: video.folder,
+      description: video.description,
+      metadata: [
+        location,
+        operator,
+        video.format,
+        this.getVideoQuality(video.width, video.height),
+        ...Object.values(sidecar?.fields || {}),
+        ...Object.values(customFields)
+      ]
+    };
+  }
+
+  /**
+   * Re-index a single video after it was added, changed or removed
+   */
+  updateSearchIndex(video, previous = null) {
+    if (previous && previous.id !== video?.id) {
+      this.searchIndex.remove(previous.id);
+    }
+    if (video) {
+      this.searchIndex.add(video.id, this.getSearchFields(video));
+    }
   }
 
   getVideoQuality(width, height) {
@@ -233,48 +862,238 @@ class VideoService {
     return 'SD';
   }
 
-  getVideosByCategory() {
-    // Simple categorization by file extension
-    const categories = {};
-    
-    this.getAllVideos().forEach(video => {
-      const ext = path.extname(video.filename).toLowerCase();
-      if (!categories[ext]) {
-        categories[ext] = [];
+  /**
+   * Group videos into rows by tag: [{ name, videos }], most used tag
+   * first. Tags are matched case-insensitively; videos without tags end up
+   * in a last "Untagged" row marked `untagged: true`.
+   */
+  getVideosByCategory(videos = this.getAllVideos()) {
+    const groups = new Map(); // lowercase tag -> { name, videos }
+    const untagged = [];
+
+    videos.forEach(video => {
+      const tags = video.tags || [];
+      if (tags.length === 0) {
+        untagged.push(video);
+        return;
       }
-      categories[ext].push(video);
+
+      new Set(tags.map(tag => tag.toLowerCase())).forEach(key => {
+        if (!groups.has(key)) {
+          groups.set(key, { name: tags.find(tag => tag.toLowerCase() === key), videos: [] });
+        }
+        groups.get(key).videos.push(video);
+      });
     });
 
+    const categories = Array.from(groups.values())
+      .sort((a, b) => b.videos.length - a.videos.length || a.name.localeCompare(b.name));
+
+    if (untagged.length > 0) {
+      categories.push({ name: 'Untagged', videos: untagged, untagged: true });
+    }
+
     return categories;
   }
 
-  async refreshVideoLibrary() {
+  /**
+   * Keep videos carrying all (mode 'all') or any (mode 'any') of the tags
+   */
+  filterByTags(videos, tags, mode = 'all') {
+    const wanted = tags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (wanted.length === 0) {
+      return videos;
+    }
+
+    return videos.filter(video => {
+      const videoTags = new Set((video.tags || []).map(tag => tag.toLowerCase()));
+      return mode === 'any'
+        ? wanted.some(tag => videoTags.has(tag))
+        : wanted.every(tag => videoTags.has(tag));
+    });
+  }
+
+  /**
+   * Build the folder collections for each library. Every folder that
+   * contains videos (directly or in a subfolder) is listed with its
+   * aggregate counts; the library root has path ''.
+   */
+  getFolders(libraryId = null) {
+    const folders = new Map();
+    const keyOf = (libId, folderPath) => `${libId}\u0000${folderPath}`;
+
+    const ensureFolder = (libId, folderPath) => {
+      const key = keyOf(libId, folderPath);
+      if (!folders.has(key)) {
+        const parent = folderPath ? path.posix.dirname(folderPath) : null;
+        const library = libraryService.getLibrary(libId);
+        folders.set(key, {
+          libraryId: libId,
+          path: folderPath,
+          name: folderPath ? path.posix.basename(folderPath) : (library ? library.name : 'Library'),
+          parent: parent === '.' ? '' : parent,
+          depth: folderPath ? folderPath.split('/').length : 0,
+          videoCount: 0,
+          totalVideoCount: 0,
+          totalSize: 0,
+          totalDuration: 0,
+          subfolders: []
+        });
+      }
+      return folders.get(key);
+    };
+
+    libraryService.getLibraries()
+      .filter(library => !libraryId || library.id === libraryId)
+      .forEach(library => ensureFolder(library.id, ''));
+
+    this.getAllVideos(libraryId).forEach(video => {
+      const folderPath = video.folder || '';
+      ensureFolder(video.libraryId, folderPath).videoCount++;
+
+      // Roll totals up to every ancestor folder
+      let current = folderPath;
+      while (true) {
+        const entry = ensureFolder(video.libraryId, current);
+        entry.totalVideoCount++;
+        entry.totalSize += video.size || 0;
+        entry.totalDuration += video.duration || 0;
+        if (!current) break;
+        const parent = path.posix.dirname(current);
+        current = parent === '.' ? '' : parent;
+      }
+    });
+
+    for (const entry of folders.values()) {
+      if (entry.parent !== null) {
+        folders.get(keyOf(entry.libraryId, entry.parent)).subfolders.push(entry.path);
+      }
+    }
+
+    return Array.from(folders.values())
+      .map(entry => ({ ...entry, subfolders: entry.subfolders.sort() }))
+      .sort((a, b) => a.libraryId.localeCompare(b.libraryId) || a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Get a single folder collection with its direct videos.
+   * Pass recursive to include videos from all nested subfolders.
+   */
+  getFolderContents(libraryId, folderPath = '', recursive = false) {
+    const normalized = folderPath.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    const folder = this.getFolders(libraryId).find(entry => entry.path === normalized);
+
+    if (!folder) {
+      return null;
+    }
+
+    const videos = this.getAllVideos(libraryId).filter(video => {
+      const videoFolder = video.folder || '';
+      if (videoFolder === normalized) return true;
+      return recursive && (normalized === '' || videoFolder.startsWith(`${normalized}/`));
+    });
+
+    return { folder, videos };
+  }
+
+  /**
+   * Rescan all libraries in place. Videos stay available while the scan
+   * runs; unchanged files come from the catalog and removed files are
+   * dropped at the end.
+   */
+  async refreshVideoLibrary(job = null) {
     console.log('Refreshing video library...');
     
-    // Clear all caches
-    this.videos.clear();
-    this.metadataCache.clear();
-    this.searchCache.clear();
+    await this.scanVideoFolder(job);
+    
+    // Clear derived caches (the search index is updated per video)
     this.statsCache = null;
     this.statsCacheTime = 0;
+    this.libraryStatsCache.clear();
     
-    await this.scanVideoFolder();
     console.log(`Refreshed: ${this.videos.size} videos found`);
     
     // Pre-calculate stats for faster initial loading
     this.getStats();
   }
 
-  getStats() {
+  /**
+   * Apply a single video change to the cached stats (overall and
+   * per-library) instead of recalculating them. Stats that have not been
+   * computed yet are left alone.
+   */
+  updateStatsCache(video, previous) {
+    const targets = [];
+    if (this.statsCache) {
+      targets.push({ stats: this.statsCache, libraryId: null });
+    }
+    for (const [libraryId, cached] of this.libraryStatsCache.entries()) {
+      targets.push({ stats: cached.stats, libraryId });
+    }
+
+    const inScope = (entry, libraryId) => entry && (!libraryId || entry.libraryId === libraryId);
+
+    targets.forEach(({ stats, libraryId }) => {
+      if (inScope(previous, libraryId)) this.applyStatsDelta(stats, previous, -1);
+      if (inScope(video, libraryId)) this.applyStatsDelta(stats, video, 1);
+
+      stats.averageDuration = stats.totalVideos > 0 ? stats.totalDuration / stats.totalVideos : 0;
+      stats.averageSize = stats.totalVideos > 0 ? stats.totalSize / stats.totalVideos : 0;
+      stats.formats = Object.keys(stats.formatDistribution);
+      stats.lastUpdated = Date.now();
+    });
+  }
+
+  applyStatsDelta(stats, entry, sign) {
+    const quality = this.getVideoQuality(entry.width, entry.height);
+
+    stats.totalVideos += sign;
+    stats.totalSize += sign * (entry.size || 0);
+    stats.totalDuration += sign * (entry.duration || 0);
+
+    stats.qualityDistribution[quality] = (stats.qualityDistribution[quality] || 0) + sign;
+    if (stats.qualityDistribution[quality] <= 0) delete stats.qualityDistribution[quality];
+
+    if (entry.format) {
+      stats.formatDistribution[entry.format] = (stats.formatDistribution[entry.format] || 0) + sign;
+      if (stats.formatDistribution[entry.format] <= 0) delete stats.formatDistribution[entry.format];
+    }
+
+    if (quality === 'HD') stats.hdCount += sign;
+    else stats.sdCount += sign;
+  }
+
+  /**
+   * Library statistics, for the whole library or a single library root
+   */
+  getStats(libraryId = null) {
     const now = Date.now();
     
     // Return cached stats if still valid
-    if (this.statsCache && now - this.statsCacheTime < this.CACHE_TTL.stats) {
+    if (!libraryId && this.statsCache && now - this.statsCacheTime < this.CACHE_TTL.stats) {
       return this.statsCache;
     }
+
+    const cachedLibrary = libraryId && this.libraryStatsCache.get(libraryId);
+    if (cachedLibrary && now - cachedLibrary.timestamp < this.CACHE_TTL.stats) {
+      return cachedLibrary.stats;
+    }
     
     // Calculate fresh stats
-    const videos = this.getAllVideos();
+    const stats = this.computeStats(this.getAllVideos(libraryId), now);
+    
+    // Cache the results
+    if (libraryId) {
+      this.libraryStatsCache.set(libraryId, { stats, timestamp: now });
+    } else {
+      this.statsCache = stats;
+      this.statsCacheTime = now;
+    }
+    
+    return stats;
+  }
+
+  computeStats(videos, now) {
     const totalSize = videos.reduce((sum, video) => sum + (video.size || 0), 0);
     const totalDuration = videos.reduce((sum, video) => sum + (video.duration || 0), 0);
     
@@ -295,7 +1114,7 @@ class VideoService {
       else sdCount++;
     });
     
-    const stats = {
+    return {
       totalVideos: videos.length,
       totalSize,
       totalDuration,
@@ -308,12 +1127,6 @@ class VideoService {
       sdCount,
       lastUpdated: now
     };
-    
-    // Cache the results
-    this.statsCache = stats;
-    this.statsCacheTime = now;
-    
-    return stats;
   }
 }
 
@@ -0,0 +1,254 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chokidar = require('chokidar');
+const config = require('../../config/config.json');
+const videoService = require('./videoService');
+const libraryService = require('./libraryService');
+const healthService = require('./healthService');
+const { isIgnored, isSupportedVideo, toRelativePath } = require('../utils/fileScanner');
+const { isSidecarFile } = require('../utils/sidecar');
+
+/**
+ * Watches the video folder and applies added, changed, removed and renamed
+ * files to the video library incrementally, so a full refresh is not needed.
+ */
+class WatcherService {
+  constructor() {
+    this.watchers = new Map(); // library ID -> chokidar watcher
+    this.isRunning = false;
+
+    // Recently removed videos, kept briefly so a matching add can be
+    // treated as a rename/move and reuse the probed metadata
+    this.pendingRemovals = new Map();
+
+    // Per-path queue so events for the same file are applied in order
+    this.pathQueues = new Map();
+  }
+
+  getOptions() {
+    const watcherConfig = config.watcher || {};
+    return {
+      enabled: watcherConfig.enabled !== false,
+      usePolling: !!watcherConfig.usePolling,
+      pollInterval: watcherConfig.pollInterval || 2000,
+      stabilityThreshold: watcherConfig.stabilityThreshold || 5000,
+      renameWindowMs: watcherConfig.renameWindowMs || 2000
+    };
+  }
+
+  start() {
+    const options = this.getOptions();
+
+    if (!options.enabled) {
+      console.log('👀 [WATCHER] Library watcher disabled in config');
+      return;
+    }
+
+    if (this.isRunning) {
+      return;
+    }
+
+    libraryService.getLibraries().forEach(library => {
+      this.watchers.set(library.id, this.watchLibrary(library, options));
+    });
+
+    this.isRunning = true;
+  }
+
+  watchLibrary(library, options) {
+    const root = library.path;
+    const scanOptions = videoService.getScanOptions(library);
+    const excluded = scanOptions.excludePaths.map(p => path.resolve(p));
+
+    const watcher = chokidar.watch(root, {
+      ignoreInitial: true,
+      persistent: true,
+      followSymlinks: false,
+      depth: scanOptions.recursive ? scanOptions.maxDepth : 0,
+      usePolling: options.usePolling,
+      interval: options.pollInterval,
+      // Wait until the file size stops changing before emitting add/change,
+      // so files still being copied are not probed half-written
+      awaitWriteFinish: {
+        stabilityThreshold: options.stabilityThreshold,
+        pollInterval: 500
+      },
+      ignored: (watchedPath) => {
+        if (excluded.includes(path.resolve(watchedPath))) return true;
+        const relativePath = toRelativePath(root, watchedPath);
+        if (!relativePath || relativePath.startsWith('..')) return false;
+        return relativePath.split('/').some(segment => isIgnored(segment, scanOptions.ignorePatterns));
+      }
+    });
+
+    const onSidecarOr = handler => filePath => this.enqueue(filePath, () => (
+      isSidecarFile(filePath) ? this.handleSidecarChange(filePath) : handler.call(this, library, filePath)
+    ));
+
+    watcher
+      .on('add', onSidecarOr(this.handleAdd))
+      .on('change', onSidecarOr(this.handleChange))
+      .on('unlink', onSidecarOr(this.handleUnlink))
+      .on('ready', () => console.log(`👀 [WATCHER] Watching library "${library.name}": ${root}`))
+      .on('error', error => console.error(`🚨 [WATCHER] Watcher error in library "${library.name}":`, error));
+
+    return watcher;
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+
+    await Promise.all(Array.from(this.watchers.values()).map(watcher => watcher.close()));
+    this.watchers.clear();
+    this.isRunning = false;
+
+    for (const pending of this.pendingRemovals.values()) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingRemovals.clear();
+    console.log('👀 [WATCHER] Library watcher stopped');
+  }
+
+  enqueue(filePath, task) {
+    const previous = this.pathQueues.get(filePath) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch(error => console.error(`🚨 [WATCHER] Failed to apply change for ${filePath}:`, error.message))
+      .finally(() => {
+        if (this.pathQueues.get(filePath) === next) {
+          this.pathQueues.delete(filePath);
+        }
+      });
+
+    this.pathQueues.set(filePath, next);
+    return next;
+  }
+
+  buildEntry(library, filePath) {
+    const relativePath = toRelativePath(library.path, filePath);
+    const folder = path.posix.dirname(relativePath);
+    return {
+      filePath,
+      relativePath,
+      filename: path.basename(filePath),
+      folder: folder === '.' ? '' : folder,
+      libraryId: library.id
+    };
+  }
+
+  isVideoFile(library, filePath) {
+    return isSupportedVideo(path.basename(filePath), library.supportedFormats);
+  }
+
+  async handleAdd(library, filePath) {
+    if (!this.isVideoFile(library, filePath)) return;
+
+    const entry = this.buildEntry(library, filePath);
+    const renamedFrom = await this.takeMatchingRemoval(filePath);
+
+    if (renamedFrom) {
+      console.log(`👀 [WATCHER] Renamed: ${renamedFrom.video.relativePath} -> ${entry.relativePath}`);
+      await videoService.upsertVideoFile(entry, {
+        metadata: this.getRenamedMetadata(renamedFrom, filePath),
+        identity: renamedFrom.identity
+      });
+      return;
+    }
+
+    console.log(`👀 [WATCHER] Added: ${entry.relativePath}`);
+    await videoService.upsertVideoFile(entry);
+  }
+
+  async handleChange(library, filePath) {
+    if (!this.isVideoFile(library, filePath)) return;
+
+    const entry = this.buildEntry(library, filePath);
+    console.log(`👀 [WATCHER] Modified: ${entry.relativePath}`);
+    await videoService.upsertVideoFile(entry);
+  }
+
+  handleUnlink(library, filePath) {
+    if (!this.isVideoFile(library, filePath)) return;
+
+    const existing = videoService.getVideoByPath(filePath);
+    if (!existing) {
+      // Broken files never make it into the library but may have a health issue
+      healthService.clearIssue(filePath);
+      return;
+    }
+
+    // Keep the identity and probed metadata so a rename/move keeps the
+    // same video ID and is not probed again
+    const identity = videoService.getIdentity(existing.id);
+    const metadata = videoService.getProbedMetadata(filePath);
+    const removed = videoService.removeVideoFile(filePath);
+
+    const { renameWindowMs } = this.getOptions();
+    const timer = setTimeout(() => {
+      this.pendingRemovals.delete(filePath);
+      console.log(`👀 [WATCHER] Removed: ${removed.relativePath}`);
+    }, renameWindowMs);
+
+    this.pendingRemovals.set(filePath, { video: removed, identity, metadata, timer });
+  }
+
+  /**
+   * A sidecar (.nfo/.json/.yaml) was added, changed or removed: re-read
+   * the sidecars of the video it belongs to
+   */
+  async handleSidecarChange(filePath) {
+    const updated = await videoService.refreshSidecar(filePath);
+    if (updated > 0) {
+      console.log(`👀 [WATCHER] Sidecar updated: ${path.basename(filePath)}`);
+    }
+  }
+
+  /**
+   * Find a just-removed video with the same size and mtime as the added
+   * file. If one exists, the add is the second half of a rename or move.
+   * Returns { video, identity, metadata } of the removed file.
+   */
+  async takeMatchingRemoval(filePath) {
+    if (this.pendingRemovals.size === 0) return null;
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    for (const [removedPath, pending] of this.pendingRemovals.entries()) {
+      const { video } = pending;
+      const sameModified = new Date(video.modified).getTime() === stats.mtime.getTime();
+      if (video.size === stats.size && sameModified) {
+        clearTimeout(pending.timer);
+        this.pendingRemovals.delete(removedPath);
+        return pending;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Probed metadata of a removed file, reused for its renamed copy.
+   * Returns null (probe again) if it is not known.
+   */
+  getRenamedMetadata({ video, metadata: probed }, newFilePath) {
+    if (!probed) return null;
+
+    const filePath = video.path;
+    const metadata = { ...probed };
+
+    // A title that fell back to the old filename should follow the rename
+    const oldName = path.basename(filePath, path.extname(filePath));
+    if (metadata.title === oldName) {
+      metadata.title = path.basename(newFilePath, path.extname(newFilePath));
+    }
+
+    return metadata;
+  }
+}
+
+module.exports = new WatcherService();
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * HTTP range requests (RFC 7233) for files: single and multiple ranges,
+ * suffix ranges (`bytes=-500`), If-Range, 416 for unsatisfiable ranges and
+ * HEAD requests.
+ */
+
+// Read buffer size for file streams
+const BUFFER_SIZE = 64 * 1024;
+// Requests asking for more ranges than this (after merging) are answered
+// with the whole file, which RFC 7233 allows
+const MAX_RANGES = 20;
+
+/**
+ * Parse a Range header for a file of `size` bytes. Returns
+ * { type: 'none' } when the header is absent, malformed or not in bytes
+ * (the whole file is sent), { type: 'unsatisfiable' }, or
+ * { type: 'ranges', ranges: [{ start, end }] } with inclusive offsets,
+ * sorted and with overlapping or adjacent ranges merged.
+ */
+function parseRange(header, size) {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) {
+    return { type: 'none' };
+  }
+
+  const ranges = [];
+  for (const spec of match[1].split(',').map(part => part.trim()).filter(Boolean)) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return { type: 'none' };
+    }
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+      return { type: 'none' };
+    }
+    const end = parts[2] === '' ? size - 1 : parseInt(parts[2], 10);
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  if (ranges.length === 0) {
+    return { type: 'unsatisfiable' };
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+
+  return merged.length > MAX_RANGES ? { type: 'none' } : { type: 'ranges', ranges: merged };
+}
+
+/**
+ * Whether an If-Range precondition allows a partial response: it must
+ * match the current ETag (strongly) or Last-Modified date exactly
+ */
+function isIfRangeFresh(ifRange, etag, lastModified) {
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && date === Date.parse(lastModified);
+}
+
+/**
+ * Stream `end - start + 1` bytes of a file into `res` and resolve when
+ * done, optionally through a transform (e.g. a bandwidth throttle). The
+ * streams are destroyed when the client goes away.
+ */
+function pipeRange(filePath, res, { start, end }, createTransform) {
+  return new Promise((resolve, reject) => {
+    const fileStream = fs.createReadStream(filePath, { start, end, highWaterMark: BUFFER_SIZE });
+    const transform = createTransform ? createTransform() : null;
+    const output = transform ? fileStream.pipe(transform) : fileStream;
+    const destroy = () => {
+      fileStream.destroy();
+      if (transform) transform.destroy();
+    };
+    const cleanup = () => {
+      destroy();
+      resolve();
+    };
+
+    res.on('close', cleanup);
+    fileStream.on('error', (error) => {
+      res.off('close', cleanup);
+      destroy();
+      reject(error);
+    });
+    output.on('end', () => {
+      res.off('close', cleanup);
+      resolve();
+    });
+    output.pipe(res, { end: false });
+  });
+}
+
+/**
+ * Send a file, honouring the request's Range and If-Range headers.
+ * Status, Content-Length, Content-Range and Content-Type are set here;
+ * other headers (caching, disposition) must be set by the caller.
+ * `createTransform()`, if given, makes a stream each range passes through.
+ * Resolves to { status, bytes } once the response is finished.
+ */
+async function sendFileRanges(req, res, filePath, { size, mimeType, etag, lastModified, createTransform }) {
+  let parsed = parseRange(req.headers.range, size);
+  if (parsed.type !== 'none' && !isIfRangeFresh(req.headers['if-range'], etag, lastModified)) {
+    parsed = { type: 'none' };
+  }
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified);
+
+  if (parsed.type === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.removeHeader('Content-Type');
+    res.status(416).json({
+      error: {
+        message: 'Range not satisfiable',
+        status: 416
+      }
+    });
+    return { status: 416, bytes: 0 };
+  }
+
+  const isHead = req.method === 'HEAD';
+
+  if (parsed.type === 'none' || parsed.ranges.length === 1) {
+    const range = parsed.type === 'none' ? { start: 0, end: size - 1 } : parsed.ranges[0];
+    const length = size === 0 ? 0 : range.end - range.start + 1;
+    const status = parsed.type === 'none' ? 200 : 206;
+
+    res.status(status);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', length);
+    if (status === 206) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+
+    if (!isHead && length > 0) {
+      await pipeRange(filePath, res, range, createTransform);
+    }
+    res.end();
+    return { status, bytes: isHead ? 0 : length };
+  }
+
+  // Several ranges: multipart/byteranges, one part per range
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = parsed.ranges.map(range => ({
+    range,
+    head: `\r\n--${boundary}\r\nContent-Type: ${mimeType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  }));
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((total, part) => (
+    total + Buffer.byteLength(part.head) + part.range.end - part.range.start + 1
+  ), Buffer.byteLength(tail));
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+
+  if (!isHead) {
+    for (const part of parts) {
+      if (res.destroyed) break;
+      res.write(part.head);
+      await pipeRange(filePath, res, part.range, createTransform);
+    }
+    if (!res.destroyed) res.write(tail);
+  }
+  res.end();
+  return { status: 206, bytes: isHead ? 0 : length };
+}
+
+module.exports = {
+  parseRange,
+  isIfRangeFresh,
+  sendFileRanges
+};
@@ -0,0 +1,56 @@
+/**
+ * Run an async function over a list of items with at most `limit` calls
+ * in flight at once. Results are returned in input order; a rejected call
+ * rejects the whole run, so callers should catch per-item errors.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Limit how many calls run at once, for work that arrives over time (e.g.
+ * one ffmpeg run per request). Returns run(fn): fn is called once one of
+ * the `limit` slots is free, in the order calls arrived, and run resolves
+ * or rejects with its result.
+ */
+function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createLimiter
+};
@@ -0,0 +1,121 @@
+/**
+ * MPEG-DASH manifest for on-demand transcoded video. It lists the same
+ * renditions as the HLS master playlist and points at the same cached
+ * segments, so a video transcoded for one protocol is ready for the other:
+ *
+ *   manifest.mpd            video and audio AdaptationSets
+ *   segments/<rendition>/   init.mp4 and <n>.m4s, shared with HLS
+ *
+ * Video and audio are in separate segments (one Representation per video
+ * rendition, one for the audio), as the DASH-IF interoperability
+ * guidelines and dash.js require.
+ */
+
+const TIMESCALE = 1000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+  .join(' ');
+
+const isoDuration = (seconds) => `PT${seconds.toFixed(3)}S`;
+
+/**
+ * frameRate attribute (an integer or a fraction): NTSC rates such as
+ * 29.97 become 30000/1001
+ */
+function formatFrameRate(fps) {
+  if (!fps || fps <= 0) return null;
+
+  const ntsc = Math.round(fps * 1.001);
+  if (Math.abs(fps - ntsc / 1.001) < 0.01 && Math.abs(fps - ntsc) >= 0.01) {
+    return `${ntsc * 1000}/1001`;
+  }
+  return String(Math.round(fps));
+}
+
+function buildManifest(renditions, { audio = null, duration, segmentDuration, fps = 0, query = '' }) {
+  // Players resolve segment URLs without the manifest's query (signed URL token)
+  const suffix = query ? `?${query}` : '';
+  const largest = renditions[renditions.length - 1];
+  const segmentTemplate = `      <SegmentTemplate ${attributes({
+    timescale: TIMESCALE,
+    duration: Math.round(segmentDuration * TIMESCALE),
+    startNumber: 0,
+    initialization: `segments/$RepresentationID$/init.mp4${suffix}`,
+    media: `segments/$RepresentationID$/$Number$.m4s${suffix}`
+  })}/>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD ${attributes({
+      xmlns: 'urn:mpeg:dash:schema:mpd:2011',
+      profiles: 'urn:mpeg:dash:profile:isoff-live:2011',
+      type: 'static',
+      mediaPresentationDuration: isoDuration(duration),
+      minBufferTime: isoDuration(segmentDuration)
+    })}>`,
+    `  <Period id="0" start="PT0S">`,
+    `    <AdaptationSet ${attributes({
+      id: 0,
+      contentType: 'video',
+      mimeType: 'video/mp4',
+      segmentAlignment: 'true',
+      startWithSAP: 1,
+      maxWidth: largest.width,
+      maxHeight: largest.height,
+      frameRate: formatFrameRate(fps)
+    })}>`,
+    segmentTemplate
+  ];
+
+  renditions.forEach(rendition => {
+    lines.push(`      <Representation ${attributes({
+      id: rendition.name,
+      bandwidth: rendition.bandwidth,
+      codecs: rendition.codecs,
+      width: rendition.width,
+      height: rendition.height,
+      sar: '1:1'
+    })}/>`);
+  });
+
+  lines.push('    </AdaptationSet>');
+
+  if (audio) {
+    lines.push(
+      `    <AdaptationSet ${attributes({
+        id: 1,
+        contentType: 'audio',
+        mimeType: 'audio/mp4',
+        segmentAlignment: 'true',
+        startWithSAP: 1
+      })}>`,
+      `      <AudioChannelConfiguration ${attributes({
+        schemeIdUri: 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011',
+        value: audio.channels
+      })}/>`,
+      segmentTemplate,
+      `      <Representation ${attributes({
+        id: audio.name,
+        bandwidth: audio.bandwidth,
+        codecs: audio.codecs,
+        audioSamplingRate: audio.sampleRate
+      })}/>`,
+      '    </AdaptationSet>'
+    );
+  }
+
+  lines.push('  </Period>', '</MPD>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildManifest
+};
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Convert a simple glob pattern (only `*` and `?` wildcards) into a RegExp
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a file or folder name matches any of the ignore patterns
+ */
+function isIgnored(name, ignorePatterns = []) {
+  return ignorePatterns.some(pattern => globToRegExp(pattern).test(name));
+}
+
+/**
+ * Check whether a filename has one of the supported video extensions
+ */
+function isSupportedVideo(filename, supportedFormats = []) {
+  const lower = filename.toLowerCase();
+  return supportedFormats.some(format => lower.endsWith(format.toLowerCase()));
+}
+
+/**
+ * Normalize a path relative to the library root to forward slashes,
+ * so folder paths look the same on Windows and POSIX hosts
+ */
+function toRelativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Recursively walk a video folder and collect supported video files.
+ * Symlinked directories are not followed to avoid scan loops.
+ *
+ * Returns an array of { filePath, relativePath, filename, folder }
+ */
+async function scanDirectory(root, options = {}) {
+  const {
+    recursive = true,
+    maxDepth = Infinity,
+    ignorePatterns = [],
+    excludePaths = [],
+    supportedFormats = []
+  } = options;
+
+  const excluded = excludePaths.map(p => path.resolve(p));
+  const results = [];
+
+  async function walk(dir, depth) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`⚠️ [SCANNER] Cannot read folder ${dir}: ${error.message}`);
+      return;
+    }
+
+    for (const entry of entries) {
+      if (isIgnored(entry.name, ignorePatterns)) {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!recursive || depth >= maxDepth) continue;
+        if (excluded.includes(path.resolve(fullPath))) continue;
+        await walk(fullPath, depth + 1);
+      } else if (entry.isFile() && isSupportedVideo(entry.name, supportedFormats)) {
+        const relativePath = toRelativePath(root, fullPath);
+        const folder = path.posix.dirname(relativePath);
+        results.push({
+          filePath: fullPath,
+          relativePath,
+          filename: entry.name,
+          folder: folder === '.' ? '' : folder
+        });
+      }
+    }
+  }
+
+  await walk(root, 0);
+  return results;
+}
+
+module.exports = {
+  scanDirectory,
+  globToRegExp,
+  isIgnored,
+  isSupportedVideo,
+  toRelativePath
+};
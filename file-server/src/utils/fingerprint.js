@@ -0,0 +1,51 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+// Bytes sampled from the start and end of each file
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Compute a quick content fingerprint for a video file.
+ *
+ * Hashes the file size plus the first and last 64KB instead of the whole
+ * file, so multi-GB recordings on a NAS can be fingerprinted in one read.
+ * The fingerprint survives renames and moves but changes if the file is
+ * rewritten.
+ */
+async function computeFingerprint(filePath, size) {
+  const hash = crypto.createHash('sha256');
+  hash.update(String(size));
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const headLength = Math.min(SAMPLE_SIZE, size);
+    const head = Buffer.alloc(headLength);
+    await handle.read(head, 0, headLength, 0);
+    hash.update(head);
+
+    if (size > SAMPLE_SIZE) {
+      const tailLength = Math.min(SAMPLE_SIZE, size - SAMPLE_SIZE);
+      const tail = Buffer.alloc(tailLength);
+      await handle.read(tail, 0, tailLength, size - tailLength);
+      hash.update(tail);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Derive a 16-character video ID from a fingerprint. The attempt counter
+ * yields a different ID for duplicate copies of the same content.
+ */
+function fingerprintToId(fingerprint, attempt = 0) {
+  const input = attempt === 0 ? fingerprint : `${fingerprint}:${attempt}`;
+  return crypto.createHash('sha256').update(input).digest('hex').substring(0, 16);
+}
+
+module.exports = {
+  computeFingerprint,
+  fingerprintToId
+};
@@ -0,0 +1,79 @@
+/**
+ * HLS playlists for on-demand transcoded video. Segments are fragmented
+ * MP4 (HLS version 7) so DASH can serve the same files. Video renditions
+ * carry no audio; they share one audio rendition, listed as an audio group.
+ *
+ *   master.m3u8             one variant per video rendition, plus the audio group
+ *   <rendition>.m3u8        VOD playlist of segments/<rendition>/<n>.m4s
+ *   audio.m3u8              the same for segments/audio/
+ */
+
+/**
+ * Segment boundaries for a duration: [{ index, start, duration }]. Every
+ * segment is `segmentDuration` long except the last.
+ */
+function getSegments(duration, segmentDuration) {
+  const count = Math.max(1, Math.ceil(duration / segmentDuration - 1e-6));
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    start: index * segmentDuration,
+    duration: Math.min(segmentDuration, duration - index * segmentDuration)
+  }));
+}
+
+// Query string (signed URL token) for URIs in a playlist, since players
+// resolve them against the playlist URL without its query
+const withQuery = (uri, query) => (query ? `${uri}?${query}` : uri);
+
+function buildMasterPlaylist(renditions, { audio = null, fps = 0, query = '' } = {}) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+  if (audio) {
+    lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Audio",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="${audio.channels}",URI="${withQuery(`${audio.name}.m3u8`, query)}"`);
+  }
+
+  renditions.forEach(rendition => {
+    // Variant rates and codecs include the audio played alongside
+    const attributes = [
+      `BANDWIDTH=${rendition.bandwidth + (audio ? audio.bandwidth : 0)}`,
+      `AVERAGE-BANDWIDTH=${(rendition.videoBitrate + (audio ? audio.audioBitrate : 0)) * 1000}`,
+      `RESOLUTION=${rendition.width}x${rendition.height}`,
+      `CODECS="${audio ? `${rendition.codecs},${audio.codecs}` : rendition.codecs}"`
+    ];
+    if (fps > 0) {
+      attributes.push(`FRAME-RATE=${fps.toFixed(3)}`);
+    }
+    if (audio) {
+      attributes.push('AUDIO="audio"');
+    }
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, withQuery(`${rendition.name}.m3u8`, query));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function buildMediaPlaylist(rendition, duration, segmentDuration, { query = '' } = {}) {
+  const segments = getSegments(duration, segmentDuration);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    `#EXT-X-MAP:URI="${withQuery(`segments/${rendition.name}/init.mp4`, query)}"`
+  ];
+
+  segments.forEach(segment => {
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, withQuery(`segments/${rendition.name}/${segment.index}.m4s`, query));
+  });
+
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  getSegments,
+  buildMasterPlaylist,
+  buildMediaPlaylist
+};
@@ -0,0 +1,59 @@
+/**
+ * Least-recently-used cache of Buffers capped by total size in bytes.
+ * Reading an entry makes it the most recently used; adding one evicts the
+ * least recently used entries until the cache fits. Entries larger than
+ * the whole cache are not stored.
+ */
+class LruCache {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { value, size }, oldest first
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Move to the end (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+    if (value.length > this.maxBytes) return false;
+
+    this.entries.set(key, { value, size: value.length });
+    this.bytes += value.length;
+
+    for (const [oldKey, entry] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.entries.delete(oldKey);
+      this.bytes -= entry.size;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+module.exports = {
+  LruCache
+};
@@ -0,0 +1,210 @@
+const path = require('path');
+const mime = require('mime-types');
+const { getRenditions } = require('./renditions');
+
+/**
+ * Chooses how a video is delivered to a client:
+ *
+ *   direct     the file as it is, with range requests (GET /api/stream/:id)
+ *   remux      streams copied into fragmented MP4 (GET /api/stream/:id/remux);
+ *              audio the client cannot decode is converted to AAC
+ *   transcode  HLS transcoded on demand (GET /api/stream/:id/master.m3u8)
+ *
+ * The decision compares the container and codecs from the probe data with
+ * what the client says it can play. Clients that send nothing are assumed
+ * to be a typical browser (DEFAULT_CAPABILITIES).
+ */
+
+const DEFAULT_CAPABILITIES = {
+  containers: ['mp4', 'webm'],
+  videoCodecs: ['h264', 'vp8', 'vp9', 'av1'],
+  audioCodecs: ['aac', 'mp3', 'opus', 'vorbis', 'flac'],
+  maxHeight: null
+};
+
+// Codecs that can be copied into an MP4 container
+const MP4_VIDEO_CODECS = new Set(['h264', 'hevc', 'av1', 'vp9']);
+const MP4_AUDIO_CODECS = new Set(['aac', 'mp3', 'opus', 'flac', 'ac3', 'eac3']);
+
+const CONTAINERS_BY_EXTENSION = {
+  '.mp4': 'mp4',
+  '.m4v': 'mp4',
+  '.mov': 'mov',
+  '.mkv': 'mkv',
+  '.webm': 'webm',
+  '.avi': 'avi'
+};
+
+const CODEC_NAMES = {
+  h264: 'H.264',
+  hevc: 'HEVC',
+  vp8: 'VP8',
+  vp9: 'VP9',
+  av1: 'AV1',
+  mpeg4: 'MPEG-4 Part 2',
+  msmpeg4v3: 'MS MPEG-4 v3',
+  mpeg2video: 'MPEG-2',
+  aac: 'AAC',
+  mp3: 'MP3',
+  ac3: 'AC-3',
+  eac3: 'E-AC-3',
+  dts: 'DTS',
+  truehd: 'TrueHD',
+  opus: 'Opus',
+  vorbis: 'Vorbis',
+  flac: 'FLAC',
+  pcm: 'PCM'
+};
+
+const CONTAINER_NAMES = {
+  mp4: 'MP4',
+  mov: 'QuickTime',
+  mkv: 'Matroska',
+  webm: 'WebM',
+  avi: 'AVI'
+};
+
+const describe = (names, value) => names[value] || value;
+
+/**
+ * Container of a video: the file extension, else the probed format name
+ */
+function getContainer(video) {
+  const byExtension = CONTAINERS_BY_EXTENSION[path.extname(video.filename || video.path || '').toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const format = String(video.format || '');
+  if (format.includes('matroska')) return 'mkv';
+  if (format.includes('mp4')) return 'mp4';
+  if (format.includes('avi')) return 'avi';
+  return format.replace(/^\./, '') || 'unknown';
+}
+
+function normalizeCodec(codec) {
+  const name = String(codec || 'unknown').toLowerCase();
+  return name.startsWith('pcm_') ? 'pcm' : name;
+}
+
+/**
+ * Client capabilities from query parameters:
+ * ?containers=mp4,webm&videoCodecs=h264,vp9&audioCodecs=aac,opus&maxHeight=1080
+ * Lists that are not sent fall back to DEFAULT_CAPABILITIES.
+ */
+function parseCapabilities(query = {}) {
+  const list = (value, fallback) => {
+    if (value === undefined) return fallback;
+    return String(value).split(',').map(entry => normalizeCodec(entry.trim())).filter(Boolean);
+  };
+  const maxHeight = parseInt(query.maxHeight, 10);
+
+  return {
+    containers: list(query.containers, DEFAULT_CAPABILITIES.containers),
+    videoCodecs: list(query.videoCodecs, DEFAULT_CAPABILITIES.videoCodecs),
+    audioCodecs: list(query.audioCodecs, DEFAULT_CAPABILITIES.audioCodecs),
+    maxHeight: maxHeight > 0 ? maxHeight : DEFAULT_CAPABILITIES.maxHeight
+  };
+}
+
+/**
+ * Why the client cannot decode the video stream, or null if it can
+ */
+function getVideoProblem(video, videoCodec, capabilities) {
+  if (!capabilities.videoCodecs.includes(videoCodec)) {
+    return `${describe(CODEC_NAMES, videoCodec)} video is not supported by the client`;
+  }
+  // Browsers only decode 8-bit H.264
+  if (videoCodec === 'h264' && (video.color?.bitDepth || 8) > 8) {
+    return `${video.color.bitDepth}-bit H.264 video is not supported by the client`;
+  }
+  const shortSide = Math.min(video.width || 0, video.height || 0);
+  if (capabilities.maxHeight && shortSide > capabilities.maxHeight) {
+    return `${shortSide}p video is larger than the client allows (${capabilities.maxHeight}p)`;
+  }
+  return null;
+}
+
+/**
+ * Delivery decision for a video:
+ * { method, reason, container, videoCodec, audioCodec, video, audio, url, mimeType }
+ * where `video` and `audio` say whether each stream is copied or transcoded.
+ */
+function decidePlayback(video, capabilities = DEFAULT_CAPABILITIES) {
+  const container = getContainer(video);
+  const videoCodec = normalizeCodec(video.videoCodec);
+  const audioCodec = video.hasAudio === false ? null : normalizeCodec(video.audioCodec);
+  const base = { container, videoCodec, audioCodec };
+  const streamUrl = `/api/stream/${video.id}`;
+
+  const direct = (reason) => ({
+    ...base,
+    method: 'direct',
+    reason,
+    video: 'copy',
+    audio: audioCodec ? 'copy' : 'none',
+    url: streamUrl,
+    mimeType: mime.lookup(video.path || video.filename || '') || 'video/mp4'
+  });
+
+  if (video.probeError || video.hasVideo === false || videoCodec === 'unknown') {
+    return direct('No usable probe data; sending the file unchanged');
+  }
+
+  const videoProblem = getVideoProblem(video, videoCodec, capabilities);
+  const audioProblem = audioCodec && !capabilities.audioCodecs.includes(audioCodec)
+    ? `${describe(CODEC_NAMES, audioCodec)} audio is not supported by the client`
+    : null;
+  const containerSupported = capabilities.containers.includes(container);
+
+  if (!videoProblem && !audioProblem && containerSupported) {
+    const codecs = [videoCodec, audioCodec].filter(Boolean).map(codec => describe(CODEC_NAMES, codec)).join(' and ');
+    return direct(`The client plays ${describe(CONTAINER_NAMES, container)} with ${codecs}`);
+  }
+
+  const canRemux = !videoProblem && MP4_VIDEO_CODECS.has(videoCodec) && capabilities.containers.includes('mp4');
+  if (canRemux) {
+    const copyAudio = audioCodec && !audioProblem && MP4_AUDIO_CODECS.has(audioCodec);
+    const reasons = [];
+    if (!containerSupported) {
+      reasons.push(`${describe(CONTAINER_NAMES, container)} is not supported by the client; copying the streams into fragmented MP4`);
+    }
+    if (audioCodec && !copyAudio) {
+      reasons.push(`${audioProblem || `${describe(CODEC_NAMES, audioCodec)} audio cannot be stored in MP4`}; converting it to AAC`);
+    }
+
+    return {
+      ...base,
+      method: 'remux',
+      reason: reasons.join('. '),
+      video: 'copy',
+      audio: !audioCodec ? 'none' : copyAudio ? 'copy' : 'transcode',
+      url: audioCodec && !copyAudio ? `${streamUrl}/remux?audio=aac` : `${streamUrl}/remux`,
+      mimeType: 'video/mp4'
+    };
+  }
+
+  // Transcoding needs the duration and picture size to build the playlists
+  if (!video.duration || getRenditions(video).length === 0) {
+    return direct(`${videoProblem || 'The video must be transcoded'}, but its duration or size is unknown; sending the file unchanged`);
+  }
+
+  return {
+    ...base,
+    method: 'transcode',
+    reason: videoProblem || `${describe(CODEC_NAMES, videoCodec)} video cannot be stored in MP4; transcoding to H.264`,
+    video: 'transcode',
+    audio: audioCodec ? 'transcode' : 'none',
+    url: `${streamUrl}/master.m3u8`,
+    mimeType: 'application/vnd.apple.mpegurl'
+  };
+}
+
+module.exports = {
+  DEFAULT_CAPABILITIES,
+  MP4_VIDEO_CODECS,
+  MP4_AUDIO_CODECS,
+  getContainer,
+  parseCapabilities,
+  decidePlayback
+};
@@ -0,0 +1,124 @@
+/**
+ * Rendition ladder for adaptive streaming, built from config.videoQuality
+ * ({ low: '480p', medium: '720p', high: '1080p' }). This is the only
+ * definition of the ladder: the HLS playlists, the DASH manifest and the
+ * transcoder all use it, so both protocols offer the same qualities.
+ *
+ * A rendition's height is the shorter side of the picture, so portrait
+ * videos get the same ladder as landscape ones. Renditions larger than the
+ * source are skipped; a source smaller than every tier gets one rendition
+ * at its own size. Video renditions carry no audio: every quality shares
+ * the one audio rendition (getAudioRendition).
+ */
+
+const config = require('../../config/config.json');
+
+// Video bitrate (kbps) per rendition height
+const VIDEO_BITRATES = { 240: 400, 360: 800, 480: 1400, 540: 2000, 720: 2800, 1080: 5000, 1440: 8000, 2160: 14000 };
+const AUDIO_BITRATE = 128; // kbps, stereo AAC
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHANNELS = 2;
+// H.264 High profile level per rendition height (CODECS string, -level)
+const H264_LEVELS = [
+  { maxHeight: 480, codec: 'avc1.64001e', level: '3.0' },
+  { maxHeight: 720, codec: 'avc1.64001f', level: '3.1' },
+  { maxHeight: 1080, codec: 'avc1.640028', level: '4.0' },
+  { maxHeight: 1440, codec: 'avc1.640032', level: '5.0' },
+  { maxHeight: Infinity, codec: 'avc1.640033', level: '5.1' }
+];
+const AAC_CODEC = 'mp4a.40.2';
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Heights of the configured tiers, smallest first
+ */
+function getConfiguredHeights(videoQuality = {}) {
+  const heights = Object.values(videoQuality)
+    .map(value => parseInt(String(value), 10))
+    .filter(height => height > 0);
+  return Array.from(new Set(heights)).sort((a, b) => a - b);
+}
+
+/**
+ * Bitrate for a height, interpolated from the nearest smaller tier
+ */
+function getVideoBitrate(height) {
+  const known = Object.keys(VIDEO_BITRATES).map(Number).sort((a, b) => a - b);
+  const base = known.filter(value => value <= height).pop() || known[0];
+  return Math.round(VIDEO_BITRATES[base] * (height / base));
+}
+
+/**
+ * Displayed size of a video, with 90/270 degree rotation applied
+ */
+function getDisplaySize(video) {
+  const rotated = video.rotation === 90 || video.rotation === 270;
+  return rotated
+    ? { width: video.height, height: video.width }
+    : { width: video.width, height: video.height };
+}
+
+/**
+ * Video renditions for a video: [{ type: 'video', name, width, height,
+ * videoBitrate, bandwidth, codecs, level }], smallest first. Empty when
+ * the video has no known picture size.
+ */
+function getRenditions(video, videoQuality = config.videoQuality) {
+  const display = getDisplaySize(video);
+  if (!display.width || !display.height) {
+    return [];
+  }
+
+  const sourceShortSide = Math.min(display.width, display.height);
+  let heights = getConfiguredHeights(videoQuality).filter(height => height <= sourceShortSide);
+  if (heights.length === 0) {
+    heights = [even(sourceShortSide)];
+  }
+
+  const landscape = display.width >= display.height;
+
+  return heights.map(height => {
+    const longSide = even(height * Math.max(display.width, display.height) / sourceShortSide);
+    const h264 = H264_LEVELS.find(entry => height <= entry.maxHeight);
+    const videoBitrate = getVideoBitrate(height);
+
+    return {
+      type: 'video',
+      name: `${height}p`,
+      width: landscape ? longSide : height,
+      height: landscape ? height : longSide,
+      videoBitrate,
+      // Peak rate for manifests: allow for the encoder's rate overshoot
+      bandwidth: Math.round(videoBitrate * 1.1 * 1000),
+      codecs: h264.codec,
+      level: h264.level
+    };
+  });
+}
+
+/**
+ * The audio rendition shared by all video renditions: { type: 'audio',
+ * name: 'audio', audioBitrate, bandwidth, codecs, sampleRate, channels },
+ * or null when the video has no audio.
+ */
+function getAudioRendition(video) {
+  if (video.hasAudio === false || (video.audioTracks?.length ?? 1) === 0) {
+    return null;
+  }
+
+  return {
+    type: 'audio',
+    name: 'audio',
+    audioBitrate: AUDIO_BITRATE,
+    bandwidth: AUDIO_BITRATE * 1000,
+    codecs: AAC_CODEC,
+    sampleRate: AUDIO_SAMPLE_RATE,
+    channels: AUDIO_CHANNELS
+  };
+}
+
+module.exports = {
+  getRenditions,
+  getAudioRendition
+};
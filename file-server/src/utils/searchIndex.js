@@ -0,0 +1,235 @@
+/**
+ * In-memory inverted index with BM25 ranking, prefix matching and typo
+ * tolerance.
+ *
+ * Documents are added with add(id, { field: text | text[] }). Each field
+ * has a weight; a term's frequency in a document is the weighted sum
+ * of its occurrences, so a match in the title counts more than one in the
+ * description. Adding a document with a known ID replaces it, which keeps
+ * updates incremental.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score factors for terms that only match approximately
+const PREFIX_FACTOR = 0.8;
+const FUZZY_FACTOR = 0.6;
+
+/**
+ * Split text into lowercase terms: on anything that is not a letter or
+ * digit (spaces, _, -, ., /), at camelCase humps and between letters and
+ * digits. Accents are removed, so "Café_nightDive03" gives
+ * ["cafe", "night", "dive", "03"]. With `compounds`, words that were split
+ * are also kept whole ("nightdive03"), so a query typed without the
+ * separators still matches.
+ */
+function tokenize(text, { compounds = false } = {}) {
+  if (!text) return [];
+
+  const words = String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  return words.flatMap(word => {
+    const parts = word
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .replace(/(\p{L})(\p{N})/gu, '$1 $2')
+      .replace(/(\p{N})(\p{L})/gu, '$1 $2')
+      .toLowerCase()
+      .split(' ');
+    return compounds && parts.length > 1 ? [...parts, word.toLowerCase()] : parts;
+  });
+}
+
+/**
+ * Typos allowed for a query term of this length
+ */
+function maxTypos(length) {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+}
+
+/**
+ * Damerau-Levenshtein distance (with adjacent transpositions), giving up
+ * as soon as it exceeds max. Returns max + 1 in that case.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+class SearchIndex {
+  constructor(fieldWeights) {
+    this.fieldWeights = fieldWeights;
+    this.postings = new Map(); // term -> Map(doc ID -> weighted term frequency)
+    this.documents = new Map(); // doc ID -> { length, terms }
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace a document
+   */
+  add(id, fields) {
+    this.remove(id);
+
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+      const values = Array.isArray(fields[field]) ? fields[field] : [fields[field]];
+      values.forEach(value => {
+        tokenize(value, { compounds: true }).forEach(term => {
+          frequencies.set(term, (frequencies.get(term) || 0) + weight);
+          length += weight;
+        });
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    });
+
+    this.documents.set(id, { length, terms: Array.from(frequencies.keys()) });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Index terms a query term matches, with a score factor: 1 for the term
+   * itself, less for longer terms it is a prefix of and for terms within
+   * the allowed number of typos
+   */
+  expandTerm(queryTerm) {
+    const matches = new Map();
+    if (this.postings.has(queryTerm)) {
+      matches.set(queryTerm, 1);
+    }
+
+    const typos = maxTypos(queryTerm.length);
+    for (const term of this.postings.keys()) {
+      if (term === queryTerm) continue;
+
+      if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        matches.set(term, PREFIX_FACTOR);
+      } else if (typos > 0) {
+        const distance = editDistance(queryTerm, term, typos);
+        if (distance <= typos) {
+          matches.set(term, FUZZY_FACTOR / distance);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Score documents against a query. Every query term must match (exactly,
+   * as a prefix or with a typo). Returns a Map of doc ID -> BM25 score.
+   */
+  search(query) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return new Map();
+    }
+
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount || 1;
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+
+      this.expandTerm(queryTerm).forEach((factor, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+
+        posting.forEach((frequency, id) => {
+          const length = this.documents.get(id).length;
+          const score = factor * idf * (frequency * (K1 + 1)) /
+            (frequency + K1 * (1 - B + B * (length / averageLength)));
+          // Best matching variant of the query term counts
+          termScores.set(id, Math.max(termScores.get(id) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            combined.set(id, score + termScores.get(id));
+          }
+        });
+        scores = combined;
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    return scores;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  editDistance
+};
@@ -0,0 +1,410 @@
+const path = require('path');
+const { globToRegExp } = require('./fileScanner');
+
+/**
+ * Search query language.
+ *
+ *   duration:>10m res:>=1080 codec:hevc tag:survey folder:2024/* "exact phrase" -excluded
+ *
+ * Bare words and quoted phrases must appear in the video's searchable text;
+ * `field:value` terms filter on a typed field. A leading `-` negates a term.
+ * Numeric, size and date fields take `>`, `>=`, `<`, `<=` or a range
+ * `a..b`. Without an operator a value stands for the span it names:
+ * `duration:10m` is 10:00-10:59. Ranges include the whole span of both
+ * ends, so `duration:10m..20m` runs to 20:59, and a bare number on the
+ * left takes the unit on the right (`size:1..2gb` reads as `1gb..2gb`:
+ * from 1 GB up to, not including, 3 GB). Dates always compare as whole
+ * spans, so `date:>2024` starts in 2025 and `date:2024-05` is all of
+ * May 2024. Text fields match substrings, or the whole value when it
+ * contains `*` or `?` wildcards.
+ */
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at position ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.status = 400;
+    this.position = position;
+  }
+}
+
+// Tables looked up with words from the query have no prototype, so
+// "constructor" or "__proto__" are unknown words like any other
+const lookup = (entries) => Object.assign(Object.create(null), entries);
+
+const DURATION_UNITS = lookup({ h: 3600, m: 60, s: 1 });
+const SIZE_UNITS = lookup({ b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 });
+const BITRATE_UNITS = lookup({ bps: 1, k: 1e3, kbps: 1e3, m: 1e6, mbps: 1e6, g: 1e9, gbps: 1e9 });
+const RESOLUTION_NAMES = lookup({ sd: 480, hd: 720, fhd: 1080, qhd: 1440, uhd: 2160, '4k': 2160, '8k': 4320 });
+const CODEC_ALIASES = lookup({ h265: 'hevc', x265: 'hevc', h264: 'h264', x264: 'h264', avc: 'h264' });
+
+// Decimal places of a number as written, e.g. 1.25 -> 2
+const decimals = (text) => (text.split('.')[1] || '').length;
+
+/**
+ * Parse "90", "1.5h", "1h30m", "10m" or "1:30:00" into a span of seconds
+ */
+function parseDuration(text) {
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    const seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return { start: seconds, end: seconds + 1 };
+  }
+
+  const parts = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s?)?$/);
+  if (!parts || !text) return null;
+
+  let seconds = 0;
+  let precision = 1;
+  [['h', parts[1]], ['m', parts[2]], ['s', parts[3]]].forEach(([unit, value]) => {
+    if (value === undefined) return;
+    seconds += Number(value) * DURATION_UNITS[unit];
+    precision = DURATION_UNITS[unit] / 10 ** decimals(value);
+  });
+  return { start: seconds, end: seconds + precision };
+}
+
+/**
+ * Parse a number with an optional unit suffix (e.g. "1.5gb", "800k")
+ */
+function parseWithUnits(text, units, defaultUnit) {
+  const parts = text.match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+  if (!parts) return null;
+
+  const multiplier = units[parts[2] || defaultUnit];
+  if (!multiplier) return null;
+
+  const start = Number(parts[1]) * multiplier;
+  return { start, end: start + multiplier / 10 ** decimals(parts[1]) };
+}
+
+function parseNumber(text) {
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  return { start: Number(text), end: Number(text) + 1 / 10 ** decimals(text) };
+}
+
+/**
+ * Parse a video height: "1080", "1080p", "4k" or "uhd"
+ */
+function parseResolution(text) {
+  if (RESOLUTION_NAMES[text]) {
+    return { start: RESOLUTION_NAMES[text], end: RESOLUTION_NAMES[text] + 1 };
+  }
+  return parseNumber(text.replace(/p$/, ''));
+}
+
+/**
+ * Parse "2024", "2024-05" or "2024-05-01" into a span of timestamps (UTC)
+ */
+function parseDate(text) {
+  const parts = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!parts) return null;
+
+  const [, year, month, day] = parts.map(Number);
+  if ((month && (month < 1 || month > 12)) || (day && (day < 1 || day > 31))) return null;
+
+  const start = Date.UTC(year, (month || 1) - 1, day || 1);
+  const end = day ? Date.UTC(year, month - 1, day + 1)
+    : month ? Date.UTC(year, month, 1)
+    : Date.UTC(year + 1, 0, 1);
+  return { start, end };
+}
+
+const toTime = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return isNaN(time) ? null : time;
+};
+
+const lower = (value) => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+// Value types: how a value is parsed and compared. `units` types let the
+// left end of a range borrow the unit of the right end.
+const TYPES = {
+  duration: { kind: 'range', units: true, parse: parseDuration, example: '10m, 1h30m or 1:30:00' },
+  resolution: { kind: 'range', parse: parseResolution, example: '1080, 720p or 4k' },
+  number: { kind: 'range', parse: parseNumber, example: 'a number' },
+  size: { kind: 'range', units: true, parse: text => parseWithUnits(text, SIZE_UNITS, 'b'), example: '500mb or 1.5gb' },
+  bitrate: { kind: 'range', units: true, parse: text => parseWithUnits(text, BITRATE_UNITS, 'bps'), example: '800k or 5mbps' },
+  date: { kind: 'range', span: true, parse: parseDate, example: '2024, 2024-05 or 2024-05-01' },
+  text: { kind: 'text' },
+  keyword: { kind: 'keyword' },
+  flag: { kind: 'flag' }
+};
+
+// Conditions for has:<value>
+const HAS_FLAGS = lookup({
+  audio: video => !!video.hasAudio,
+  subtitles: video => (video.subtitleTracks || []).length > 0,
+  chapters: video => (video.chapters || []).length > 0,
+  sidecar: video => !!video.sidecar,
+  tags: video => (video.tags || []).length > 0,
+  description: video => !!video.description,
+  edits: video => !!video.overrides,
+  hdr: video => !!video.color?.hdr
+});
+const HAS_ALIASES = lookup({ subs: 'subtitles', subtitle: 'subtitles', chapter: 'chapters', tag: 'tags', edited: 'edits' });
+
+// Searchable fields: value type and how to read the field from a video.
+// Keyword and text getters may return a list; any entry can match.
+const FIELDS = lookup({
+  duration: { type: 'duration', get: video => video.duration },
+  res: { type: 'resolution', get: video => (video.width && video.height ? Math.min(video.width, video.height) : 0) },
+  width: { type: 'number', get: video => video.width },
+  height: { type: 'number', get: video => video.height },
+  fps: { type: 'number', get: video => video.fps },
+  size: { type: 'size', get: video => video.size },
+  bitrate: { type: 'bitrate', get: video => video.bitrate },
+  codec: { type: 'keyword', get: video => video.videoCodec, normalize: value => CODEC_ALIASES[value] || value },
+  acodec: { type: 'keyword', get: video => [video.audioCodec, ...(video.audioTracks || []).map(track => track.codec)] },
+  lang: { type: 'keyword', get: video => [...(video.audioTracks || []), ...(video.subtitleTracks || [])].map(track => track.language) },
+  hdr: { type: 'keyword', get: video => video.color?.hdr?.replace(/\s+/g, '') || 'no', normalize: value => value.replace(/\s+/g, '') },
+  tag: { type: 'keyword', get: video => video.tags || [] },
+  ext: { type: 'keyword', get: video => path.extname(video.filename || '').slice(1), normalize: value => value.replace(/^\./, '') },
+  library: { type: 'keyword', get: video => video.libraryId },
+  folder: { type: 'folder', get: video => video.folder || '' },
+  title: { type: 'text', get: video => video.title },
+  filename: { type: 'text', get: video => video.filename },
+  description: { type: 'text', get: video => video.description },
+  location: { type: 'text', get: video => video.location },
+  operator: { type: 'text', get: video => video.operator },
+  date: { type: 'date', get: video => toTime(video.recordingDate) ?? toTime(video.creationTime) },
+  modified: { type: 'date', get: video => toTime(video.modified) },
+  has: { type: 'flag' }
+});
+const FIELD_ALIASES = lookup({ resolution: 'res', vcodec: 'codec', audio: 'acodec', language: 'lang', tags: 'tag', dir: 'folder', in: 'folder', format: 'ext', recorded: 'date' });
+
+const RANGE_OPERATORS = ['>=', '<=', '>', '<', '='];
+
+/**
+ * Split a query into raw terms: { negate, field, value, phrase, position }
+ */
+function tokenize(query) {
+  const terms = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const start = i;
+    const close = query.indexOf('"', i + 1);
+    if (close === -1) {
+      throw new QuerySyntaxError('Unterminated quote', start);
+    }
+    i = close + 1;
+    return query.slice(start + 1, close);
+  };
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let negate = false;
+    if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negate = true;
+      i++;
+    }
+
+    if (query[i] === '"') {
+      terms.push({ negate, field: null, value: readQuoted(), phrase: true, position });
+      continue;
+    }
+
+    const fieldMatch = query.slice(i).match(/^([a-z]+):/i);
+    if (fieldMatch) {
+      i += fieldMatch[0].length;
+      let value;
+      if (query[i] === '"') {
+        value = readQuoted();
+      } else {
+        const start = i;
+        while (i < query.length && !/\s/.test(query[i])) i++;
+        value = query.slice(start, i);
+      }
+      terms.push({ negate, field: fieldMatch[1].toLowerCase(), value, phrase: false, position });
+      continue;
+    }
+
+    const start = i;
+    while (i < query.length && !/\s/.test(query[i])) i++;
+    terms.push({ negate, field: null, value: query.slice(start, i), phrase: false, position });
+  }
+
+  return terms;
+}
+
+/**
+ * Parse a range value: "10m", ">=10m" or "10m..20m". A range covers
+ * both ends whole: from the start of the left span to the end of the right.
+ */
+function parseRangeValue(field, type, value, position) {
+  const parse = (text) => {
+    const span = type.parse(text.toLowerCase());
+    if (!span) {
+      throw new QuerySyntaxError(`Invalid value "${text}" for ${field} (expected ${type.example})`, position);
+    }
+    return span;
+  };
+
+  const range = value.match(/^(.+)\.\.(.+)$/);
+  if (range) {
+    // "1..2gb" is "1gb..2gb"
+    const unit = type.units && /^\d+(\.\d+)?$/.test(range[1]) && range[2].match(/^\d+(?:\.\d+)?([a-z]+)$/i);
+    const from = parse(unit ? range[1] + unit[1] : range[1]);
+    const to = parse(range[2]);
+    if (from.start > to.start) {
+      throw new QuerySyntaxError(`Range for ${field} is reversed`, position);
+    }
+    return { op: 'between', min: from.start, max: to.end };
+  }
+
+  const op = RANGE_OPERATORS.find(candidate => value.startsWith(candidate)) || '=';
+  const span = parse(value.slice(value.startsWith(op) ? op.length : 0));
+
+  if (op === '=') {
+    return { op: 'between', min: span.start, max: span.end };
+  }
+
+  if (type.span) {
+    switch (op) {
+      case '>': return { op: '>=', min: span.end };
+      case '>=': return { op: '>=', min: span.start };
+      case '<': return { op: '<', max: span.start };
+      default: return { op: '<', max: span.end };
+    }
+  }
+
+  return op.startsWith('>') ? { op, min: span.start } : { op, max: span.start };
+}
+
+/**
+ * Parse one `field:value` term into a filter. Throws QuerySyntaxError for
+ * unknown fields and malformed values.
+ */
+function parseFieldTerm(field, value, negate = false, position = undefined) {
+  const name = FIELD_ALIASES[field] || field;
+  const definition = FIELDS[name];
+  if (!definition) {
+    throw new QuerySyntaxError(`Unknown field "${field}" (known fields: ${Object.keys(FIELDS).join(', ')})`, position);
+  }
+  if (!value) {
+    throw new QuerySyntaxError(`Missing value for ${field}`, position);
+  }
+
+  const type = TYPES[definition.type] || TYPES.text;
+  const base = { field: name, type: definition.type, negate };
+
+  if (type.kind === 'range') {
+    return { ...base, ...parseRangeValue(name, type, value, position) };
+  }
+
+  if (name === 'has') {
+    const flag = HAS_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    if (!HAS_FLAGS[flag]) {
+      throw new QuerySyntaxError(`Unknown value "${value}" for has (expected ${Object.keys(HAS_FLAGS).join(', ')})`, position);
+    }
+    return { ...base, op: 'is', value: flag };
+  }
+
+  const normalized = definition.normalize ? definition.normalize(value.toLowerCase()) : value.toLowerCase();
+  const op = /[*?]/.test(value) ? 'glob' : definition.type === 'text' ? 'contains' : 'equals';
+  return { ...base, op, value: normalized };
+}
+
+/**
+ * Parse a query string into a typed filter:
+ * { text: [{ value, negate }], filters: [{ field, type, op, ... , negate }] }
+ * Throws QuerySyntaxError for unknown fields and malformed values.
+ */
+function parseQuery(query = '') {
+  const filter = { text: [], filters: [] };
+
+  tokenize(String(query)).forEach(({ negate, field, value, phrase, position }) => {
+    if (!field) {
+      if (value) {
+        filter.text.push({ value: value.toLowerCase(), phrase, negate });
+      }
+      return;
+    }
+
+    filter.filters.push(parseFieldTerm(field, value, negate, position));
+  });
+
+  return filter;
+}
+
+/**
+ * Field filters from URL query parameters named after fields, e.g.
+ * ?codec=hevc&duration=>10m. Values use the same syntax as `field:value`
+ * terms, without quoting. Parameters that are not fields, or are listed in
+ * `exclude`, are ignored.
+ */
+function parseFieldParams(params, exclude = []) {
+  const filters = [];
+
+  Object.entries(params).forEach(([key, values]) => {
+    const field = key.toLowerCase();
+    const name = FIELD_ALIASES[field] || field;
+    if (!FIELDS[name] || exclude.includes(name)) return;
+
+    (Array.isArray(values) ? values : [values])
+      .filter(value => typeof value === 'string')
+      .forEach(value => filters.push(parseFieldTerm(field, value.trim())));
+  });
+
+  return filters;
+}
+
+function matchesFilter(video, filter) {
+  if (filter.field === 'has') {
+    return HAS_FLAGS[filter.value](video);
+  }
+
+  const value = FIELDS[filter.field].get(video);
+
+  if (filter.min !== undefined || filter.max !== undefined) {
+    if (typeof value !== 'number' || isNaN(value)) return false;
+
+    switch (filter.op) {
+      case 'between': return value >= filter.min && value < filter.max;
+      case '>': return value > filter.min;
+      case '>=': return value >= filter.min;
+      case '<': return value < filter.max;
+      default: return value <= filter.max;
+    }
+  }
+
+  const values = (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined && item !== '');
+  const definition = FIELDS[filter.field];
+  const normalized = values.map(item => (definition.normalize ? definition.normalize(lower(item)) : lower(item)));
+
+  if (filter.field === 'folder') {
+    // Without wildcards a folder also matches its subfolders
+    return normalized.some(folder => (filter.op === 'glob'
+      ? globToRegExp(filter.value).test(folder)
+      : folder === filter.value.replace(/\/+$/, '') || folder.startsWith(filter.value.replace(/\/+$/, '') + '/')));
+  }
+
+  switch (filter.op) {
+    case 'glob': return normalized.some(item => globToRegExp(filter.value).test(item));
+    case 'contains': return normalized.some(item => item.includes(filter.value));
+    default: return normalized.some(item => item === filter.value);
+  }
+}
+
+/**
+ * Build a predicate for a parsed filter. `matchText(video, text)` decides
+ * whether a bare word or phrase matches a video.
+ */
+function createMatcher(filter, matchText) {
+  return (video) => filter.text.every(term => matchText(video, term.value) !== term.negate)
+    && filter.filters.every(item => matchesFilter(video, item) !== item.negate);
+}
+
+module.exports = {
+  QuerySyntaxError,
+  FIELDS,
+  FIELD_ALIASES,
+  parseQuery,
+  parseFieldParams,
+  createMatcher
+};
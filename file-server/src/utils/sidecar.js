@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { XMLParser } = require('fast-xml-parser');
+
+// Sidecar extensions, lowest precedence first
+const SIDECAR_EXTENSIONS = ['.nfo', '.yaml', '.yml', '.json'];
+
+// Field names accepted for each normalized sidecar field
+const FIELD_ALIASES = {
+  title: ['title'],
+  description: ['description', 'plot', 'summary', 'outline', 'comment'],
+  location: ['location', 'site', 'place'],
+  operator: ['operator', 'diver', 'cameraman'],
+  date: ['date', 'recorded', 'recordingdate', 'recording_date', 'premiered', 'aired', 'year'],
+  tags: ['tags', 'tag', 'keywords', 'genre']
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+function isSidecarFile(filename) {
+  return SIDECAR_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Possible sidecar paths for a video: <name>.nfo, <name>.yaml, <name>.yml
+ * and <name>.json next to it
+ */
+function getSidecarCandidates(videoPath) {
+  const base = path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)));
+  return SIDECAR_EXTENSIONS.map(ext => base + ext);
+}
+
+/**
+ * Whether a sidecar file belongs to the given video
+ */
+function isSidecarFor(sidecarPath, videoPath) {
+  return getSidecarCandidates(videoPath).includes(sidecarPath);
+}
+
+/**
+ * Parse a Kodi .nfo file. The root element (<movie>, <episodedetails>,
+ * <musicvideo>...) is flattened into a plain object. Some .nfo files only
+ * contain a scraper URL; those yield no fields.
+ */
+function parseNfo(content) {
+  if (!content.trim().startsWith('<')) {
+    return {};
+  }
+
+  const document = xmlParser.parse(content);
+  const rootName = Object.keys(document).find(key => !key.startsWith('?'));
+  const root = rootName ? document[rootName] : null;
+
+  return root && typeof root === 'object' ? root : {};
+}
+
+function parseSidecarFile(filePath, content) {
+  switch (path.extname(filePath).toLowerCase()) {
+    case '.nfo':
+      return parseNfo(content);
+    case '.yaml':
+    case '.yml':
+      return yaml.load(content) || {};
+    case '.json':
+      return JSON.parse(content);
+    default:
+      return {};
+  }
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ') || null;
+  if (value instanceof Date) {
+    // YAML dates without a time come back as UTC midnight
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value === 'object') return null;
+
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toTags(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (typeof item === 'string' ? item.split(/[,;]/) : [toText(item)]))
+    .map(tag => (tag || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Map raw sidecar data onto the normalized fields. Fields without a known
+ * meaning are kept in `fields` so they can still be shown and searched.
+ */
+function normalizeSidecar(data) {
+  const result = { title: null, description: null, location: null, operator: null, date: null, tags: [], fields: {} };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return result;
+  }
+
+  const used = new Set();
+  const lookup = new Map(Object.keys(data).map(key => [key.toLowerCase(), key]));
+
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const keys = aliases.map(alias => lookup.get(alias)).filter(Boolean);
+    keys.forEach(key => used.add(key));
+
+    if (field === 'tags') {
+      result.tags = Array.from(new Set(keys.flatMap(key => toTags(data[key]))));
+    } else {
+      const key = keys.find(candidate => toText(data[candidate]));
+      result[field] = key ? toText(data[key]) : null;
+    }
+  });
+
+  Object.entries(data).forEach(([key, value]) => {
+    const text = toText(value);
+    if (!used.has(key) && text) {
+      result.fields[key] = text;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Merge normalized sidecars; later ones win for single-value fields and
+ * tags are combined
+ */
+function mergeSidecars(sidecars) {
+  return sidecars.reduce((merged, sidecar) => {
+    ['title', 'description', 'location', 'operator', 'date'].forEach(field => {
+      if (sidecar[field]) merged[field] = sidecar[field];
+    });
+    merged.tags = Array.from(new Set([...merged.tags, ...sidecar.tags]));
+    merged.fields = { ...merged.fields, ...sidecar.fields };
+    merged.files.push(...sidecar.files);
+    return merged;
+  }, { title: null, description: null, location: null, operator: null, date: null, tags: [], fields: {}, files: [] });
+}
+
+/**
+ * Find and read all sidecars of a video. Returns null if there are none.
+ * Unreadable sidecars are skipped and reported in `errors`.
+ */
+async function readSidecars(videoPath) {
+  const sidecars = [];
+  const errors = [];
+
+  for (const candidate of getSidecarCandidates(videoPath)) {
+    let stats;
+    try {
+      stats = await fs.stat(candidate);
+    } catch (error) {
+      continue;
+    }
+    if (!stats.isFile()) continue;
+
+    try {
+      const content = await fs.readFile(candidate, 'utf8');
+      sidecars.push({
+        ...normalizeSidecar(parseSidecarFile(candidate, content)),
+        files: [{ name: path.basename(candidate), modified: stats.mtime.toISOString() }]
+      });
+    } catch (error) {
+      errors.push({ name: path.basename(candidate), message: error.message });
+    }
+  }
+
+  if (sidecars.length === 0 && errors.length === 0) {
+    return null;
+  }
+
+  return { ...mergeSidecars(sidecars), errors };
+}
+
+module.exports = {
+  SIDECAR_EXTENSIONS,
+  isSidecarFile,
+  isSidecarFor,
+  getSidecarCandidates,
+  normalizeSidecar,
+  readSidecars
+};
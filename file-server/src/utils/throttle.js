@@ -0,0 +1,64 @@
+const { Transform } = require('stream');
+
+/**
+ * Bandwidth budget shared by any number of streams. Each chunk reserves
+ * its bytes and waits until the budget allows them; an idle limiter lets
+ * up to `burstSeconds` worth of data through at once so playback can
+ * start quickly. A rate of 0 means unlimited.
+ */
+class RateLimiter {
+  constructor(bytesPerSecond = 0, { burstSeconds = 1 } = {}) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.burstMs = burstSeconds * 1000;
+    this.nextFree = 0; // time at which everything reserved so far is sent
+  }
+
+  setRate(bytesPerSecond) {
+    this.bytesPerSecond = bytesPerSecond;
+  }
+
+  /**
+   * Reserve `bytes` and return how long (ms) to wait before sending them
+   */
+  reserve(bytes) {
+    if (!this.bytesPerSecond) return 0;
+
+    const now = Date.now();
+    this.nextFree = Math.max(this.nextFree, now - this.burstMs) + (bytes / this.bytesPerSecond) * 1000;
+    return Math.max(0, this.nextFree - now);
+  }
+}
+
+/**
+ * Transform stream that delays each chunk until every limiter allows it.
+ * `onData(bytes)` is called for each chunk, e.g. to count bytes sent.
+ */
+function createThrottle(limiters, onData) {
+  let timer = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const delay = Math.max(0, ...limiters.map(limiter => limiter.reserve(chunk.length)));
+      if (onData) onData(chunk.length);
+
+      if (delay > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          callback(null, chunk);
+        }, delay);
+      } else {
+        callback(null, chunk);
+      }
+    },
+
+    destroy(error, callback) {
+      clearTimeout(timer);
+      callback(error);
+    }
+  });
+}
+
+module.exports = {
+  RateLimiter,
+  createThrottle
+};
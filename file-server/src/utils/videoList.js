@@ -0,0 +1,238 @@
+const { FIELDS, FIELD_ALIASES } = require('./searchQuery');
+
+/**
+ * Sorting, cursor pagination and field selection for video lists.
+ *
+ *   ?sort=-date,title&limit=50&cursor=<nextCursor>&fields=id,title,duration
+ *
+ * `sort` takes a comma-separated list of fields, `-` for descending. A
+ * field is a search query field (duration, res, date, codec, ...) or any
+ * video property, with dots for nested ones (created, customFields.rig).
+ * Missing values sort last in either direction and the video ID breaks
+ * ties, so the order is total. `relevance` keeps the order the list came
+ * in (search rank).
+ *
+ * Cursors are opaque. For a field sort they hold the sort key of the last
+ * video returned, so videos added or removed between pages do not shift
+ * the next page; for relevance they hold an offset.
+ */
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.status = 400;
+  }
+}
+
+// Video properties that never leave the server
+const PRIVATE_FIELDS = ['path'];
+const PROPERTY_PATTERN = /^[a-z_]\w*(\.\w+)*$/i;
+const MAX_SORT_KEYS = 5;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Getter for a sort field: a search query field or a (nested) property
+ */
+function getFieldGetter(name) {
+  const field = FIELD_ALIASES[name] || name;
+  if (FIELDS[field]?.get) {
+    return FIELDS[field].get;
+  }
+
+  if (!PROPERTY_PATTERN.test(name) || PRIVATE_FIELDS.includes(name.split('.')[0])) {
+    throw new ListQueryError(`Cannot sort by "${name}"`);
+  }
+
+  const keys = name.split('.');
+  return video => keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), video);
+}
+
+/**
+ * Reduce a field value to something comparable: number, string or null
+ */
+function toSortValue(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+
+  if (first instanceof Date) return isNaN(first.getTime()) ? null : first.getTime();
+  if (typeof first === 'number') return isNaN(first) ? null : first;
+  if (typeof first === 'boolean') return first ? 1 : 0;
+  if (typeof first === 'string') return first === '' ? null : first;
+  return null;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return collator.compare(a, b) || (a < b ? -1 : 1);
+}
+
+/**
+ * Compare two sort keys ({ values, id }) under the given sort fields
+ */
+function compareKeys(sort, a, b) {
+  for (let i = 0; i < sort.length; i++) {
+    const x = a.values[i];
+    const y = b.values[i];
+    if (x === y) continue;
+
+    // Missing values last, whatever the direction
+    if (x === null) return 1;
+    if (y === null) return -1;
+
+    const result = compareValues(x, y);
+    if (result !== 0) {
+      return sort[i].descending ? -result : result;
+    }
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Parse ?sort=. Returns [] for relevance order.
+ */
+function parseSort(text) {
+  const names = String(text).split(',').map(name => name.trim()).filter(Boolean);
+
+  if (names.length === 0 || (names.length === 1 && names[0] === 'relevance')) {
+    return [];
+  }
+  if (names.includes('relevance')) {
+    throw new ListQueryError('relevance cannot be combined with other sort fields');
+  }
+  if (names.length > MAX_SORT_KEYS) {
+    throw new ListQueryError(`At most ${MAX_SORT_KEYS} sort fields are allowed`);
+  }
+
+  return names.map(name => {
+    const descending = name.startsWith('-');
+    const field = descending ? name.slice(1) : name.replace(/^\+/, '');
+    return { field, descending, get: getFieldGetter(field) };
+  });
+}
+
+/**
+ * Parse ?fields=. Returns null for all fields; the ID is always included.
+ */
+function parseFields(text) {
+  if (!text) return null;
+
+  const fields = String(text).split(',').map(name => name.trim()).filter(Boolean);
+  return fields.length > 0 ? Array.from(new Set(['id', ...fields])) : null;
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (data && typeof data === 'object') return data;
+  } catch (error) {
+    // Reported below
+  }
+  throw new ListQueryError('Invalid cursor');
+}
+
+const describeSort = (sort) => (sort.length > 0
+  ? sort.map(key => (key.descending ? '-' : '') + key.field).join(',')
+  : 'relevance');
+
+/**
+ * Parse list options from a request query:
+ * { sort, sortName, limit, cursor, fields }. `defaultSort` applies when
+ * ?sort= is absent. Throws ListQueryError for invalid values.
+ */
+function parseListOptions(query, { defaultSort, defaultLimit, maxLimit }) {
+  const sortName = typeof query.sort === 'string' && query.sort.trim() ? query.sort : defaultSort;
+  const sort = parseSort(sortName);
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ListQueryError('limit must be a positive integer');
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  const cursor = typeof query.cursor === 'string' && query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && cursor.s !== describeSort(sort)) {
+    throw new ListQueryError('Cursor belongs to a different sort order');
+  }
+
+  return {
+    sort,
+    sortName: describeSort(sort),
+    limit,
+    cursor,
+    fields: parseFields(typeof query.fields === 'string' ? query.fields : '')
+  };
+}
+
+/**
+ * Sort videos and cut out one page.
+ * Returns { videos, total, nextCursor } (nextCursor is null on the last page).
+ */
+function paginate(videos, { sort, sortName, limit, cursor }) {
+  if (sort.length === 0) {
+    const offset = Math.max(0, Number(cursor?.o) || 0);
+    const page = videos.slice(offset, offset + limit);
+    const end = offset + page.length;
+
+    return {
+      videos: page,
+      total: videos.length,
+      nextCursor: end < videos.length ? encodeCursor({ s: sortName, o: end }) : null
+    };
+  }
+
+  const keyOf = video => ({ id: video.id, values: sort.map(key => toSortValue(key.get(video))) });
+  const keyed = videos
+    .map(video => ({ video, key: keyOf(video) }))
+    .sort((a, b) => compareKeys(sort, a.key, b.key));
+
+  let start = 0;
+  if (cursor) {
+    const after = { id: String(cursor.id), values: Array.isArray(cursor.k) ? cursor.k : [] };
+    start = keyed.findIndex(entry => compareKeys(sort, entry.key, after) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const page = keyed.slice(start, start + limit);
+  const last = page[page.length - 1];
+
+  return {
+    videos: page.map(entry => entry.video),
+    total: videos.length,
+    nextCursor: last && start + page.length < keyed.length
+      ? encodeCursor({ s: sortName, k: last.key.values, id: last.key.id })
+      : null
+  };
+}
+
+/**
+ * Keep only the requested top-level fields of a public video
+ */
+function selectFields(video, fields) {
+  if (!fields) return video;
+
+  const selected = {};
+  fields.forEach(field => {
+    if (field in video) {
+      selected[field] = video[field];
+    }
+  });
+  return selected;
+}
+
+module.exports = {
+  ListQueryError,
+  parseListOptions,
+  paginate,
+  selectFields
+};
@@ -6,6 +6,9 @@ import { useAuth } from './hooks/useAuth';
 import Login from './pages/Login';
 import Home from './pages/Home';
 import VideoDetail from './pages/VideoDetail';
+import LibraryHealth from './pages/LibraryHealth';
+import StreamSessions from './pages/StreamSessions';
+import Tags from './pages/Tags';
 import Header from './components/Layout/Header';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import ErrorBoundary, { VideoPlayerErrorBoundary, VideoGridErrorBoundary } from './components/Common/ErrorBoundary';
@@ -27,6 +30,17 @@ const ProtectedRoute = ({ children }) => {
   return isAuthenticated ? children : <Navigate to="/login" replace />;
 };
 
+// Admin Route Component (admin pages are hidden from everyone else)
+const AdminRoute = ({ children }) => {
+  const { isAdmin, loading } = useAuth();
+  
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+  
+  return isAdmin ? children : <Navigate to="/" replace />;
+};
+
 // Public Route Component (redirect to home if authenticated)
 const PublicRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth();
@@ -82,6 +96,39 @@ function AppContent() {
             }
           />
           
+          <Route
+            path="/tags"
+            element={
+              <ProtectedRoute>
+                <ErrorBoundary title="Tags Error">
+                  <Tags />
+                </ErrorBoundary>
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/admin/health"
+            element={
+              <ProtectedRoute>
+                <ErrorBoundary title="Library Health Error">
+                  <LibraryHealth />
+                </ErrorBoundary>
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/admin/sessions"
+            element={
+              <AdminRoute>
+                <ErrorBoundary title="Active Streams Error">
+                  <StreamSessions />
+                </ErrorBoundary>
+              </AdminRoute>
+            }
+          />
+          
           {/* Catch all route */}
           <Route 
             path="*" 
@@ -1,16 +1,44 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import { FaPlay, FaSearch, FaUser, FaSignOutAlt, FaSync } from 'react-icons/fa';
+import { FaPlay, FaSearch, FaUser, FaSignOutAlt, FaSync, FaHeartbeat, FaTags, FaBroadcastTower } from 'react-icons/fa';
 import SearchBar from '../Search/SearchBar';
+import { apiService } from '../../services/api';
 import './Header.css';
 
 const Header = () => {
   const [showSearch, setShowSearch] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
-  const { logout } = useAuth();
+  const [scanJob, setScanJob] = useState(null);
+  const scanningRef = useRef(false);
+  const { logout, isAdmin } = useAuth();
   const navigate = useNavigate();
 
+  const followScan = useCallback((job) => {
+    if (scanningRef.current) return;
+    scanningRef.current = true;
+
+    apiService.waitForLibraryScan(job, setScanJob)
+      .catch(error => console.error('Error refreshing library:', error))
+      .finally(() => {
+        scanningRef.current = false;
+        // Leave the finished state visible for a moment
+        setTimeout(() => setScanJob(current => (current && current.status !== 'running' ? null : current)), 4000);
+      });
+  }, []);
+
+  // Pick up a scan that is already running (e.g. started from another tab)
+  // and scans started elsewhere in the app
+  useEffect(() => {
+    apiService.getRunningJob('scan')
+      .then(job => job && followScan(job))
+      .catch(() => {});
+
+    const handleScanStarted = (event) => followScan(event.detail);
+    window.addEventListener('library-scan-started', handleScanStarted);
+    return () => window.removeEventListener('library-scan-started', handleScanStarted);
+  }, [followScan]);
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
@@ -30,15 +58,39 @@ const Header = () => {
   };
 
   const handleRefreshLibrary = async () => {
+    if (scanningRef.current) return;
+
     try {
-      // This will be implemented when we add the refresh functionality
-      console.log('Refreshing library...');
-      setShowUserMenu(false);
+      // Progress is followed via the library-scan-started event
+      await apiService.startLibraryScan();
     } catch (error) {
       console.error('Error refreshing library:', error);
     }
   };
 
+  const isScanning = scanJob?.status === 'running';
+  const scanPercent = scanJob?.progress.total
+    ? Math.round((scanJob.progress.done / scanJob.progress.total) * 100)
+    : 0;
+
+  const getScanLabel = () => {
+    if (!scanJob) return 'Refresh Library';
+
+    const { done, total } = scanJob.progress;
+    const errors = scanJob.errorCount ? ` (${scanJob.errorCount} errors)` : '';
+
+    switch (scanJob.status) {
+      case 'running':
+        return total ? `Scanning ${done}/${total}${errors}` : 'Scanning...';
+      case 'completed':
+        return `Library refreshed${errors}`;
+      case 'cancelled':
+        return 'Scan cancelled';
+      default:
+        return 'Scan failed';
+    }
+  };
+
   return (
     <header className="header">
       <div className="header-content">
@@ -82,12 +134,60 @@ const Header = () => {
             {showUserMenu && (
               <div className="user-menu-dropdown">
                 <button 
-                  className="menu-item"
+                  className={`menu-item refresh-item ${isScanning ? 'scanning' : ''}`}
                   onClick={handleRefreshLibrary}
+                  disabled={isScanning}
                 >
-                  <FaSync />
-                  <span>Refresh Library</span>
+                  <FaSync className={isScanning ? 'spinning' : ''} />
+                  <span className="refresh-label">
+                    <span>{getScanLabel()}</span>
+                    {isScanning && scanJob.progress.currentFile && (
+                      <span className="scan-current-file" title={scanJob.progress.currentFile}>
+                        {scanJob.progress.currentFile}
+                      </span>
+                    )}
+                    {scanJob && (
+                      <span className="scan-progress">
+                        <span
+                          className="scan-progress-fill"
+                          style={{ width: `${scanJob.status === 'running' ? scanPercent : 100}%` }}
+                        />
+                      </span>
+                    )}
+                  </span>
                 </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    navigate('/tags');
+                  }}
+                >
+                  <FaTags />
+                  <span>Tags</span>
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    navigate('/admin/health');
+                  }}
+                >
+                  <FaHeartbeat />
+                  <span>Library Health</span>
+                </button>
+                {isAdmin && (
+                  <button 
+                    className="menu-item"
+                    onClick={() => {
+                      setShowUserMenu(false);
+                      navigate('/admin/sessions');
+                    }}
+                  >
+                    <FaBroadcastTower />
+                    <span>Active Streams</span>
+                  </button>
+                )}
                 <div className="menu-divider"></div>
                 <button 
                   className="menu-item logout"
@@ -102,6 +202,13 @@ const Header = () => {
         </div>
       </div>
 
+      {/* Library scan progress */}
+      {isScanning && (
+        <div className="header-scan-progress" role="progressbar" aria-valuenow={scanPercent} aria-valuemin={0} aria-valuemax={100}>
+          <div className="header-scan-progress-fill" style={{ width: `${scanPercent}%` }} />
+        </div>
+      )}
+
       {/* Mobile Search Overlay */}
       {showSearch && (
         <div className="mobile-search-overlay">
@@ -1,15 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { FaSearch, FaTimes } from 'react-icons/fa';
+import { FaSearch, FaTimes, FaStar, FaRegStar, FaExclamationTriangle } from 'react-icons/fa';
 import { apiService } from '../../services/api';
+import { savedSearches } from '../../services/savedSearches';
 import debounce from 'lodash.debounce';
 import './SearchBar.css';
 
+// Results shown in the dropdown; "Show all" opens the full list
+const RESULT_LIMIT = 8;
+
 const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(false);
   const [showResults, setShowResults] = useState(false);
+  const [queryError, setQueryError] = useState(null);
+  const [saved, setSaved] = useState(() => savedSearches.getAll());
+  const [showSaved, setShowSaved] = useState(false);
   const inputRef = useRef(null);
   const navigate = useNavigate();
 
@@ -19,24 +27,32 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
       if (!searchQuery.trim()) {
         setResults([]);
         setShowResults(false);
+        setQueryError(null);
         return;
       }
 
       setLoading(true);
       try {
-        const response = await apiService.searchVideos(searchQuery);
+        const response = await apiService.searchVideos(searchQuery, { limit: RESULT_LIMIT });
         setResults(response.videos || []);
+        setTotal(response.total ?? (response.videos || []).length);
+        setQueryError(null);
         setShowResults(true);
       } catch (error) {
-        console.error('Search error:', error);
+        // Syntax errors are shown in the dropdown; other errors just hide it
+        const message = apiService.getQueryError(error);
+        if (!message) console.error('Search error:', error);
         setResults([]);
-        setShowResults(false);
+        setQueryError(message);
+        setShowResults(!!message);
       } finally {
         setLoading(false);
       }
     }, 300)
   ).current;
 
+  useEffect(() => savedSearches.subscribe(() => setSaved(savedSearches.getAll())), []);
+
   // Auto focus on mount
   useEffect(() => {
     if (autoFocus && inputRef.current) {
@@ -48,9 +64,26 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
   const handleInputChange = (e) => {
     const value = e.target.value;
     setQuery(value);
+    setShowSaved(false);
     debouncedSearch(value);
   };
 
+  // Run a saved search
+  const handleSavedClick = (search) => {
+    setQuery(search.query);
+    setShowSaved(false);
+    debouncedSearch(search.query);
+    debouncedSearch.flush();
+  };
+
+  const toggleSaved = () => {
+    if (savedSearches.isSaved(query)) {
+      savedSearches.remove(query.trim());
+    } else {
+      savedSearches.save(query);
+    }
+  };
+
   // Handle form submit
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -71,6 +104,8 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
     setQuery('');
     setResults([]);
     setShowResults(false);
+    setShowSaved(false);
+    setQueryError(null);
     if (onClose) {
       onClose();
     }
@@ -105,7 +140,10 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
             type="text"
             value={query}
             onChange={handleInputChange}
+            onFocus={() => setShowSaved(!query)}
+            onBlur={() => setShowSaved(false)}
             placeholder="Search videos..."
+            title='Filters: duration:>10m res:>=1080 codec:hevc tag:survey folder:2024/* "exact phrase" -excluded'
             className="search-input"
             autoComplete="off"
           />
@@ -116,6 +154,7 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
                 setQuery('');
                 setResults([]);
                 setShowResults(false);
+                setQueryError(null);
                 inputRef.current?.focus();
               }}
               className="clear-button"
@@ -137,17 +176,47 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
         </div>
       </form>
 
+      {/* Saved searches, shown while the empty input has focus */}
+      {showSaved && !query && saved.length > 0 && (
+        <div className="search-results">
+          <div className="saved-searches-title">Saved searches</div>
+          {saved.map(search => (
+            <div
+              key={search.query}
+              className="saved-search-item"
+              // mousedown fires before the input loses focus
+              onMouseDown={(e) => {
+                e.preventDefault();
+                handleSavedClick(search);
+              }}
+            >
+              <FaStar />
+              <span>{search.name}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Search Results */}
       {showResults && (
         <div className="search-results">
-          {loading ? (
+          {queryError ? (
+            <div className="search-query-error">
+              <FaExclamationTriangle />
+              <span>{queryError}</span>
+            </div>
+          ) : loading ? (
             <div className="search-loading">
               <div className="search-spinner"></div>
               <span>Searching...</span>
             </div>
           ) : results.length > 0 ? (
             <div className="results-list">
-              {results.slice(0, 8).map((video) => (
+              <button type="button" className="save-search-button" onClick={toggleSaved}>
+                {savedSearches.isSaved(query) ? <FaStar /> : <FaRegStar />}
+                {savedSearches.isSaved(query) ? 'Saved' : 'Save search'}
+              </button>
+              {results.map((video) => (
                 <div
                   key={video.id}
                   className="result-item"
@@ -179,7 +248,7 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
                   </div>
                 </div>
               ))}
-              {results.length > 8 && (
+              {total > results.length && (
                 <div className="show-all-results">
                   <button
                     onClick={() => {
@@ -188,7 +257,7 @@ const SearchBar = ({ onClose, autoFocus = false, mobile = false }) => {
                     }}
                     className="show-all-button"
                   >
-                    Show all {results.length} results
+                    Show all {total} results
                   </button>
                 </div>
               )}
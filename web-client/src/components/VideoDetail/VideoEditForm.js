@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { FaSave, FaTimes, FaPlus, FaTrash, FaUndo, FaHistory } from 'react-icons/fa';
+import { apiService } from '../../services/api';
+import './VideoEditForm.css';
+
+const toFormState = (video) => ({
+  title: video.title || '',
+  description: video.description || '',
+  tags: (video.tags || []).join(', '),
+  recordingDate: video.recordingDate ? String(video.recordingDate).slice(0, 10) : '',
+  customFields: Object.entries(video.customFields || {}).map(([key, value]) => ({ key, value }))
+});
+
+const parseTags = (text) => Array.from(new Set(text.split(',').map(tag => tag.trim()).filter(Boolean)));
+
+/**
+ * Edit form for a video's title, description, tags, recording date and
+ * custom fields. Only changed fields are sent; "Revert" drops the edit so
+ * the value from the file or its sidecar is used again.
+ */
+const VideoEditForm = ({ video, onSaved, onCancel }) => {
+  const [form, setForm] = useState(() => toFormState(video));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const overridden = new Set(video.overrides?.fields || []);
+
+  useEffect(() => {
+    setForm(toFormState(video));
+  }, [video]);
+
+  useEffect(() => {
+    if (!showHistory) return;
+    apiService.getVideoHistory(video.id)
+      .then(setHistory)
+      .catch(() => setHistory([]));
+  }, [showHistory, video.id]);
+
+  const updateField = (field, value) => {
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const updateCustomField = (index, part, value) => {
+    setForm(current => ({
+      ...current,
+      customFields: current.customFields.map((field, i) => (i === index ? { ...field, [part]: value } : field))
+    }));
+  };
+
+  const addCustomField = () => {
+    setForm(current => ({ ...current, customFields: [...current.customFields, { key: '', value: '' }] }));
+  };
+
+  const removeCustomField = (index) => {
+    setForm(current => ({ ...current, customFields: current.customFields.filter((_, i) => i !== index) }));
+  };
+
+  const getChanges = () => {
+    const original = toFormState(video);
+    const changes = {};
+
+    if (form.title.trim() !== original.title) changes.title = form.title.trim();
+    if (form.description.trim() !== original.description) changes.description = form.description.trim() || null;
+    if (form.tags !== original.tags) changes.tags = parseTags(form.tags);
+    if (form.recordingDate !== original.recordingDate) changes.recordingDate = form.recordingDate || null;
+
+    const fields = {};
+    form.customFields
+      .filter(field => field.key.trim())
+      .forEach(field => { fields[field.key.trim()] = field.value; });
+
+    const customChanges = {};
+    Object.keys(video.customFields || {})
+      .filter(key => !(key in fields))
+      .forEach(key => { customChanges[key] = null; });
+    Object.entries(fields)
+      .filter(([key, value]) => video.customFields?.[key] !== value)
+      .forEach(([key, value]) => { customChanges[key] = value; });
+
+    if (Object.keys(customChanges).length > 0) changes.customFields = customChanges;
+
+    return changes;
+  };
+
+  const save = async (changes) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const updated = await apiService.updateVideo(video.id, changes);
+      setHistory(null);
+      onSaved(updated);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!form.title.trim()) {
+      setError('Title cannot be empty');
+      return;
+    }
+
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+    save(changes);
+  };
+
+  const revertButton = (field) => overridden.has(field) && (
+    <button
+      type="button"
+      className="edit-revert"
+      onClick={() => save({ [field]: null })}
+      disabled={saving}
+      title="Use the value from the file again"
+    >
+      <FaUndo /> Revert
+    </button>
+  );
+
+  return (
+    <form className="video-edit-form" onSubmit={handleSubmit}>
+      <h3>Edit Details</h3>
+
+      {error && <div className="edit-error">{error}</div>}
+
+      <label className="edit-field">
+        <span className="edit-label">Title {revertButton('title')}</span>
+        <input
+          type="text"
+          value={form.title}
+          maxLength={200}
+          onChange={(e) => updateField('title', e.target.value)}
+        />
+      </label>
+
+      <label className="edit-field">
+        <span className="edit-label">Description {revertButton('description')}</span>
+        <textarea
+          rows={4}
+          value={form.description}
+          maxLength={5000}
+          onChange={(e) => updateField('description', e.target.value)}
+        />
+      </label>
+
+      <div className="edit-row">
+        <label className="edit-field">
+          <span className="edit-label">Tags {revertButton('tags')}</span>
+          <input
+            type="text"
+            value={form.tags}
+            placeholder="survey, coral, night"
+            onChange={(e) => updateField('tags', e.target.value)}
+          />
+        </label>
+
+        <label className="edit-field">
+          <span className="edit-label">Recording date {revertButton('recordingDate')}</span>
+          <input
+            type="date"
+            value={form.recordingDate}
+            onChange={(e) => updateField('recordingDate', e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="edit-field">
+        <span className="edit-label">Custom fields</span>
+        {form.customFields.map((field, index) => (
+          <div key={index} className="edit-custom-field">
+            <input
+              type="text"
+              value={field.key}
+              placeholder="Name"
+              maxLength={100}
+              onChange={(e) => updateCustomField(index, 'key', e.target.value)}
+            />
+            <input
+              type="text"
+              value={field.value}
+              placeholder="Value"
+              onChange={(e) => updateCustomField(index, 'value', e.target.value)}
+            />
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => removeCustomField(index)} aria-label="Remove field">
+              <FaTrash />
+            </button>
+          </div>
+        ))}
+        <button type="button" className="btn btn-ghost btn-sm edit-add-field" onClick={addCustomField}>
+          <FaPlus /> Add field
+        </button>
+      </div>
+
+      <div className="edit-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          <FaSave /> {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+          <FaTimes /> Cancel
+        </button>
+        <button type="button" className="btn btn-ghost edit-history-toggle" onClick={() => setShowHistory(!showHistory)}>
+          <FaHistory /> {showHistory ? 'Hide history' : 'History'}
+        </button>
+      </div>
+
+      {showHistory && (
+        <div className="edit-history">
+          {!history ? (
+            <p>Loading history...</p>
+          ) : history.length === 0 ? (
+            <p>No edits yet.</p>
+          ) : (
+            <ul>
+              {history.map(entry => (
+                <li key={entry.at}>
+                  <span className="edit-history-time">{new Date(entry.at).toLocaleString()}</span>
+                  <span className="edit-history-actor">{entry.actor.user} ({entry.actor.ip})</span>
+                  <span>changed {Object.keys(entry.changes).join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default VideoEditForm;
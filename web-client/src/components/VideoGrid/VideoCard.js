@@ -1,16 +1,39 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { FaPlay, FaClock, FaDesktop, FaHeart, FaRegHeart } from 'react-icons/fa';
 import { apiService } from '../../services/api';
+import { thumbnailUpdates } from '../../services/thumbnailUpdates';
 import { useFavorites } from '../../context/FavoritesContext';
 import './VideoCard.css';
 
 const VideoCard = ({ video, onClick }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [thumbnailState, setThumbnailState] = useState(video?.thumbnailState);
+  const [thumbnailVersion, setThumbnailVersion] = useState(null);
   const { isFavorite, toggleFavorite } = useFavorites();
 
+  useEffect(() => {
+    setThumbnailState(video?.thumbnailState);
+  }, [video?.thumbnailState]);
+
+  // Show the thumbnail as soon as the server's queue has generated it
+  useEffect(() => {
+    if (!video?.id || thumbnailState !== 'pending') return;
+
+    return thumbnailUpdates.watch(video.id, (update) => {
+      setThumbnailState(update.state);
+      if (update.state === 'ready') {
+        setImageError(false);
+        setImageLoaded(false);
+        setThumbnailVersion(Date.now());
+      }
+    });
+  }, [video?.id, thumbnailState]);
+
   if (!video) return null;
 
+  const thumbnailPending = thumbnailState === 'pending';
+
   const isVideoFavorite = isFavorite(video.id);
 
   const handleImageLoad = () => {
@@ -40,7 +63,8 @@ const VideoCard = ({ video, onClick }) => {
     }
   };
 
-  const thumbnailUrl = apiService.getThumbnailUrl(video.id);
+  // A new version bypasses the browser's cached 404 from while it was pending
+  const thumbnailUrl = apiService.getThumbnailUrl(video.id) + (thumbnailVersion ? `?v=${thumbnailVersion}` : '');
   const duration = apiService.formatDuration(video.duration);
   const quality = apiService.getVideoQuality(video.width || 0, video.height || 0);
   const fileSize = apiService.formatFileSize(video.size);
@@ -55,13 +79,13 @@ const VideoCard = ({ video, onClick }) => {
       aria-label={`Play ${video.title}`}
     >
       <div className="video-card-thumbnail">
-        {!imageLoaded && (
-          <div className="video-card-skeleton">
+        {(!imageLoaded || thumbnailPending) && (
+          <div className="video-card-skeleton" title={thumbnailPending ? 'Generating thumbnail...' : undefined}>
             <div className="skeleton-shimmer"></div>
           </div>
         )}
         
-        {!imageError ? (
+        {thumbnailPending ? null : !imageError ? (
           <img 
             src={thumbnailUrl}
             alt={video.title}
@@ -13,7 +13,8 @@ const VideoGrid = ({
   emptyTitle = "No Videos Found",
   emptyMessage = "No videos are available at the moment.",
   gridSize = 'auto',
-  showCount = true
+  showCount = true,
+  total = null
 }) => {
   if (loading) {
     return (
@@ -87,7 +88,8 @@ const VideoGrid = ({
           <h2 className="video-grid-title">{title}</h2>
           {showCount && (
             <span className="video-count">
-              {videos.length} {videos.length === 1 ? 'video' : 'videos'}
+              {total > videos.length ? `${videos.length} of ${total}` : videos.length}
+              {' '}{Math.max(total || 0, videos.length) === 1 ? 'video' : 'videos'}
             </span>
           )}
         </div>
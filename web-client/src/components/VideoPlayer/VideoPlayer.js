@@ -1,16 +1,131 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import videojs from 'video.js';
+import 'video.js/dist/video-js.css';
+import { apiService } from '../../services/api';
+import { watchStreamTokens, withToken } from '../../services/streamUrls';
+import { getPlaybackCapabilities } from '../../utils/playbackCapabilities';
+import { REMUX_TYPE } from './remuxMiddleware';
 import './VideoPlayer.css';
 
+const PLAYBACK_LABELS = {
+  direct: 'Direct play',
+  remux: 'Remuxed',
+  transcode: 'Transcoded'
+};
+
+// Player source for the server's delivery decision (info.playback),
+// signed with the current stream token
+const getSource = (playback, duration, tokenRef) => {
+  const src = withToken(apiService.getApiUrl(playback.url), tokenRef.current?.token);
+
+  if (playback.method === 'remux') {
+    // Seeking restarts the stream, which needs the token current by then
+    return { src, type: REMUX_TYPE, duration, signUrl: url => withToken(url, tokenRef.current?.token) };
+  }
+  return { src, type: playback.mimeType };
+};
+
 const VideoPlayer = ({ videoId, title, onClose }) => {
-  // Comprehensive debugging
-  console.log('🎬 [VIDEO PLAYER DEBUG] ==========================================');
-  console.log('🎬 [VIDEO PLAYER DEBUG] VideoPlayer component loaded');
-  console.log('🎬 [VIDEO PLAYER DEBUG] Props received:', { videoId, title, onClose: !!onClose });
-  console.log('🎬 [VIDEO PLAYER DEBUG] videoId type:', typeof videoId);
-  console.log('🎬 [VIDEO PLAYER DEBUG] videoId length:', videoId?.length);
+  const containerRef = useRef(null);
+  const [playback, setPlayback] = useState(null);
+  const [duration, setDuration] = useState(0);
+  // Signed URL tokens: undefined until the first request finishes
+  const [tokens, setTokens] = useState(undefined);
+  const tokenRef = useRef(null);
+  const tokensReady = tokens !== undefined;
+
+  // Video elements cannot send the Authorization header, so stream URLs
+  // carry a signed token, renewed before it expires
+  useEffect(() => {
+    if (!videoId) return undefined;
+
+    setTokens(undefined);
+    tokenRef.current = null;
+    return watchStreamTokens(videoId, (next) => {
+      tokenRef.current = next;
+      setTokens(next);
+    });
+  }, [videoId]);
+
+  // Ask the server how to deliver the video to this browser
+  useEffect(() => {
+    if (!videoId) return undefined;
+
+    let cancelled = false;
+    setPlayback(null);
+
+    apiService.getVideoStreamInfo(videoId, getPlaybackCapabilities())
+      .then(response => {
+        if (cancelled) return;
+        console.log(`🎬 [VIDEO PLAYER] ${response.info.playback.method}: ${response.info.playback.reason}`);
+        setDuration(response.info.duration || 0);
+        setPlayback(response.info.playback);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching stream info, playing the original file:', error);
+        setPlayback({
+          method: 'direct',
+          reason: 'Stream info is unavailable',
+          url: `/api/stream/${videoId}`,
+          mimeType: 'video/mp4'
+        });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  // video.js replaces its element, so it gets one React does not manage
+  useEffect(() => {
+    if (!playback || !tokensReady || !containerRef.current) return undefined;
+
+    const element = document.createElement('video-js');
+    element.classList.add('vjs-big-play-centered');
+    containerRef.current.appendChild(element);
+
+    const player = videojs(element, {
+      controls: true,
+      autoplay: true,
+      playsinline: true,
+      preload: 'metadata',
+      fluid: true
+    });
+    let sourceToken = tokenRef.current?.token;
+    player.src(getSource(playback, duration, tokenRef));
+
+    // HLS and DASH requests pick up renewed tokens as they are made
+    player.on('xhr-hooks-ready', () => {
+      player.tech({ IWillNotUseThisInPlugins: true }).vhs.xhr.onRequest((options) => {
+        options.uri = withToken(options.uri, tokenRef.current?.token);
+        return options;
+      });
+    });
+
+    // The browser requests ranges of the file with the URL it was given, so
+    // once that token expires, reload with the current one where playback was
+    player.on('error', () => {
+      const token = tokenRef.current?.token;
+      if (!token || token === sourceToken) return;
+
+      const time = player.currentTime();
+      sourceToken = token;
+      player.error(null);
+      player.src(getSource(playback, duration, tokenRef));
+      player.one('loadedmetadata', () => {
+        player.currentTime(time);
+        const playing = player.play();
+        if (playing) playing.catch(() => {});
+      });
+    });
+
+    return () => {
+      player.dispose();
+    };
+  }, [playback, duration, tokensReady]);
 
   if (!videoId) {
-    console.log('🎬 [VIDEO PLAYER DEBUG] No videoId provided - showing error');
     return (
       <div className="video-player-overlay">
         <div className="video-player-container error">
@@ -26,37 +141,23 @@ const VideoPlayer = ({ videoId, title, onClose }) => {
     );
   }
 
-  // Dynamic streaming URL based on current hostname
-  const streamUrl = `http://${window.location.hostname}:3001/api/stream/${videoId}`;
-  console.log('🎬 [VIDEO PLAYER DEBUG] Generated stream URL:', streamUrl);
-  console.log('🎬 [VIDEO PLAYER DEBUG] Current hostname:', window.location.hostname);
-
   return (
     <div className="video-player-overlay">
       <div className="video-player-container">
         <div className="video-player-header">
           <h2>{title}</h2>
+          {playback && (
+            <span className={`playback-method ${playback.method}`} title={playback.reason}>
+              {PLAYBACK_LABELS[playback.method] || playback.method}
+            </span>
+          )}
           <button className="close-button" onClick={onClose}>×</button>
         </div>
-        
-        <div className="video-wrapper">
-          <video
-            controls
-            autoPlay
-            playsInline
-            preload="metadata"
-            src={streamUrl}
-            style={{ 
-              width: '100%', 
-              height: '100%'
-            }}
-          >
-            Your browser does not support the video tag.
-          </video>
-        </div>
+
+        <div className="video-wrapper" ref={containerRef} />
       </div>
     </div>
   );
 };
 
-export default VideoPlayer;
\ No newline at end of file
+export default VideoPlayer;
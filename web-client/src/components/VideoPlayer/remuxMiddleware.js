@@ -0,0 +1,78 @@
+import videojs from 'video.js';
+
+// Source type for remuxed streams (GET /api/stream/:id/remux). Give the
+// source a `duration` (seconds) so the seek bar covers the whole video, and
+// optionally `signUrl(url)` to sign the URLs of restarted streams.
+export const REMUX_TYPE = 'video/x-remux-mp4';
+
+const withStart = (url, start) => (
+  start > 0 ? `${url}${url.includes('?') ? '&' : '?'}start=${start.toFixed(3)}` : url
+);
+
+// A remuxed stream has no range support, so the browser cannot seek in it.
+// This middleware restarts the stream at the seek position and shifts the
+// player's clock by that offset, so the controls show the video's time.
+videojs.use(REMUX_TYPE, () => {
+  let tech = null;
+  let source = null;
+  let offset = 0;
+
+  const shift = (ranges) => {
+    const shifted = [];
+    for (let i = 0; i < ranges.length; i++) {
+      shifted.push([ranges.start(i) + offset, ranges.end(i) + offset]);
+    }
+    return videojs.time.createTimeRanges(shifted);
+  };
+
+  return {
+    setSource(src, next) {
+      source = src;
+      offset = 0;
+      next(null, { src: src.src, type: 'video/mp4' });
+    },
+
+    setTech(newTech) {
+      tech = newTech;
+    },
+
+    currentTime(time) {
+      return time + offset;
+    },
+
+    duration(duration) {
+      return source?.duration || duration;
+    },
+
+    buffered(buffered) {
+      return shift(buffered);
+    },
+
+    seekable(seekable) {
+      return source?.duration ? videojs.time.createTimeRanges(0, source.duration) : seekable;
+    },
+
+    setCurrentTime(time) {
+      const target = Math.max(0, Math.min(time, (source?.duration || Infinity) - 0.5));
+      const local = target - offset;
+
+      // Seek within what the current stream has already delivered
+      const buffered = tech.buffered();
+      for (let i = 0; i < buffered.length; i++) {
+        if (local >= buffered.start(i) && local <= buffered.end(i)) {
+          return local;
+        }
+      }
+
+      const paused = tech.paused();
+      offset = target;
+      const url = withStart(source.src, target);
+      tech.setSrc(source.signUrl ? source.signUrl(url) : url);
+      if (!paused) {
+        const playing = tech.play();
+        if (playing) playing.catch(() => {});
+      }
+      return 0;
+    }
+  };
+});
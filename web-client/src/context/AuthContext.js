@@ -19,6 +19,7 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        role: authService.getTokenRole(action.payload.token),
         isAuthenticated: true,
         loading: false,
         error: null
@@ -28,6 +29,7 @@ const authReducer = (state, action) => {
         ...state,
         user: null,
         token: null,
+        role: null,
         isAuthenticated: false,
         loading: false,
         error: null
@@ -41,6 +43,7 @@ const authReducer = (state, action) => {
       return {
         ...state,
         token: action.payload.token,
+        role: authService.getTokenRole(action.payload.token),
         isAuthenticated: true,
         loading: false,
         error: null
@@ -50,6 +53,7 @@ const authReducer = (state, action) => {
         ...state,
         user: null,
         token: null,
+        role: null,
         isAuthenticated: false,
         loading: false,
         error: null
@@ -57,6 +61,8 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.NO_AUTH_REQUIRED:
       return {
         ...state,
+        token: action.payload.token,
+        role: authService.getTokenRole(action.payload.token),
         isAuthenticated: true,
         loading: false,
         requiresAuth: false,
@@ -70,6 +76,7 @@ const authReducer = (state, action) => {
 const initialState = {
   user: null,
   token: null,
+  role: null,
   isAuthenticated: false,
   loading: true,
   error: null,
@@ -87,23 +94,31 @@ export const AuthProvider = ({ children }) => {
         const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || `http://${window.location.hostname}:3001`;
         const response = await fetch(`${API_BASE_URL}/api/videos`);
         
+        // Check for an existing token (it may carry the admin role even
+        // when no auth is required)
+        const token = authService.getToken();
+        const isValid = token ? await authService.verifyToken(token) : false;
+        if (token && !isValid) {
+          authService.removeToken();
+        }
+
         if (response.ok) {
           // No auth required - videos endpoint is accessible
-          dispatch({ type: AUTH_ACTIONS.NO_AUTH_REQUIRED });
+          dispatch({
+            type: AUTH_ACTIONS.NO_AUTH_REQUIRED,
+            payload: { token: isValid ? token : null }
+          });
           return;
         }
         
-        // Auth is required, check for existing token
-        const token = authService.getToken();
+        // Auth is required
         if (token) {
-          const isValid = await authService.verifyToken(token);
           if (isValid) {
             dispatch({
               type: AUTH_ACTIONS.TOKEN_VERIFIED,
               payload: { token }
             });
           } else {
-            authService.removeToken();
             dispatch({ type: AUTH_ACTIONS.TOKEN_INVALID });
           }
         } else {
@@ -149,6 +164,7 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     ...state,
+    isAdmin: state.role === 'admin',
     login,
     logout
   };
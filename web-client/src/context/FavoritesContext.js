@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 
 const FavoritesContext = createContext();
 
@@ -56,9 +56,30 @@ export const FavoritesProvider = ({ children }) => {
     return favorites.has(videoId);
   };
 
-  const getFavoritesList = () => {
+  const getFavoritesList = useCallback(() => {
     return Array.from(favorites);
-  };
+  }, [favorites]);
+
+  // Replace legacy video IDs with their current IDs (mapping: oldId -> newId)
+  const migrateFavorites = useCallback((mapping) => {
+    setFavorites(prev => {
+      let changed = false;
+      const migrated = new Set();
+      prev.forEach(videoId => {
+        const currentId = mapping[videoId];
+        if (currentId && currentId !== videoId) {
+          changed = true;
+          migrated.add(currentId);
+        } else {
+          migrated.add(videoId);
+        }
+      });
+      if (changed) {
+        console.log('💖 [FAVORITES] Migrated legacy video IDs');
+      }
+      return changed ? migrated : prev;
+    });
+  }, []);
 
   const clearAllFavorites = () => {
     setFavorites(new Set());
@@ -70,6 +91,7 @@ export const FavoritesProvider = ({ children }) => {
     toggleFavorite,
     isFavorite,
     getFavoritesList,
+    migrateFavorites,
     clearAllFavorites,
     favoritesCount: favorites.size
   };
@@ -1,22 +1,32 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import VideoGrid, { VideoGridSection } from '../components/VideoGrid/VideoGrid';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
 import { apiService } from '../services/api';
+import { savedSearches } from '../services/savedSearches';
 import { useFavorites } from '../context/FavoritesContext';
-import { FaSync, FaFilm, FaChartBar, FaHeart, FaRegHeart } from 'react-icons/fa';
+import { FaSync, FaFilm, FaTags, FaHeart, FaRegHeart, FaStar, FaRegStar, FaTimes } from 'react-icons/fa';
 import './Home.css';
 
 const Home = () => {
   const [videos, setVideos] = useState([]);
-  const [categories, setCategories] = useState([]);
+  const [videosTotal, setVideosTotal] = useState(null);
+  const [videosLoaded, setVideosLoaded] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [libraries, setLibraries] = useState([]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchTotal, setSearchTotal] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [saved, setSaved] = useState(() => savedSearches.getAll());
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { getFavoritesList, favoritesCount } = useFavorites();
+  const searchQuery = searchParams.get('search') || '';
+  const { getFavoritesList, migrateFavorites, favoritesCount } = useFavorites();
 
   // Fetch all data on component mount
   const fetchData = useCallback(async () => {
@@ -24,25 +34,33 @@ const Home = () => {
       setLoading(true);
       setError(null);
 
-      // Fetch videos, categories, and stats in parallel
-      const [videosResponse, categoriesResponse, statsResponse] = await Promise.allSettled([
-        apiService.getVideos(),
-        apiService.getVideoCategories(),
-        apiService.getLibraryStats()
+      // Fetch videos, tags, stats and libraries in parallel. Videos arrive
+      // page by page and are shown as they come in.
+      const [videosResponse, tagsResponse, statsResponse, librariesResponse] = await Promise.allSettled([
+        apiService.getVideos({
+          onPage: (loaded, total) => {
+            setVideos(loaded);
+            setVideosTotal(total);
+          }
+        }),
+        apiService.getTags(),
+        apiService.getLibraryStats(),
+        apiService.getLibraries()
       ]);
 
       // Handle videos response
       if (videosResponse.status === 'fulfilled') {
         setVideos(videosResponse.value || []);
+        setVideosLoaded(true);
       } else {
         console.error('Failed to fetch videos:', videosResponse.reason);
       }
 
-      // Handle categories response
-      if (categoriesResponse.status === 'fulfilled') {
-        setCategories(categoriesResponse.value || []);
+      // Handle tags response
+      if (tagsResponse.status === 'fulfilled') {
+        setTags((tagsResponse.value || []).filter(tag => tag.count > 0));
       } else {
-        console.error('Failed to fetch categories:', categoriesResponse.reason);
+        console.error('Failed to fetch tags:', tagsResponse.reason);
       }
 
       // Handle stats response
@@ -52,9 +70,16 @@ const Home = () => {
         console.error('Failed to fetch stats:', statsResponse.reason);
       }
 
+      // Handle libraries response
+      if (librariesResponse.status === 'fulfilled') {
+        setLibraries(librariesResponse.value || []);
+      } else {
+        console.error('Failed to fetch libraries:', librariesResponse.reason);
+      }
+
       // Set error only if all requests failed
       if (videosResponse.status === 'rejected' && 
-          categoriesResponse.status === 'rejected' && 
+          tagsResponse.status === 'rejected' && 
           statsResponse.status === 'rejected') {
         setError(new Error('Failed to load data. Please try again.'));
       }
@@ -67,17 +92,15 @@ const Home = () => {
     }
   }, []);
 
-  // Refresh library
+  // Refresh library. The header follows the scan job; its
+  // library-refreshed event ends the refresh below.
   const handleRefreshLibrary = async () => {
     try {
       setRefreshing(true);
-      await apiService.refreshVideoLibrary();
-      // Refetch data after refresh
-      await fetchData();
+      await apiService.startLibraryScan();
     } catch (err) {
       console.error('Error refreshing library:', err);
       setError(new Error('Failed to refresh library. Please try again.'));
-    } finally {
       setRefreshing(false);
     }
   };
@@ -89,14 +112,21 @@ const Home = () => {
     }
   }, [navigate]);
 
-  // Group videos by category
-  const getVideosByCategory = (categoryName) => {
-    if (!categoryName || !videos.length) return [];
-    return videos.filter(video => 
-      video.category && video.category.toLowerCase() === categoryName.toLowerCase()
+  // Get videos carrying a tag (tags match case-insensitively)
+  const getVideosByTag = (tagName) => {
+    if (!tagName || !videos.length) return [];
+    const key = tagName.toLowerCase();
+    return videos.filter(video =>
+      (video.tags || []).some(tag => tag.toLowerCase() === key)
     );
   };
 
+  // Get videos belonging to one library root
+  const getVideosByLibrary = (libraryId) => {
+    if (!libraryId || !videos.length) return [];
+    return videos.filter(video => video.libraryId === libraryId);
+  };
+
   // Get recent videos (last 20)
   const getRecentVideos = () => {
     if (!videos.length) return [];
@@ -136,6 +166,78 @@ const Home = () => {
     fetchData();
   }, [fetchData]);
 
+  // Reload when a library scan finishes (started here or from the header)
+  useEffect(() => {
+    const handleRefreshed = (event) => {
+      setRefreshing(false);
+      if (event.detail?.status === 'failed') {
+        setError(new Error('Failed to refresh library. Please try again.'));
+      }
+      fetchData();
+    };
+
+    window.addEventListener('library-refreshed', handleRefreshed);
+    return () => window.removeEventListener('library-refreshed', handleRefreshed);
+  }, [fetchData]);
+
+  // Results for ?search=<query> (set by the search bar and saved searches)
+  useEffect(() => {
+    if (!searchQuery) {
+      setSearchResults(null);
+      setSearchError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setSearchResults(null);
+    setSearchTotal(null);
+    apiService.searchVideos(searchQuery, {
+      onPage: (loaded, total) => {
+        if (cancelled) return;
+        setSearchResults(loaded);
+        setSearchTotal(total);
+      }
+    })
+      .then(response => {
+        if (cancelled) return;
+        setSearchResults(response.videos || []);
+        setSearchError(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setSearchResults([]);
+        setSearchError(apiService.getQueryError(err) || 'Search failed. Please try again.');
+      });
+
+    return () => { cancelled = true; };
+  }, [searchQuery, videos]);
+
+  useEffect(() => savedSearches.subscribe(() => setSaved(savedSearches.getAll())), []);
+
+  const toggleSavedSearch = () => {
+    if (savedSearches.isSaved(searchQuery)) {
+      savedSearches.remove(searchQuery);
+    } else {
+      savedSearches.save(searchQuery);
+    }
+  };
+
+  // Favorites saved before video IDs became stable use the old IDs. They
+  // are looked up once, when the whole video list has loaded.
+  const favoritesMigratedRef = useRef(false);
+  useEffect(() => {
+    if (!videosLoaded || favoritesMigratedRef.current) return;
+    favoritesMigratedRef.current = true;
+
+    const knownIds = new Set(videos.map(video => video.id));
+    const unknownFavorites = getFavoritesList().filter(id => !knownIds.has(id));
+    if (unknownFavorites.length === 0) return;
+
+    apiService.resolveVideoIds(unknownFavorites)
+      .then(migrateFavorites)
+      .catch(err => console.error('Failed to migrate favorites:', err));
+  }, [videosLoaded, videos, getFavoritesList, migrateFavorites]);
+
   // Main loading state
   if (loading && !videos.length) {
     return (
@@ -193,10 +295,10 @@ const Home = () => {
               </div>
             </div>
             <div className="stat-item">
-              <FaChartBar />
+              <FaTags />
               <div>
-                <span className="stat-number">{categories.length}</span>
-                <span className="stat-label">Categories</span>
+                <span className="stat-number">{tags.length}</span>
+                <span className="stat-label">Tags</span>
               </div>
             </div>
             {stats.totalSize && (
@@ -223,20 +325,84 @@ const Home = () => {
           </div>
         )}
 
+        {/* Saved searches */}
+        {!error && saved.length > 0 && (
+          <div className="home-saved-searches">
+            {saved.map(search => (
+              <button
+                key={search.query}
+                className={`home-saved-search ${search.query === searchQuery ? 'active' : ''}`}
+                onClick={() => setSearchParams({ search: search.query })}
+                title={search.query}
+              >
+                <FaStar /> {search.name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Search Results */}
+        {!error && searchQuery && (
+          <div className="home-search">
+            <div className="home-search-actions">
+              <button className="btn btn-ghost btn-sm" onClick={toggleSavedSearch} disabled={!!searchError}>
+                {savedSearches.isSaved(searchQuery) ? <FaStar /> : <FaRegStar />}
+                {savedSearches.isSaved(searchQuery) ? 'Saved' : 'Save search'}
+              </button>
+              <button className="btn btn-ghost btn-sm" onClick={() => setSearchParams({})}>
+                <FaTimes /> Clear search
+              </button>
+            </div>
+            {searchError ? (
+              <div className="home-search-error">{searchError}</div>
+            ) : (
+              <VideoGrid
+                title={`Results for "${searchQuery}"`}
+                videos={searchResults || []}
+                total={searchTotal}
+                loading={!searchResults}
+                onVideoClick={handleVideoClick}
+                showCount={true}
+              />
+            )}
+          </div>
+        )}
+
         {/* All Videos Grid */}
-        {!error && (
+        {!error && !searchQuery && (
           <VideoGrid
             title={showFavoritesOnly ? `Favorite Videos (${favoritesCount})` : "All Videos"}
             videos={getFilteredVideos()}
-            loading={loading}
+            total={showFavoritesOnly ? null : videosTotal}
+            loading={loading && !videos.length}
             error={error}
             onVideoClick={handleVideoClick}
             showCount={true}
           />
         )}
 
-        {/* Category Sections */}
-        {!error && !loading && categories.length > 0 && (
+        {/* Library Sections (only when more than one library is configured) */}
+        {!error && !loading && !showFavoritesOnly && !searchQuery && libraries.length > 1 && (
+          <div className="home-libraries">
+            {libraries.map((library) => {
+              const libraryVideos = getVideosByLibrary(library.id);
+              if (libraryVideos.length === 0) return null;
+
+              return (
+                <VideoGridSection
+                  key={library.id}
+                  title={library.name}
+                  videos={libraryVideos}
+                  onVideoClick={handleVideoClick}
+                  maxItems={8}
+                />
+              );
+            })}
+          </div>
+        )}
+
+        {/* Highlights and Tag Sections */}
+        {!error && !loading && !showFavoritesOnly && !searchQuery && videos.length > 0 && (
           <div className="home-categories">
             {/* Recent Videos */}
             {recentVideos.length > 0 && (
@@ -258,16 +424,16 @@ const Home = () => {
               />
             )}
 
-            {/* Category Sections */}
-            {categories.map((category) => {
-              const categoryVideos = getVideosByCategory(category);
-              if (categoryVideos.length === 0) return null;
+            {/* One row per tag, most used first */}
+            {tags.map((tag) => {
+              const tagVideos = getVideosByTag(tag.name);
+              if (tagVideos.length === 0) return null;
 
               return (
                 <VideoGridSection
-                  key={category}
-                  title={category}
-                  videos={categoryVideos}
+                  key={tag.name}
+                  title={tag.name}
+                  videos={tagVideos}
                   onVideoClick={handleVideoClick}
                   maxItems={8}
                 />
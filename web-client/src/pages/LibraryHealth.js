@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaHeartbeat, FaSync, FaTools, FaArchive, FaCheckCircle } from 'react-icons/fa';
+import { apiService } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import './LibraryHealth.css';
+
+const KIND_LABELS = {
+  corrupt: 'Corrupt',
+  truncated: 'Truncated',
+  unprobeable: 'Unprobeable'
+};
+
+const LibraryHealth = () => {
+  const { isAdmin } = useAuth();
+  const [issues, setIssues] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [libraries, setLibraries] = useState([]);
+  const [libraryId, setLibraryId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState({}); // issue ID -> { action, percent }
+
+  const fetchHealth = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await apiService.getLibraryHealth(libraryId || null);
+      setIssues(data.issues);
+      setSummary(data.summary);
+    } catch (err) {
+      console.error('Error fetching library health:', err);
+      setError(new Error('Failed to load library health.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [libraryId]);
+
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  useEffect(() => {
+    apiService.getLibraries()
+      .then(setLibraries)
+      .catch(err => console.error('Failed to fetch libraries:', err));
+  }, []);
+
+  // A finished scan may have found or cleared problems
+  useEffect(() => {
+    window.addEventListener('library-refreshed', fetchHealth);
+    return () => window.removeEventListener('library-refreshed', fetchHealth);
+  }, [fetchHealth]);
+
+  const setIssueBusy = (issueId, state) => {
+    setBusy(current => {
+      const next = { ...current };
+      if (state) {
+        next[issueId] = state;
+      } else {
+        delete next[issueId];
+      }
+      return next;
+    });
+  };
+
+  const handleQuarantine = async (issue) => {
+    if (!window.confirm(`Move "${issue.relativePath}" to the quarantine folder?`)) return;
+
+    setIssueBusy(issue.id, { action: 'quarantine' });
+    try {
+      const result = await apiService.quarantineFile(issue.id);
+      setMessage(`Moved ${result.relativePath} to quarantine.`);
+      await fetchHealth();
+    } catch (err) {
+      setMessage(`Could not quarantine ${issue.relativePath}.`);
+    } finally {
+      setIssueBusy(issue.id, null);
+    }
+  };
+
+  const handleRepair = async (issue) => {
+    setIssueBusy(issue.id, { action: 'repair', percent: 0 });
+    try {
+      const job = await apiService.repairFile(issue.id, (update) => {
+        const { done, total } = update.progress;
+        setIssueBusy(issue.id, { action: 'repair', percent: total ? Math.round((done / total) * 100) : 0 });
+      });
+
+      setMessage(job.status === 'completed'
+        ? `Repaired ${issue.relativePath}. The original was kept in quarantine.`
+        : `Repair of ${issue.relativePath} failed: ${job.error}`);
+      await fetchHealth();
+    } catch (err) {
+      setMessage(`Could not start repair for ${issue.relativePath}.`);
+    } finally {
+      setIssueBusy(issue.id, null);
+    }
+  };
+
+  const getLibraryName = (id) => {
+    const library = libraries.find(item => item.id === id);
+    return library ? library.name : id;
+  };
+
+  return (
+    <div className="health-page">
+      <div className="health-header">
+        <div>
+          <h1><FaHeartbeat /> Library Health</h1>
+          <p>
+            Files that could not be read or look broken.
+            {isAdmin && ' Repair remuxes the file with ffmpeg; quarantine moves it out of the library.'}
+          </p>
+        </div>
+
+        <div className="health-actions">
+          {libraries.length > 1 && (
+            <select
+              className="health-library-select"
+              value={libraryId}
+              onChange={(e) => setLibraryId(e.target.value)}
+            >
+              <option value="">All libraries</option>
+              {libraries.map(library => (
+                <option key={library.id} value={library.id}>{library.name}</option>
+              ))}
+            </select>
+          )}
+          <button className="btn btn-secondary" onClick={fetchHealth} disabled={loading}>
+            <FaSync className={loading ? 'spinning' : ''} />
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {summary && (
+        <div className="health-summary">
+          <div className="health-summary-item">
+            <span className="stat-number">{summary.total}</span>
+            <span className="stat-label">Problem files</span>
+          </div>
+          {Object.entries(summary.byKind).map(([kind, count]) => (
+            <div key={kind} className={`health-summary-item kind-${kind}`}>
+              <span className="stat-number">{count}</span>
+              <span className="stat-label">{KIND_LABELS[kind] || kind}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && (
+        <div className="health-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error.message}</p>
+        </div>
+      )}
+
+      {loading && !issues.length ? (
+        <LoadingSpinner text="Checking library health..." />
+      ) : !error && issues.length === 0 ? (
+        <div className="health-empty">
+          <FaCheckCircle />
+          <p>No problem files found.</p>
+        </div>
+      ) : (
+        <div className="health-table-wrapper">
+          <table className="health-table">
+            <thead>
+              <tr>
+                <th>Status</th>
+                <th>File</th>
+                {libraries.length > 1 && <th>Library</th>}
+                <th>Size</th>
+                <th>Reason</th>
+                {isAdmin && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map(issue => {
+                const state = busy[issue.id];
+                return (
+                  <tr key={issue.id}>
+                    <td>
+                      <span className={`health-kind kind-${issue.kind}`}>
+                        {KIND_LABELS[issue.kind] || issue.kind}
+                      </span>
+                    </td>
+                    <td className="health-file" title={issue.relativePath}>{issue.relativePath}</td>
+                    {libraries.length > 1 && <td>{getLibraryName(issue.libraryId)}</td>}
+                    <td>{issue.size != null ? apiService.formatFileSize(issue.size) : '—'}</td>
+                    <td className="health-reason">
+                      {issue.reason}
+                      {issue.lastRepair && (
+                        <span className="health-repair-error">Last repair failed: {issue.lastRepair.error}</span>
+                      )}
+                    </td>
+                    {isAdmin && (
+                      <td className="health-row-actions">
+                        {state?.action === 'repair' ? (
+                          <span className="health-progress">
+                            <span className="health-progress-fill" style={{ width: `${state.percent}%` }} />
+                          </span>
+                        ) : (
+                          <>
+                            <button
+                              className="btn btn-sm btn-secondary"
+                              onClick={() => handleRepair(issue)}
+                              disabled={!!state}
+                              title="Remux with ffmpeg"
+                            >
+                              <FaTools /> Repair
+                            </button>
+                            <button
+                              className="btn btn-sm btn-ghost"
+                              onClick={() => handleQuarantine(issue)}
+                              disabled={!!state}
+                              title="Move to quarantine folder"
+                            >
+                              <FaArchive /> Quarantine
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryHealth;
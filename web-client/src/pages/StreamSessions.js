@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaBroadcastTower, FaSync, FaStop, FaCheckCircle } from 'react-icons/fa';
+import { apiService } from '../services/api';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import './StreamSessions.css';
+
+// Sessions change by the second, so the list refreshes itself
+const REFRESH_INTERVAL = 3000;
+
+const METHOD_LABELS = {
+  direct: 'Direct play',
+  remux: 'Remux',
+  transcode: 'Transcode',
+  download: 'Download'
+};
+
+const formatRate = (bytesPerSecond) => (
+  bytesPerSecond ? `${apiService.formatFileSize(bytesPerSecond)}/s` : '—'
+);
+
+const StreamSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [stopping, setStopping] = useState({}); // session ID -> true
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const data = await apiService.getStreamSessions();
+      setSessions(data.sessions);
+      setTotals(data.totals);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching stream sessions:', err);
+      setError(new Error('Failed to load active streams.'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+    const timer = setInterval(fetchSessions, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [fetchSessions]);
+
+  const handleTerminate = async (session) => {
+    if (!window.confirm(`Stop ${session.user} watching "${session.title}"?`)) return;
+
+    setStopping(current => ({ ...current, [session.id]: true }));
+    try {
+      const result = await apiService.terminateStreamSession(session.id);
+      setMessage(result.stoppedTranscoders
+        ? `Stopped ${session.user} and ${result.stoppedTranscoders} transcoder(s).`
+        : `Stopped ${session.user}.`);
+      await fetchSessions();
+    } catch (err) {
+      setMessage(`Could not stop the stream of ${session.user}.`);
+    } finally {
+      setStopping(current => {
+        const next = { ...current };
+        delete next[session.id];
+        return next;
+      });
+    }
+  };
+
+  return (
+    <div className="sessions-page">
+      <div className="sessions-header">
+        <div>
+          <h1><FaBroadcastTower /> Active Streams</h1>
+          <p>Who is watching what right now. Stopping a stream closes its connections, kills the transcoder behind it and keeps the client from resuming the video for a few minutes.</p>
+        </div>
+
+        <div className="sessions-actions">
+          <button className="btn btn-secondary" onClick={fetchSessions}>
+            <FaSync />
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {totals && (
+        <div className="sessions-summary">
+          <div className="sessions-summary-item">
+            <span className="stat-number">{totals.sessions}</span>
+            <span className="stat-label">Streams</span>
+          </div>
+          <div className="sessions-summary-item">
+            <span className="stat-number">{formatRate(totals.throughput)}</span>
+            <span className="stat-label">Total throughput</span>
+          </div>
+          <div className="sessions-summary-item">
+            <span className="stat-number">{totals.transcoders}</span>
+            <span className="stat-label">Transcoders</span>
+          </div>
+          <div className="sessions-summary-item">
+            <span className="stat-number">{totals.remuxes}</span>
+            <span className="stat-label">Remuxes</span>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="sessions-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error.message}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner text="Loading active streams..." />
+      ) : !error && sessions.length === 0 ? (
+        <div className="sessions-empty">
+          <FaCheckCircle />
+          <p>Nobody is streaming right now.</p>
+        </div>
+      ) : (
+        <div className="sessions-table-wrapper">
+          <table className="sessions-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Video</th>
+                <th>Method</th>
+                <th>Position</th>
+                <th>Sent</th>
+                <th>Throughput</th>
+                <th>Started</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session.id} className={session.activeRequests ? '' : 'idle'}>
+                  <td>
+                    <span className="sessions-user">{session.user}</span>
+                    <span className="sessions-detail" title={session.userAgent || ''}>
+                      {session.role} · {session.ip}
+                    </span>
+                  </td>
+                  <td className="sessions-video" title={session.title}>
+                    <Link to={`/video/${session.videoId}`}>{session.title}</Link>
+                  </td>
+                  <td>
+                    <span className={`sessions-method method-${session.method}`}>
+                      {METHOD_LABELS[session.method] || session.method}
+                    </span>
+                  </td>
+                  <td>
+                    {session.position != null ? (
+                      <>
+                        {apiService.formatDuration(session.position)}
+                        {session.duration ? ` / ${apiService.formatDuration(session.duration)}` : ''}
+                      </>
+                    ) : '—'}
+                  </td>
+                  <td>{apiService.formatFileSize(session.bytesSent)}</td>
+                  <td>{session.activeRequests ? formatRate(session.throughput) : 'Idle'}</td>
+                  <td>{new Date(session.startedAt).toLocaleTimeString()}</td>
+                  <td>
+                    <button
+                      className="btn btn-sm btn-ghost"
+                      onClick={() => handleTerminate(session)}
+                      disabled={!!stopping[session.id]}
+                      title="Stop this stream"
+                    >
+                      <FaStop /> Stop
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StreamSessions;
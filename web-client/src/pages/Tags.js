@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { FaTags, FaPlus, FaEdit, FaTrash, FaSync } from 'react-icons/fa';
+import { apiService } from '../services/api';
+import VideoGrid from '../components/VideoGrid/VideoGrid';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import './Tags.css';
+
+const DEFAULT_COLOR = '#e50914';
+
+/**
+ * Tag management: create, recolor, rename and delete tags, and browse the
+ * videos carrying a tag (?tag=<name>).
+ */
+const Tags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_COLOR });
+  const [videos, setVideos] = useState([]);
+  const [videosLoading, setVideosLoading] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const selected = searchParams.get('tag');
+
+  const fetchTags = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setTags(await apiService.getTags());
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+      setError(new Error('Failed to load tags.'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  useEffect(() => {
+    window.addEventListener('library-refreshed', fetchTags);
+    return () => window.removeEventListener('library-refreshed', fetchTags);
+  }, [fetchTags]);
+
+  useEffect(() => {
+    if (!selected) {
+      setVideos([]);
+      return;
+    }
+
+    let cancelled = false;
+    setVideos([]);
+    setVideosLoading(true);
+    apiService.getVideosByTags([selected], 'all', { onPage: loaded => !cancelled && setVideos(loaded) })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching tagged videos:', err);
+        setVideos([]);
+      })
+      .finally(() => !cancelled && setVideosLoading(false));
+
+    return () => { cancelled = true; };
+  }, [selected, tags]);
+
+  const getErrorMessage = (err, fallback) => err.response?.data?.error?.message || fallback;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTag.name.trim()) return;
+
+    try {
+      await apiService.createTag({ name: newTag.name.trim(), color: newTag.color });
+      setNewTag({ name: '', color: DEFAULT_COLOR });
+      setMessage(null);
+      await fetchTags();
+    } catch (err) {
+      setMessage(getErrorMessage(err, 'Could not create tag.'));
+    }
+  };
+
+  const handleUpdate = async (tag, changes, successMessage) => {
+    try {
+      const result = await apiService.updateTag(tag.name, changes);
+      setMessage(successMessage ? successMessage(result) : null);
+      if (selected === tag.name && result.tag.name !== tag.name) {
+        setSearchParams({ tag: result.tag.name });
+      }
+      await fetchTags();
+    } catch (err) {
+      setMessage(getErrorMessage(err, `Could not update "${tag.name}".`));
+    }
+  };
+
+  const handleRename = (tag) => {
+    const name = window.prompt(`Rename "${tag.name}" to:`, tag.name);
+    if (!name || name.trim() === tag.name) return;
+    handleUpdate(tag, { name: name.trim() }, result => `Renamed on ${result.updated} videos.`);
+  };
+
+  const handleDelete = async (tag) => {
+    const usage = tag.count > 0 ? ` It will be removed from ${tag.count} videos.` : '';
+    if (!window.confirm(`Delete tag "${tag.name}"?${usage}`)) return;
+
+    try {
+      const result = await apiService.deleteTag(tag.name);
+      setMessage(`Deleted "${tag.name}" from ${result.updated} videos.`);
+      if (selected === tag.name) {
+        setSearchParams({});
+      }
+      await fetchTags();
+    } catch (err) {
+      setMessage(getErrorMessage(err, `Could not delete "${tag.name}".`));
+    }
+  };
+
+  return (
+    <div className="tags-page">
+      <div className="tags-header">
+        <div>
+          <h1><FaTags /> Tags</h1>
+          <p>Tags come from sidecar files or are added here and on a video's details page. The home page shows one row per tag.</p>
+        </div>
+        <button className="btn btn-secondary" onClick={fetchTags} disabled={loading}>
+          <FaSync className={loading ? 'spinning' : ''} />
+          Reload
+        </button>
+      </div>
+
+      <form className="tags-create" onSubmit={handleCreate}>
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+          aria-label="Tag color"
+        />
+        <input
+          type="text"
+          value={newTag.name}
+          placeholder="New tag"
+          maxLength={50}
+          onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+        />
+        <button type="submit" className="btn btn-primary" disabled={!newTag.name.trim()}>
+          <FaPlus /> Create
+        </button>
+      </form>
+
+      {message && (
+        <div className="tags-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>{error.message}</p>
+        </div>
+      )}
+
+      {loading && !tags.length ? (
+        <LoadingSpinner text="Loading tags..." />
+      ) : !error && tags.length === 0 ? (
+        <p className="tags-empty">No tags yet.</p>
+      ) : (
+        <ul className="tags-list">
+          {tags.map(tag => (
+            <li key={tag.name} className={`tags-item ${selected === tag.name ? 'active' : ''}`}>
+              {/* Saved when the picker closes, not on every change while dragging */}
+              <input
+                type="color"
+                defaultValue={tag.color || DEFAULT_COLOR}
+                onBlur={(e) => e.target.value !== (tag.color || DEFAULT_COLOR) && handleUpdate(tag, { color: e.target.value })}
+                aria-label={`Color of ${tag.name}`}
+              />
+              <button className="tags-name" onClick={() => setSearchParams({ tag: tag.name })}>
+                {tag.name}
+                {!tag.managed && <span className="tags-implicit" title="Used on videos but never created here">from files</span>}
+              </button>
+              <span className="tags-count">{tag.count}</span>
+              <button className="btn btn-sm btn-ghost" onClick={() => handleRename(tag)} title="Rename">
+                <FaEdit />
+              </button>
+              <button className="btn btn-sm btn-ghost" onClick={() => handleDelete(tag)} title="Delete">
+                <FaTrash />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <VideoGrid
+          title={`Tagged "${selected}"`}
+          videos={videos}
+          loading={videosLoading && !videos.length}
+          onVideoClick={(video) => navigate(`/video/${video.id}`)}
+          showCount={true}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Tags;
@@ -3,7 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { apiService } from '../services/api';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
 import VideoPlayer from '../components/VideoPlayer/VideoPlayer';
-import { FaArrowLeft, FaPlay, FaDownload, FaClock, FaDesktop, FaFolder, FaTimes, FaHeart, FaRegHeart } from 'react-icons/fa';
+import { FaArrowLeft, FaPlay, FaDownload, FaClock, FaDesktop, FaFolder, FaTimes, FaHeart, FaRegHeart, FaMapMarkerAlt, FaUser, FaCalendarAlt, FaEdit } from 'react-icons/fa';
+import VideoEditForm from '../components/VideoDetail/VideoEditForm';
 import { useFavorites } from '../context/FavoritesContext';
 import './VideoDetail.css';
 
@@ -14,6 +15,7 @@ const VideoDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showPlayer, setShowPlayer] = useState(false);
+  const [editing, setEditing] = useState(false);
   const { toggleFavorite, isFavorite } = useFavorites();
 
   useEffect(() => {
@@ -31,6 +33,11 @@ const VideoDetail = () => {
         
         setVideo(videoData);
         console.log('🎬 [VIDEO DETAIL DEBUG] Video state set to:', videoData);
+
+        // Old bookmarks use legacy IDs; the server redirects, so update the URL
+        if (videoData?.id && videoData.id !== id) {
+          navigate(`/video/${videoData.id}`, { replace: true });
+        }
       } catch (err) {
         console.error('❌ [VIDEO DETAIL DEBUG] Error fetching video:', err);
         console.error('❌ [VIDEO DETAIL DEBUG] Error details:', err.response?.data);
@@ -47,7 +54,7 @@ const VideoDetail = () => {
     } else {
       console.log('❌ [VIDEO DETAIL DEBUG] No ID found in URL params');
     }
-  }, [id]);
+  }, [id, navigate]);
 
   const handleBack = () => {
     navigate('/');
@@ -74,9 +81,32 @@ const VideoDetail = () => {
     console.log('Video ended');
   };
 
-  const handleDownload = () => {
-    const downloadUrl = apiService.getVideoDownloadUrl(video.id);
-    window.open(downloadUrl, '_blank');
+  const handleDownload = async () => {
+    // A plain link cannot send the Authorization header, so use a signed URL
+    let downloadUrl = apiService.getVideoDownloadUrl(video.id);
+    try {
+      const urls = await apiService.getSignedStreamUrls(video.id);
+      downloadUrl = apiService.getApiUrl(urls.downloadUrl);
+    } catch (error) {
+      console.warn('⚠️ Could not sign the download URL, using the plain one');
+    }
+    // The response is an attachment, so this downloads without leaving the page
+    window.location.assign(downloadUrl);
+  };
+
+  const formatTrack = (track) => {
+    const parts = [track.language ? track.language.toUpperCase() : 'Unknown language', track.codec.toUpperCase()];
+    if (track.channelLayout || track.channels) parts.push(track.channelLayout || `${track.channels} ch`);
+    if (track.title) parts.push(track.title);
+    if (track.forced) parts.push('forced');
+    if (track.default) parts.push('default');
+    return parts.join(' · ');
+  };
+
+  const handleSaved = (updated) => {
+    // The PATCH response has no thumbnail info; keep what we have
+    setVideo(current => ({ ...current, ...updated }));
+    setEditing(false);
   };
 
   const handleFavoriteClick = () => {
@@ -200,6 +230,12 @@ const VideoDetail = () => {
                     {video.category}
                   </span>
                 )}
+                {video.folder && (
+                  <span className="meta-item" title={video.folder}>
+                    <FaFolder />
+                    {video.folder}
+                  </span>
+                )}
               </div>
               
               {fileSize && (
@@ -217,6 +253,44 @@ const VideoDetail = () => {
                   </span>
                 </div>
               )}
+
+              {(video.location || video.operator || video.recordingDate) && (
+                <div className="meta-row">
+                  {video.location && (
+                    <span className="meta-item">
+                      <FaMapMarkerAlt />
+                      {video.location}
+                    </span>
+                  )}
+                  {video.operator && (
+                    <span className="meta-item">
+                      <FaUser />
+                      {video.operator}
+                    </span>
+                  )}
+                  {video.recordingDate && (
+                    <span className="meta-item">
+                      <FaCalendarAlt />
+                      {video.recordingDate}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {video.tags?.length > 0 && (
+                <div className="meta-row video-tags">
+                  {video.tags.map(tag => (
+                    <button
+                      key={tag}
+                      className="video-tag"
+                      onClick={() => navigate(`/tags?tag=${encodeURIComponent(tag)}`)}
+                      title="Show videos with this tag"
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className="video-actions">
@@ -236,16 +310,108 @@ const VideoDetail = () => {
                 {isFavorite(video.id) ? <FaHeart /> : <FaRegHeart />}
                 {isFavorite(video.id) ? 'Favorited' : 'Add to Favorites'}
               </button>
+              <button
+                className="btn btn-ghost"
+                onClick={() => setEditing(!editing)}
+                title="Edit title, description and tags"
+              >
+                <FaEdit />
+                Edit
+              </button>
             </div>
           </div>
         </div>
 
+        {editing && (
+          <VideoEditForm
+            video={video}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(false)}
+          />
+        )}
+
         {video.description && (
           <div className="video-description">
             <h3>Description</h3>
             <p>{video.description}</p>
           </div>
         )}
+
+        <div className="video-media-details">
+          <h3>Media Details</h3>
+          <dl className="media-details-list">
+            {video.videoCodec && video.videoCodec !== 'unknown' && (
+              <>
+                <dt>Video</dt>
+                <dd>
+                  {video.videoCodec.toUpperCase()}
+                  {video.fps ? ` · ${Math.round(video.fps * 100) / 100} fps` : ''}
+                  {video.color?.bitDepth ? ` · ${video.color.bitDepth}-bit` : ''}
+                  {video.color?.hdr && <span className="media-badge">{video.color.hdr}</span>}
+                </dd>
+              </>
+            )}
+            {video.rotation ? (
+              <>
+                <dt>Rotation</dt>
+                <dd>{video.rotation}°</dd>
+              </>
+            ) : null}
+            {video.creationTime && (
+              <>
+                <dt>Recorded</dt>
+                <dd>{new Date(video.creationTime).toLocaleString()}</dd>
+              </>
+            )}
+            {video.audioTracks?.length > 0 && (
+              <>
+                <dt>Audio</dt>
+                <dd>
+                  <ul>
+                    {video.audioTracks.map(track => <li key={track.index}>{formatTrack(track)}</li>)}
+                  </ul>
+                </dd>
+              </>
+            )}
+            {video.subtitleTracks?.length > 0 && (
+              <>
+                <dt>Subtitles</dt>
+                <dd>
+                  <ul>
+                    {video.subtitleTracks.map(track => <li key={track.index}>{formatTrack(track)}</li>)}
+                  </ul>
+                </dd>
+              </>
+            )}
+            {video.chapters?.length > 0 && (
+              <>
+                <dt>Chapters</dt>
+                <dd>
+                  <ol>
+                    {video.chapters.map(chapter => (
+                      <li key={chapter.index}>
+                        <span className="chapter-time">{apiService.formatDuration(chapter.start)}</span>
+                        {chapter.title}
+                      </li>
+                    ))}
+                  </ol>
+                </dd>
+              </>
+            )}
+            {Object.entries(video.sidecar?.fields || {}).map(([name, value]) => (
+              <React.Fragment key={`sidecar-${name}`}>
+                <dt className="media-tag-name">{name.replace(/_/g, ' ')}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+            {Object.entries(video.containerTags || {}).map(([name, value]) => (
+              <React.Fragment key={name}>
+                <dt className="media-tag-name">{name.replace(/_/g, ' ')}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
       </div>
     </div>
   );
@@ -1,7 +1,11 @@
 import axios from 'axios';
+import { authService } from './auth';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || `http://${window.location.hostname}:3001`;
 
+// Videos requested per page when loading a whole list from GET /api/videos
+const VIDEO_PAGE_SIZE = 100;
+
 class ApiService {
   constructor() {
     // FIXED: Use global axios instance instead of creating a new one
@@ -17,6 +21,9 @@ class ApiService {
     this.cacheConfig = {
       videos: { ttl: 2 * 60 * 1000, key: 'videos' },           // 2 minutes
       categories: { ttl: 10 * 60 * 1000, key: 'categories' },  // 10 minutes
+      tags: { ttl: 10 * 60 * 1000, key: 'tags' },              // 10 minutes
+      folders: { ttl: 10 * 60 * 1000, key: 'folders' },        // 10 minutes
+      libraries: { ttl: 10 * 60 * 1000, key: 'libraries' },    // 10 minutes
       stats: { ttl: 5 * 60 * 1000, key: 'stats' },             // 5 minutes
       search: { ttl: 2 * 60 * 1000, prefix: 'search_' },       // 2 minutes per query
       video: { ttl: 30 * 60 * 1000, prefix: 'video_' }         // 30 minutes per video
@@ -75,22 +82,46 @@ class ApiService {
   }
 
   // Video endpoints
-  async getVideos() {
+
+  // One page of GET /api/videos: { videos, total, nextCursor, ... }.
+  // params holds list options (limit, cursor, sort, fields) and filters
+  // (q, tag, library, or any search field such as codec).
+  async getVideoPage(params = {}) {
+    const response = await this.api.get('/api/videos', {
+      params: { limit: VIDEO_PAGE_SIZE, ...params }
+    });
+    return response.data;
+  }
+
+  // Every video matching params, loaded page by page. onPage(videos, total)
+  // gets the videos loaded so far after each page, so grids can render
+  // before the whole list has arrived.
+  async getAllVideoPages(params = {}, onPage = null) {
+    let videos = [];
+    let cursor = null;
+    let page;
+
+    do {
+      page = await this.getVideoPage(cursor ? { ...params, cursor } : params);
+      videos = [...videos, ...(page.videos || [])];
+      if (onPage) onPage(videos, page.total);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return { ...page, videos, count: videos.length, nextCursor: null };
+  }
+
+  async getVideos({ onPage } = {}) {
     const cacheKey = this.cacheConfig.videos.key;
     const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
+    if (cached) {
+      if (onPage) onPage(cached, cached.length);
+      return cached;
+    }
     
     try {
-      console.log('📡 DEBUG: Making API request to /api/videos');
-      console.log('📡 DEBUG: Using global axios instance with interceptors');
-      console.log('📡 DEBUG: Base URL:', this.api.defaults.baseURL);
-      
-      const response = await this.api.get('/api/videos');
-      console.log('📡 DEBUG: API Response structure:', response.data);
-      console.log('📡 DEBUG: Extracting videos array:', response.data.videos);
-      
-      // FIXED: Extract videos array from response wrapper
-      const videos = response.data.videos || [];
+      console.log('📡 DEBUG: Loading /api/videos page by page');
+      const { videos } = await this.getAllVideoPages({}, onPage);
       
       // Cache the result
       this.setCachedData(cacheKey, videos, this.cacheConfig.videos.ttl);
@@ -141,26 +172,94 @@ class ApiService {
     }
   }
 
-  async searchVideos(query) {
-    const cacheKey = this.cacheConfig.search.prefix + query.toLowerCase();
+  // Map old (filename-based) video IDs to their current stable IDs
+  async resolveVideoIds(ids) {
+    try {
+      const response = await this.api.post('/api/videos/ids/resolve', { ids });
+      return response.data.mapping || {};
+    } catch (error) {
+      console.error('Error resolving video IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a video's metadata. Pass null for a field to revert it to the
+   * value from the file or its sidecar.
+   */
+  async updateVideo(id, changes) {
+    try {
+      const response = await this.api.patch(`/api/videos/${id}`, changes);
+      const video = response.data.video;
+
+      // Titles, tags and descriptions show up in lists and search results
+      this.invalidateCache(this.cacheConfig.video.prefix + id);
+      this.invalidateVideoLists();
+
+      return video;
+    } catch (error) {
+      console.error('Error updating video:', error);
+      throw error;
+    }
+  }
+
+  // Drop cached lists that include video titles or tags
+  invalidateVideoLists() {
+    this.invalidateCache(this.cacheConfig.videos.key);
+    this.invalidateCache(this.cacheConfig.categories.key);
+    this.invalidateCache(this.cacheConfig.tags.key);
+    this.invalidateCache(new RegExp(`^${this.cacheConfig.search.prefix}`));
+  }
+
+  async getVideoHistory(id) {
+    try {
+      const response = await this.api.get(`/api/videos/${id}/history`);
+      return response.data.history || [];
+    } catch (error) {
+      console.error('Error fetching video history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search with the server's query language, e.g.
+   * `duration:>10m tag:survey "exact phrase" -excluded`. An invalid query
+   * rejects with a 400 whose error message explains the problem.
+   * With `limit` only the best matches are fetched (`total` still counts
+   * them all); otherwise every page is loaded, reported through `onPage`.
+   */
+  async searchVideos(query, { limit = null, onPage = null } = {}) {
+    const cacheKey = this.cacheConfig.search.prefix + (limit ? `${limit}_` : '') + query.trim().toLowerCase();
     const cached = this.getCachedData(cacheKey);
-    if (cached) return cached;
+    if (cached) {
+      if (onPage) onPage(cached.videos, cached.total);
+      return cached;
+    }
     
     try {
       console.log('📡 DEBUG: Making API request to search:', query);
-      const response = await this.api.get(`/api/videos/search/${encodeURIComponent(query)}`);
-      const results = response.data;
+      const params = { q: query.trim() };
+      const results = limit
+        ? await this.getVideoPage({ ...params, limit })
+        : await this.getAllVideoPages(params, onPage);
       
       // Cache the search results
       this.setCachedData(cacheKey, results, this.cacheConfig.search.ttl);
       
       return results;
     } catch (error) {
-      console.error('Error searching videos:', error);
+      if (error.response?.status !== 400) {
+        console.error('Error searching videos:', error);
+      }
       throw error;
     }
   }
 
+  // Error message for an invalid search query, or null for other errors
+  getQueryError(error) {
+    return error.response?.status === 400 ? error.response.data?.error?.message || 'Invalid search query' : null;
+  }
+
   async getVideoCategories() {
     const cacheKey = this.cacheConfig.categories.key;
     const cached = this.getCachedData(cacheKey);
@@ -171,8 +270,8 @@ class ApiService {
       const response = await this.api.get('/api/videos/categories/all');
       console.log('📡 DEBUG: Categories response structure:', response.data);
       
-      // FIXED: Extract categories from response wrapper
-      const categories = response.data.categories || {};
+      // FIXED: Extract categories from response wrapper ([{ name, videos }], most used first)
+      const categories = response.data.categories || [];
       
       // Cache the result
       this.setCachedData(cacheKey, categories, this.cacheConfig.categories.ttl);
@@ -184,17 +283,317 @@ class ApiService {
     }
   }
 
-  async refreshVideoLibrary() {
+  // Tags with video counts, most used first
+  async getTags() {
+    const cacheKey = this.cacheConfig.tags.key;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await this.api.get('/api/tags');
+      const tags = response.data.tags || [];
+
+      this.setCachedData(cacheKey, tags, this.cacheConfig.tags.ttl);
+
+      return tags;
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw error;
+    }
+  }
+
+  // Videos carrying all (or, with mode 'any', any) of the given tags
+  async getVideosByTags(tags, mode = 'all', { onPage = null } = {}) {
+    try {
+      const { videos } = await this.getAllVideoPages({ tag: tags.join(','), tagMode: mode }, onPage);
+      return videos;
+    } catch (error) {
+      console.error('Error fetching videos by tag:', error);
+      throw error;
+    }
+  }
+
+  async createTag(tag) {
+    try {
+      const response = await this.api.post('/api/tags', tag);
+      this.invalidateCache(this.cacheConfig.tags.key);
+      return response.data.tag;
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      throw error;
+    }
+  }
+
+  // Rename a tag or change its color/description; a rename retags videos
+  async updateTag(name, changes) {
+    try {
+      const response = await this.api.patch(`/api/tags/${encodeURIComponent(name)}`, changes);
+      this.invalidateCache(new RegExp(`^${this.cacheConfig.video.prefix}`));
+      this.invalidateVideoLists();
+      return response.data;
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      throw error;
+    }
+  }
+
+  async deleteTag(name) {
+    try {
+      const response = await this.api.delete(`/api/tags/${encodeURIComponent(name)}`);
+      this.invalidateCache(new RegExp(`^${this.cacheConfig.video.prefix}`));
+      this.invalidateVideoLists();
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      throw error;
+    }
+  }
+
+  // Add and remove tags on several videos at once
+  async assignTags(videoIds, { add = [], remove = [] } = {}) {
+    try {
+      const response = await this.api.post('/api/tags/assign', { videoIds, add, remove });
+      videoIds.forEach(id => this.invalidateCache(this.cacheConfig.video.prefix + id));
+      this.invalidateVideoLists();
+      return response.data;
+    } catch (error) {
+      console.error('Error assigning tags:', error);
+      throw error;
+    }
+  }
+
+  async getLibraries() {
+    const cacheKey = this.cacheConfig.libraries.key;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await this.api.get('/api/videos/libraries/all');
+      const libraries = response.data.libraries || [];
+
+      this.setCachedData(cacheKey, libraries, this.cacheConfig.libraries.ttl);
+
+      return libraries;
+    } catch (error) {
+      console.error('Error fetching libraries:', error);
+      throw error;
+    }
+  }
+
+  async getFolders() {
+    const cacheKey = this.cacheConfig.folders.key;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await this.api.get('/api/videos/folders/all');
+      const folders = response.data.folders || [];
+
+      this.setCachedData(cacheKey, folders, this.cacheConfig.folders.ttl);
+
+      return folders;
+    } catch (error) {
+      console.error('Error fetching folders:', error);
+      throw error;
+    }
+  }
+
+  async browseFolder(folderPath = '', recursive = false) {
+    try {
+      const response = await this.api.get('/api/videos/folders/browse', {
+        params: { path: folderPath, recursive }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error browsing folder:', error);
+      throw error;
+    }
+  }
+
+  // Library scans run as background jobs on the server
+  async startLibraryScan() {
     try {
       console.log('📡 DEBUG: Making API request to refresh library');
       const response = await this.api.post('/api/videos/refresh');
+      const job = response.data.job;
+      // Lets the header show progress wherever the scan was started
+      window.dispatchEvent(new CustomEvent('library-scan-started', { detail: job }));
+      return job;
+    } catch (error) {
+      console.error('Error starting library scan:', error);
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    const response = await this.api.get(`/api/jobs/${jobId}`);
+    return response.data.job;
+  }
+
+  async getRunningJob(type) {
+    const response = await this.api.get('/api/jobs', { params: { type } });
+    return response.data.jobs.find(job => job.status === 'running') || null;
+  }
+
+  async cancelJob(jobId) {
+    const response = await this.api.post(`/api/jobs/${jobId}/cancel`);
+    return response.data.job;
+  }
+
+  /**
+   * Read a server-sent event stream with fetch (EventSource cannot send the
+   * auth header), calling onData with each event's parsed data. Resolves
+   * when the server closes the stream.
+   */
+  async readEventStream(path, onData, signal) {
+    const token = authService.getToken();
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Event stream unavailable (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (!signal.aborted) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+
+      messages.forEach(message => {
+        const data = message.split('\n').find(line => line.startsWith('data: '));
+        if (data) {
+          onData(JSON.parse(data.slice(6)));
+        }
+      });
+    }
+  }
+
+  /**
+   * Follow a job's progress. Uses the server-sent event stream (read with
+   * fetch, since EventSource cannot send the auth header) and falls back
+   * to polling. Returns an unsubscribe function.
+   */
+  subscribeToJob(jobId, onUpdate) {
+    const controller = new AbortController();
+    let pollTimer = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      controller.abort();
+      clearTimeout(pollTimer);
+    };
+
+    const deliver = (job) => {
+      if (stopped) return;
+      onUpdate(job);
+      if (job.status !== 'running') {
+        stop();
+      }
+    };
+
+    const poll = async () => {
+      try {
+        deliver(await this.getJob(jobId));
+      } catch (error) {
+        console.error('Error polling job:', error);
+      }
+      if (!stopped) {
+        pollTimer = setTimeout(poll, 1000);
+      }
+    };
+
+    this.readEventStream(`/api/jobs/${jobId}/events`, deliver, controller.signal)
+      .then(() => {
+        // Stream ended without a final event (e.g. a proxy closed it)
+        if (!stopped) poll();
+      })
+      .catch(error => {
+        if (stopped) return;
+        console.warn('⚠️ Job event stream failed, polling instead:', error.message);
+        poll();
+      });
+
+    return stop;
+  }
+
+  /**
+   * Follow a library scan and resolve with the finished job. onProgress is
+   * called with each job snapshot while the scan runs. The header follows
+   * every scan (see library-scan-started) and announces the result with
+   * library-refreshed, so other components only listen for that.
+   */
+  waitForLibraryScan(job, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      onProgress(job);
+      this.subscribeToJob(job.id, (update) => {
+        onProgress(update);
+        if (update.status === 'running') return;
+
+        // Everything cached may be stale after a rescan
+        this.invalidateCache(/./);
+        window.dispatchEvent(new CustomEvent('library-refreshed', { detail: update }));
+
+        if (update.status === 'failed') {
+          reject(new Error(update.error || 'Library scan failed'));
+        } else {
+          resolve(update);
+        }
+      });
+    });
+  }
+
+  // Library health (corrupt, truncated and unprobeable files)
+  async getLibraryHealth(libraryId = null) {
+    try {
+      const response = await this.api.get('/api/library/health', {
+        params: libraryId ? { library: libraryId } : {}
+      });
       return response.data;
     } catch (error) {
-      console.error('Error refreshing library:', error);
+      console.error('Error fetching library health:', error);
       throw error;
     }
   }
 
+  async quarantineFile(issueId) {
+    try {
+      const response = await this.api.post(`/api/library/health/${issueId}/quarantine`);
+      this.invalidateCache(/./);
+      return response.data;
+    } catch (error) {
+      console.error('Error quarantining file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a remux repair and resolve with the finished job
+   */
+  async repairFile(issueId, onProgress = () => {}) {
+    const response = await this.api.post(`/api/library/health/${issueId}/repair`);
+
+    return new Promise((resolve) => {
+      onProgress(response.data.job);
+      this.subscribeToJob(response.data.job.id, (job) => {
+        onProgress(job);
+        if (job.status !== 'running') {
+          this.invalidateCache(/./);
+          resolve(job);
+        }
+      });
+    });
+  }
+
   async getLibraryStats() {
     const cacheKey = this.cacheConfig.stats.key;
     const cached = this.getCachedData(cacheKey);
@@ -225,9 +624,26 @@ class ApiService {
     return `${API_BASE_URL}/api/stream/${id}`;
   }
 
-  async getVideoStreamInfo(id) {
+  // Absolute URL of a server path such as info.playback.url
+  getApiUrl(path) {
+    return `${API_BASE_URL}${path}`;
+  }
+
+  // HLS master playlist (adaptive bitrate, transcoded on demand)
+  getHlsUrl(id) {
+    return `${API_BASE_URL}/api/stream/${id}/master.m3u8`;
+  }
+
+  // MPEG-DASH manifest (same renditions and segments as HLS)
+  getDashUrl(id) {
+    return `${API_BASE_URL}/api/stream/${id}/manifest.mpd`;
+  }
+
+  // Stream info; `capabilities` ({ containers, videoCodecs, audioCodecs })
+  // lets the server choose direct play, remux or transcode (info.playback)
+  async getVideoStreamInfo(id, capabilities = {}) {
     try {
-      const response = await this.api.get(`/api/stream/${id}/info`);
+      const response = await this.api.get(`/api/stream/${id}/info`, { params: capabilities });
       return response.data;
     } catch (error) {
       console.error('Error fetching stream info:', error);
@@ -239,11 +655,59 @@ class ApiService {
     return `${API_BASE_URL}/api/stream/${id}/download`;
   }
 
+  // Signed, expiring URLs for a video element or download link, which
+  // cannot send the Authorization header ({ token, downloadToken,
+  // streamUrl, downloadUrl, expiresAt })
+  async getSignedStreamUrls(id) {
+    try {
+      const response = await this.api.post(`/api/stream/${id}/urls`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching signed stream URLs:', error);
+      throw error;
+    }
+  }
+
+  // Active stream sessions ({ sessions, totals })
+  async getStreamSessions() {
+    try {
+      const response = await this.api.get('/api/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching stream sessions:', error);
+      throw error;
+    }
+  }
+
+  // Stop a stream session and the transcoder or remux behind it
+  async terminateStreamSession(sessionId) {
+    try {
+      const response = await this.api.delete(`/api/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error terminating stream session:', error);
+      throw error;
+    }
+  }
+
   // Thumbnail endpoints
   getThumbnailUrl(id) {
     return `${API_BASE_URL}/thumbnails/${id}.jpg`;
   }
 
+  // Thumbnail state ({ state, thumbnail }) of several videos by ID, asked
+  // in batches of the most the server accepts at once
+  async getThumbnailStatus(ids) {
+    const thumbnails = {};
+    for (let i = 0; i < ids.length; i += 500) {
+      const response = await this.api.get('/api/thumbnails/status', {
+        params: { ids: ids.slice(i, i + 500).join(',') }
+      });
+      Object.assign(thumbnails, response.data.thumbnails);
+    }
+    return thumbnails;
+  }
+
   async generateThumbnail(id) {
     try {
       const response = await this.api.post(`/api/videos/${id}/thumbnail`);
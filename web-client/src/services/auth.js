@@ -105,6 +105,17 @@ class AuthService {
   isAuthenticated() {
     return !!this.getToken();
   }
+
+  // Role claim of a token ('admin' or 'user'). Only decides what the UI
+  // shows; the server checks the signature on every admin request.
+  getTokenRole(token = this.getToken()) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(window.atob(payload)).role || 'user';
+    } catch (error) {
+      return null;
+    }
+  }
 }
 
 export const authService = new AuthService();
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Saved search queries, kept in localStorage. Queries use the server's
+// search language, so a saved search is just its query string.
+const STORAGE_KEY = 'savedSearches';
+const CHANGE_EVENT = 'saved-searches-changed';
+
+class SavedSearchesService {
+  getAll() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      console.error('Failed to read saved searches:', error);
+      return [];
+    }
+  }
+
+  isSaved(query) {
+    return this.getAll().some(search => search.query === query.trim());
+  }
+
+  save(query, name = query) {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    const searches = this.getAll().filter(search => search.query !== trimmed);
+    this.store([{ name: name.trim() || trimmed, query: trimmed, savedAt: new Date().toISOString() }, ...searches]);
+  }
+
+  remove(query) {
+    this.store(this.getAll().filter(search => search.query !== query));
+  }
+
+  store(searches) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+  }
+
+  // Call listener whenever saved searches change; returns an unsubscribe function
+  subscribe(listener) {
+    window.addEventListener(CHANGE_EVENT, listener);
+    return () => window.removeEventListener(CHANGE_EVENT, listener);
+  }
+}
+
+export const savedSearches = new SavedSearchesService();
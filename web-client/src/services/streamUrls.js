@@ -0,0 +1,53 @@
+import { apiService } from './api';
+
+// Request new signed URLs this long before the current ones expire
+const REFRESH_MARGIN = 60 * 1000;
+// Wait before asking again after a failed request
+const RETRY_DELAY = 10 * 1000;
+
+// Add a signed URL token to a stream URL, replacing an older one
+export const withToken = (url, token) => {
+  if (!token) return url;
+
+  const [base, query = ''] = url.split('?');
+  const params = new URLSearchParams(query);
+  params.set('token', token);
+  return `${base}?${params.toString()}`;
+};
+
+// Keep signed stream URLs of a video fresh during playback. Calls
+// onTokens({ token, downloadToken, expiresAt }) now and again before each
+// set expires, or onTokens(null) if none could be issued. Returns a
+// function that stops the renewals.
+export const watchStreamTokens = (videoId, onTokens) => {
+  let timer = null;
+  let stopped = false;
+  let current = null;
+
+  const refresh = async () => {
+    try {
+      const urls = await apiService.getSignedStreamUrls(videoId);
+      if (stopped) return;
+
+      current = urls;
+      onTokens(urls);
+
+      const remaining = new Date(urls.expiresAt).getTime() - Date.now();
+      timer = setTimeout(refresh, Math.max(remaining / 2, remaining - REFRESH_MARGIN));
+    } catch (error) {
+      if (stopped) return;
+
+      // Keep the old tokens while they last; playback without them only
+      // works when the server does not require authentication
+      if (!current) onTokens(null);
+      timer = setTimeout(refresh, RETRY_DELAY);
+    }
+  };
+
+  refresh();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
@@ -0,0 +1,122 @@
+import { apiService } from './api';
+
+// Poll interval when the event stream is unavailable
+const POLL_INTERVAL = 3000;
+// Wait before reopening an event stream the server closed
+const RECONNECT_DELAY = 5000;
+// Newly watched videos are checked once after this delay, in case their
+// thumbnail was finished before the stream saw it
+const CATCH_UP_DELAY = 500;
+
+// Tells components when a pending thumbnail is ready. One event stream
+// from the server is shared by every watched video; if it cannot be
+// opened, the watched videos are polled instead.
+class ThumbnailUpdatesService {
+  constructor() {
+    this.watchers = new Map(); // video ID -> Set of listeners
+    this.controller = null;
+    this.timer = null;
+    this.unchecked = new Set();
+    this.catchUpTimer = null;
+  }
+
+  // Call listener({ videoId, state, thumbnail }) once the video's thumbnail
+  // is ready or has failed; returns an unsubscribe function
+  watch(videoId, listener) {
+    if (!this.watchers.has(videoId)) {
+      this.watchers.set(videoId, new Set());
+    }
+    this.watchers.get(videoId).add(listener);
+    this.start();
+    this.catchUp(videoId);
+
+    return () => {
+      const listeners = this.watchers.get(videoId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.watchers.delete(videoId);
+      }
+      if (this.watchers.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  deliver(update) {
+    // 'missing' is not final either: the server may queue it on the next request
+    if (update.state === 'pending' || update.state === 'missing') return;
+
+    const listeners = this.watchers.get(update.videoId);
+    if (!listeners) return;
+
+    this.watchers.delete(update.videoId);
+    listeners.forEach(listener => listener(update));
+    if (this.watchers.size === 0) {
+      this.stop();
+    }
+  }
+
+  catchUp(videoId) {
+    this.unchecked.add(videoId);
+    if (this.catchUpTimer) return;
+
+    this.catchUpTimer = setTimeout(async () => {
+      const ids = Array.from(this.unchecked).filter(id => this.watchers.has(id));
+      this.unchecked.clear();
+      this.catchUpTimer = null;
+      if (ids.length === 0) return;
+
+      try {
+        const statuses = await apiService.getThumbnailStatus(ids);
+        Object.entries(statuses).forEach(([id, status]) => this.deliver({ videoId: id, ...status }));
+      } catch (error) {
+        console.error('Error checking thumbnail status:', error);
+      }
+    }, CATCH_UP_DELAY);
+  }
+
+  start() {
+    if (this.controller) return;
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    apiService.readEventStream('/api/thumbnails/events', update => this.deliver(update), controller.signal)
+      .then(() => {
+        if (controller.signal.aborted) return;
+        this.controller = null;
+        this.timer = setTimeout(() => this.watchers.size > 0 && this.start(), RECONNECT_DELAY);
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.warn('⚠️ Thumbnail event stream failed, polling instead:', error.message);
+        this.poll(controller);
+      });
+  }
+
+  async poll(controller) {
+    if (controller.signal.aborted || this.watchers.size === 0) return;
+
+    try {
+      const statuses = await apiService.getThumbnailStatus(Array.from(this.watchers.keys()));
+      Object.entries(statuses).forEach(([videoId, status]) => this.deliver({ videoId, ...status }));
+    } catch (error) {
+      console.error('Error polling thumbnail status:', error);
+    }
+
+    if (!controller.signal.aborted) {
+      this.timer = setTimeout(() => this.poll(controller), POLL_INTERVAL);
+    }
+  }
+
+  stop() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+    clearTimeout(this.timer);
+  }
+}
+
+export const thumbnailUpdates = new ThumbnailUpdatesService();
@@ -0,0 +1,49 @@
+/**
+ * What this browser can play, in the form GET /api/stream/:id/info expects
+ * (containers, videoCodecs and audioCodecs as comma-separated lists). The
+ * server uses it to choose between direct play, remuxing and transcoding.
+ */
+
+// Probe codec names mapped to a MIME type the browser can be asked about
+const CONTAINER_TYPES = {
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  mkv: 'video/x-matroska',
+  avi: 'video/x-msvideo'
+};
+
+const VIDEO_CODEC_TYPES = {
+  h264: 'video/mp4; codecs="avc1.640028"',
+  hevc: 'video/mp4; codecs="hvc1.1.6.L120.90"',
+  av1: 'video/mp4; codecs="av01.0.08M.08"',
+  vp9: 'video/webm; codecs="vp9"',
+  vp8: 'video/webm; codecs="vp8"'
+};
+
+const AUDIO_CODEC_TYPES = {
+  aac: 'audio/mp4; codecs="mp4a.40.2"',
+  mp3: 'audio/mpeg',
+  opus: 'audio/webm; codecs="opus"',
+  vorbis: 'audio/webm; codecs="vorbis"',
+  flac: 'audio/flac',
+  ac3: 'audio/mp4; codecs="ac-3"',
+  eac3: 'audio/mp4; codecs="ec-3"'
+};
+
+let cached = null;
+
+const supported = (types, element) => Object.keys(types)
+  .filter(name => element.canPlayType(types[name]) !== '');
+
+export const getPlaybackCapabilities = () => {
+  if (cached) return cached;
+
+  const element = document.createElement('video');
+  cached = {
+    containers: supported(CONTAINER_TYPES, element).join(','),
+    videoCodecs: supported(VIDEO_CODEC_TYPES, element).join(','),
+    audioCodecs: supported(AUDIO_CODEC_TYPES, element).join(',')
+  };
+  return cached;
+};